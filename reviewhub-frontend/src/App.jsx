@@ -1,23 +1,37 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import { AuthProvider } from './contexts/AuthContext'
+import { SettingsProvider } from './contexts/SettingsContext'
 import { Header } from './components/Header'
+import { ImpersonationBanner } from './components/ImpersonationBanner'
+import { OfflineReviewSync } from './components/reviews/OfflineReviewSync'
+import { Toaster } from './components/ui/sonner'
 import { HomePage } from './components/HomePage'
 import { ProductPage } from './components/ProductPage'
-import { SearchPage } from './components/search/SearchPage'import UserAnalyticsPage from './components/profile/UserAnalyticsPage';
+import { SearchPage } from './components/search/SearchPage'
+import UserAnalyticsPage from './components/profile/UserAnalyticsPage';
 import PrivacyPage from './components/privacy/PrivacyPage';
 import AdminLayout from './components/admin/AdminLayout'
 import AdminDashboard from './components/admin/AdminDashboard'
 import AdminUsers from './components/admin/AdminUsers'
+import AdminProducts from './components/admin/AdminProducts'
+import AdminCategories from './components/admin/AdminCategories'
+import AdminReviews from './components/admin/AdminReviews'
+import AdminAnalytics from './components/admin/AdminAnalytics'
 import AdminPerformance from './components/admin/AdminPerformance'
 import AdminVoiceSearch from './components/admin/AdminVoiceSearch'
+import AdminVisualSearch from './components/admin/AdminVisualSearch'
+import AdminSettings from './components/admin/AdminSettings'
+import AdminGdpr from './components/admin/AdminGdpr'
+import AdminAuditLog from './components/admin/AdminAuditLog'
 import { useAuth } from './contexts/AuthContext'
+import { PERMISSIONS, canAccessAdmin, hasPermission } from './lib/permissions'
 import './App.css'
 
 // Admin route wrapper to check admin permissions
-const AdminRoute = ({ children }) => {
+const AdminRoute = ({ permission, children }) => {
   const { user } = useAuth();
   
-  if (!user?.is_admin) {
+  if (!canAccessAdmin(user)) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -28,71 +42,127 @@ const AdminRoute = ({ children }) => {
     );
   }
   
+  if (permission && !hasPermission(user, permission)) {
+    return (
+      <AdminLayout>
+        <div className="text-center py-16">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Access Denied</h1>
+          <p className="text-gray-600">Your role doesn't include access to this page.</p>
+        </div>
+      </AdminLayout>
+    );
+  }
+
   return <AdminLayout>{children}</AdminLayout>;
 };
 
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="min-h-screen bg-gray-50">
-          <Routes>
-            {/* Public routes */}
-            <Route path="/" element={
-              <>
-                <Header />
-                <HomePage />
-              </>
-            } />
-            <Route path="/product/:id" element={
-              <>
-                <Header />
-                <ProductPage />
-              </>
-            } />
-            <Route path="/search" element={
-              <>
-                <Header />
-                <SearchPage />
-              </>
-            } />
-            <Route path="/analytics" element={
-              <>
-                <Header />
-                <UserAnalyticsPage />
-              </>
-            } />
-            <Route path="/privacy" element={
-              <>
-                <Header />
-                <PrivacyPage />
-              </>
-            } />
-            
-            {/* Admin routes */}
-            <Route path="/admin" element={
-              <AdminRoute>
-                <AdminDashboard />
-              </AdminRoute>
-            } />
-            <Route path="/admin/users" element={
-              <AdminRoute>
-                <AdminUsers />
-              </AdminRoute>
-            } />
-            <Route path="/admin/voice-search" element={
-              <AdminRoute>
-                <AdminVoiceSearch />
-              </AdminRoute>
-            } />
-            <Route path="/admin/performance" element={
-              <AdminRoute>
-                <AdminPerformance />
-              </AdminRoute>
-            } />
-          </Routes>
-        </div>
-      </Router>
+      <SettingsProvider>
+        <Router>
+          <div className="min-h-screen bg-gray-50">
+            <ImpersonationBanner />
+            <OfflineReviewSync />
+            <Routes>
+              {/* Public routes */}
+              <Route path="/" element={
+                <>
+                  <Header />
+                  <HomePage />
+                </>
+              } />
+              <Route path="/product/:id" element={
+                <>
+                  <Header />
+                  <ProductPage />
+                </>
+              } />
+              <Route path="/search" element={
+                <>
+                  <Header />
+                  <SearchPage />
+                </>
+              } />
+              <Route path="/analytics" element={
+                <>
+                  <Header />
+                  <UserAnalyticsPage />
+                </>
+              } />
+              <Route path="/privacy" element={
+                <>
+                  <Header />
+                  <PrivacyPage />
+                </>
+              } />
+              
+              {/* Admin routes */}
+              <Route path="/admin" element={
+                <AdminRoute permission={PERMISSIONS.DASHBOARD_VIEW}>
+                  <AdminDashboard />
+                </AdminRoute>
+              } />
+              <Route path="/admin/users" element={
+                <AdminRoute permission={PERMISSIONS.USERS_VIEW}>
+                  <AdminUsers />
+                </AdminRoute>
+              } />
+              <Route path="/admin/products" element={
+                <AdminRoute permission={PERMISSIONS.PRODUCTS_MANAGE}>
+                  <AdminProducts />
+                </AdminRoute>
+              } />
+              <Route path="/admin/categories" element={
+                <AdminRoute permission={PERMISSIONS.CATEGORIES_MANAGE}>
+                  <AdminCategories />
+                </AdminRoute>
+              } />
+              <Route path="/admin/reviews" element={
+                <AdminRoute permission={PERMISSIONS.REVIEWS_MODERATE}>
+                  <AdminReviews />
+                </AdminRoute>
+              } />
+              <Route path="/admin/analytics" element={
+                <AdminRoute permission={PERMISSIONS.ANALYTICS_VIEW}>
+                  <AdminAnalytics />
+                </AdminRoute>
+              } />
+              <Route path="/admin/voice-search" element={
+                <AdminRoute permission={PERMISSIONS.SEARCH_VIEW}>
+                  <AdminVoiceSearch />
+                </AdminRoute>
+              } />
+              <Route path="/admin/visual-search" element={
+                <AdminRoute permission={PERMISSIONS.SEARCH_VIEW}>
+                  <AdminVisualSearch />
+                </AdminRoute>
+              } />
+              <Route path="/admin/performance" element={
+                <AdminRoute permission={PERMISSIONS.PERFORMANCE_VIEW}>
+                  <AdminPerformance />
+                </AdminRoute>
+              } />
+              <Route path="/admin/gdpr" element={
+                <AdminRoute permission={PERMISSIONS.GDPR_VIEW}>
+                  <AdminGdpr />
+                </AdminRoute>
+              } />
+              <Route path="/admin/audit" element={
+                <AdminRoute permission={PERMISSIONS.AUDIT_VIEW}>
+                  <AdminAuditLog />
+                </AdminRoute>
+              } />
+              <Route path="/admin/settings" element={
+                <AdminRoute permission={PERMISSIONS.SETTINGS_MANAGE}>
+                  <AdminSettings />
+                </AdminRoute>
+              } />
+            </Routes>
+            <Toaster position="top-right" />
+          </div>
+        </Router>
+      </SettingsProvider>
     </AuthProvider>
   )
 }
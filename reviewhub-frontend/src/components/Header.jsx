@@ -1,9 +1,10 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { Search, User, Menu, X, LogOut, Settings, TrendingUp } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { useAuth } from '../contexts/AuthContext'
+import { canAccessAdmin } from '../lib/permissions'
 import { LoginModal } from './auth/LoginModal'
 import { RegisterModal } from './auth/RegisterModal'
 import logoImage from '../assets/reviewhub_logo.png'
@@ -16,7 +17,25 @@ export function Header() {
   const [showUserMenu, setShowUserMenu] = useState(false)
   
   const navigate = useNavigate()
-  const { user, logout, isAuthenticated } = useAuth()
+  const { user, logout, isAuthenticated, sessionExpired, clearSessionExpired } = useAuth()
+
+  // Ask the user to sign in again when their session could not be refreshed
+  useEffect(() => {
+    if (sessionExpired) {
+      setShowRegisterModal(false)
+      setShowLoginModal(true)
+    }
+  }, [sessionExpired])
+
+  // Close auth modals and menus when another tab signs in or out
+  useEffect(() => {
+    if (isAuthenticated) {
+      setShowLoginModal(false)
+      setShowRegisterModal(false)
+    } else {
+      setShowUserMenu(false)
+    }
+  }, [isAuthenticated])
 
   const handleSearch = (e) => {
     e.preventDefault()
@@ -30,8 +49,13 @@ export function Header() {
     setShowUserMenu(false)
   }
 
-  const switchToRegister = () => {
+  const closeLoginModal = () => {
     setShowLoginModal(false)
+    clearSessionExpired()
+  }
+
+  const switchToRegister = () => {
+    closeLoginModal()
     setShowRegisterModal(true)
   }
 
@@ -121,7 +145,7 @@ export function Header() {
                       <Shield className="h-4 w-4" />
                       Privacy & Data
                     </Link>
-                      {user?.is_admin && (
+                      {canAccessAdmin(user) && (
                         <Link
                           to="/admin"
                           className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border-t border-gray-100"
@@ -275,7 +299,7 @@ export function Header() {
       {/* Auth Modals */}
       <LoginModal
         isOpen={showLoginModal}
-        onClose={() => setShowLoginModal(false)}
+        onClose={closeLoginModal}
         onSwitchToRegister={switchToRegister}
       />
       <RegisterModal
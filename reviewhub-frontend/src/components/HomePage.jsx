@@ -1,19 +1,16 @@
 import { useState, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
-import { Search, Star, TrendingUp, Users, Shield, Loader2 } from 'lucide-react'
+import { Search, Star, TrendingUp, Users, Shield, Loader2, Package } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Markdown } from '@/components/ui/markdown'
 import RecommendationSection from './recommendations/RecommendationSection'
 import LazyLoading, { useLazyLoading } from './ui/lazy-loading'
 import ImageOptimizer from './ui/image-optimizer'
 import { useAuth } from '../contexts/AuthContext'
 import apiService from '../services/api'
 import heroImage from '../assets/hero_image.png'
-import electronicsIcon from '../assets/category_electronics.png'
-import automotiveIcon from '../assets/category_automotive.png'
-import homeIcon from '../assets/category_home.png'
-import beautyIcon from '../assets/category_beauty.png'
 
 export function HomePage() {
   const [searchQuery, setSearchQuery] = useState('')
@@ -56,16 +53,6 @@ export function HomePage() {
     }
   }
 
-  const getCategoryIcon = (categoryName) => {
-    const iconMap = {
-      'Electronics': electronicsIcon,
-      'Automotive': automotiveIcon,
-      'Home & Garden': homeIcon,
-      'Beauty & Health': beautyIcon,
-    }
-    return iconMap[categoryName] || electronicsIcon
-  }
-
   const renderStars = (rating) => {
     return (
       <div className="flex items-center">
@@ -172,11 +159,15 @@ export function HomePage() {
                 >
                   <Card className="hover:shadow-lg transition-shadow cursor-pointer">
                     <CardContent className="p-6 text-center">
-                      <img 
-                        src={getCategoryIcon(category.name)} 
-                        alt={category.name}
-                        className="w-16 h-16 mx-auto mb-4 group-hover:scale-110 transition-transform"
-                      />
+                      {category.icon_url ? (
+                        <img
+                          src={category.icon_url}
+                          alt={category.name}
+                          className="w-16 h-16 mx-auto mb-4 object-contain group-hover:scale-110 transition-transform"
+                        />
+                      ) : (
+                        <Package className="w-16 h-16 p-3 mx-auto mb-4 text-gray-400 group-hover:scale-110 transition-transform" />
+                      )}
                       <h3 className="font-semibold text-gray-900 mb-2">{category.name}</h3>
                       <p className="text-sm text-gray-600">{category.product_count || 0} products</p>
                     </CardContent>
@@ -219,7 +210,7 @@ export function HomePage() {
                     </div>
                     
                     <h4 className="font-medium text-gray-900 mb-2">{review.title}</h4>
-                    <p className="text-gray-700 text-sm mb-4 line-clamp-3">{review.comment}</p>
+                    <Markdown text={review.comment} inline className="text-gray-700 text-sm mb-4 line-clamp-3" />
                     
                     <div className="flex items-center justify-between text-xs text-gray-500">
                       <div className="flex items-center space-x-2">
@@ -0,0 +1,35 @@
+import { useNavigate } from 'react-router-dom'
+import { Eye, LogOut } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { useAuth } from '../contexts/AuthContext'
+
+export function ImpersonationBanner() {
+  const { user, impersonator, isImpersonating, stopImpersonation } = useAuth()
+  const navigate = useNavigate()
+
+  if (!isImpersonating) return null
+
+  const handleExit = async () => {
+    const userId = user.id
+    await stopImpersonation()
+    navigate(`/admin/users?user=${userId}`)
+  }
+
+  return (
+    <div className="sticky top-0 z-[60] bg-amber-500 text-amber-950">
+      <div className="container mx-auto px-4 py-2 flex items-center justify-between gap-4 text-sm">
+        <div className="flex items-center gap-2">
+          <Eye className="h-4 w-4 flex-shrink-0" />
+          <span>
+            Viewing as <strong>@{user.username}</strong> (read-only).
+            Signed in as @{impersonator.username}; changes are disabled.
+          </span>
+        </div>
+        <Button size="sm" variant="outline" onClick={handleExit} className="bg-white">
+          <LogOut className="h-4 w-4 mr-1" />
+          Exit
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -1,89 +1,232 @@
-
-import { useState, useEffect } from 'react'
-import { useParams } from 'react-router-dom'
-import { Star, ThumbsUp, Shield, Filter, ChevronDown, Eye } from 'lucide-react'
+import { useState, useEffect, useRef } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { toast } from 'sonner'
+import { Star, ThumbsUp, ThumbsDown, Shield, Filter, Loader2, PackageX, MessageSquare } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { Progress } from '@/components/ui/progress'
+import { Markdown } from '@/components/ui/markdown'
 import RecommendationSection from './recommendations/RecommendationSection'
 import SimilarProducts from './search/SimilarProducts'
-import { api } from '../services/api'
+import { ReviewForm } from './reviews/ReviewForm'
+import { ReviewEditedMarker } from './reviews/ReviewRevisionHistory'
+import { ReviewHighlights } from './reviews/ReviewHighlights'
+import { ReviewReplies } from './reviews/ReviewReplies'
+import { ProductQuestions } from './questions/ProductQuestions'
+import { useAuth } from '../contexts/AuthContext'
+import apiService from '../services/api'
+
+const REVIEWS_PER_PAGE = 10
 
 export function ProductPage() {
   const { id } = useParams()
   const [sortBy, setSortBy] = useState('helpful')
   const [filterRating, setFilterRating] = useState('all')
 
+  const [product, setProduct] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [notFound, setNotFound] = useState(false)
+
+  const [reviews, setReviews] = useState([])
+  const [reviewsPage, setReviewsPage] = useState(1)
+  const [totalReviewPages, setTotalReviewPages] = useState(1)
+  const [reviewsLoading, setReviewsLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [reviewsError, setReviewsError] = useState('')
+  const [showReviewForm, setShowReviewForm] = useState(false)
+  // Review ids with their reply thread open
+  const [openThreads, setOpenThreads] = useState([])
+  // Review ids with a vote request in flight
+  const [pendingVotes, setPendingVotes] = useState([])
+  // Bumped per request so responses for an old product, sort or filter are dropped
+  const productRequestRef = useRef(0)
+  const reviewsRequestRef = useRef(0)
+
+  const { user, isAuthenticated } = useAuth()
+
   useEffect(() => {
     // Track product view interaction
     if (id) {
-      api.trackInteraction(parseInt(id), 'view').catch(console.error);
+      apiService.trackInteraction(parseInt(id), 'view').catch(console.error);
     }
   }, [id]);
 
-  // Mock product data
-  const product = {
-    id: 1,
-    name: 'iPhone 15 Pro',
-    brand: 'Apple',
-    image: 'https://images.unsplash.com/photo-1592750475338-74b7b21085ab?w=400',
-    rating: 4.5,
-    totalReviews: 1247,
-    specifications: [
-      '6.1-inch Display',
-      '128GB Storage',
-      '48MP Main Camera',
-      'A17 Pro Chip',
-      'Titanium Build'
-    ],
-    priceRange: '$999 - $1,199',
-    description: 'The iPhone 15 Pro features a titanium design, advanced camera system, and the powerful A17 Pro chip for exceptional performance.'
+  useEffect(() => {
+    fetchProduct()
+  }, [id])
+
+  useEffect(() => {
+    fetchReviews(1)
+  }, [id, sortBy, filterRating])
+
+  const fetchProduct = async () => {
+    const requestId = ++productRequestRef.current
+    const isStale = () => requestId !== productRequestRef.current
+    try {
+      setLoading(true)
+      setError('')
+      setNotFound(false)
+      const response = await apiService.getProduct(id)
+      if (isStale()) return
+      setProduct(response.product || response)
+    } catch (error) {
+      if (isStale()) return
+      if (error.status === 404) {
+        setNotFound(true)
+      } else {
+        setError('Failed to load product')
+      }
+      console.error('Error fetching product:', error)
+    } finally {
+      if (!isStale()) {
+        setLoading(false)
+      }
+    }
+  }
+
+  const fetchReviews = async (page) => {
+    const isFirstPage = page === 1
+    const requestId = ++reviewsRequestRef.current
+    const isStale = () => requestId !== reviewsRequestRef.current
+    try {
+      if (isFirstPage) {
+        setReviewsLoading(true)
+      } else {
+        setLoadingMore(true)
+      }
+      setReviewsError('')
+
+      const params = {
+        product_id: id,
+        sort: sortBy,
+        page,
+        per_page: REVIEWS_PER_PAGE
+      }
+      if (filterRating !== 'all') {
+        params.rating = filterRating
+      }
+
+      const response = await apiService.getReviews(params)
+      if (isStale()) return
+      const pageReviews = response.reviews || []
+      setReviews((prev) => (isFirstPage ? pageReviews : [...prev, ...pageReviews]))
+      setReviewsPage(page)
+      setTotalReviewPages(response.pages || (pageReviews.length < REVIEWS_PER_PAGE ? page : page + 1))
+    } catch (error) {
+      if (isStale()) return
+      setReviewsError('Failed to load reviews')
+      console.error('Error fetching reviews:', error)
+    } finally {
+      if (!isStale()) {
+        setReviewsLoading(false)
+        setLoadingMore(false)
+      }
+    }
+  }
+
+  const toggleThread = (reviewId) => {
+    setOpenThreads((prev) => (
+      prev.includes(reviewId) ? prev.filter((openId) => openId !== reviewId) : [...prev, reviewId]
+    ))
+  }
+
+  const handleReplyAdded = (reviewId) => {
+    setReviews((prev) => prev.map((review) => (
+      review.id === reviewId ? { ...review, reply_count: (review.reply_count || 0) + 1 } : review
+    )))
+  }
+
+  // Counts after the user's vote changes from its current user_vote
+  // (true, false or null) to nextVote
+  const getVoteState = (review, nextVote) => {
+    const state = {
+      helpful_count: review.helpful_count || 0,
+      not_helpful_count: review.not_helpful_count || 0,
+      user_vote: nextVote
+    }
+    if (review.user_vote === true) state.helpful_count -= 1
+    if (review.user_vote === false) state.not_helpful_count -= 1
+    if (nextVote === true) state.helpful_count += 1
+    if (nextVote === false) state.not_helpful_count += 1
+    return state
+  }
+
+  // Updates in place rather than re-sorting, so cards don't move under the
+  // cursor while voting; the next fetch or sort change picks up the new order
+  const setVoteState = (reviewId, voteState) => {
+    setReviews((prev) => prev.map((review) => (
+      review.id === reviewId ? { ...review, ...voteState } : review
+    )))
   }
 
-  const ratingDistribution = [
-    { stars: 5, count: 623, percentage: 50 },
-    { stars: 4, count: 374, percentage: 30 },
-    { stars: 3, count: 125, percentage: 10 },
-    { stars: 2, count: 75, percentage: 6 },
-    { stars: 1, count: 50, percentage: 4 }
-  ]
-
-  const reviews = [
-    {
-      id: 1,
-      user: 'John D.',
-      rating: 5,
-      title: 'Great phone!',
-      content: 'I\'ve been using this phone for 3 months now and I\'m really impressed with the camera quality and performance. The titanium build feels premium and the battery life is excellent.',
-      date: '2 weeks ago',
-      verified: true,
-      helpful: 12,
-      images: ['https://images.unsplash.com/photo-1511707171634-5f897ff02aa9?w=200']
-    },
-    {
-      id: 2,
-      user: 'Sarah M.',
-      rating: 4,
-      title: 'Solid upgrade',
-      content: 'Coming from iPhone 13, this is a nice upgrade. The camera improvements are noticeable and the new Action Button is useful. Only downside is the price.',
-      date: '1 month ago',
-      verified: true,
-      helpful: 8,
-      images: []
-    },
-    {
-      id: 3,
-      user: 'Mike R.',
-      rating: 5,
-      title: 'Best iPhone yet',
-      content: 'The A17 Pro chip makes everything incredibly smooth. Gaming performance is outstanding and the phone doesn\'t get hot like my previous Android.',
-      date: '3 weeks ago',
-      verified: false,
-      helpful: 15,
-      images: []
+  // Clicking the current vote again removes it
+  const handleVote = async (review, isHelpful) => {
+    if (pendingVotes.includes(review.id)) return
+
+    const nextVote = review.user_vote === isHelpful ? null : isHelpful
+    setPendingVotes((prev) => [...prev, review.id])
+    setVoteState(review.id, getVoteState(review, nextVote))
+
+    try {
+      if (nextVote === null) {
+        await apiService.removeVote(review.id)
+      } else {
+        await apiService.voteReview(review.id, nextVote)
+      }
+    } catch (error) {
+      setVoteState(review.id, {
+        helpful_count: review.helpful_count,
+        not_helpful_count: review.not_helpful_count,
+        user_vote: review.user_vote ?? null
+      })
+      toast.error(error.message || 'Failed to save your vote')
+      console.error('Error voting on review:', error)
+    } finally {
+      setPendingVotes((prev) => prev.filter((id) => id !== review.id))
     }
-  ]
+  }
+
+  const getVoteBlockReason = (review) => {
+    if (!isAuthenticated) return 'Sign in to vote'
+    if (user && review.user?.id === user.id) return "You can't vote on your own review"
+    return null
+  }
+
+  const getRatingDistribution = () => {
+    const distribution = product?.rating_distribution || {}
+    const total = Object.values(distribution).reduce((sum, count) => sum + count, 0)
+    return [5, 4, 3, 2, 1].map((stars) => {
+      const count = distribution[stars] || 0
+      return {
+        stars,
+        count,
+        percentage: total > 0 ? Math.round((count / total) * 100) : 0
+      }
+    })
+  }
+
+  // product.aspect_ratings holds { average, count } per aspect name; list them
+  // in the category's configured order, then any the category no longer has
+  const getAspectBreakdown = () => {
+    const summary = product?.aspect_ratings || {}
+    const aspects = [...new Set([...(product?.review_aspects || []), ...Object.keys(summary)])]
+    return aspects
+      .filter((aspect) => summary[aspect]?.count > 0)
+      .map((aspect) => ({
+        aspect,
+        average: summary[aspect].average,
+        count: summary[aspect].count,
+        percentage: Math.round((summary[aspect].average / 5) * 100)
+      }))
+  }
+
+  const formatSpecifications = (specifications) => {
+    if (!specifications) return []
+    if (Array.isArray(specifications)) return specifications
+    return Object.entries(specifications).map(([key, value]) => `${key}: ${value}`)
+  }
 
   const renderStars = (rating) => {
     return [...Array(5)].map((_, i) => (
@@ -98,13 +241,58 @@ export function ProductPage() {
     ))
   }
 
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex items-center justify-center py-24">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          <span className="ml-2 text-gray-600">Loading product...</span>
+        </div>
+      </div>
+    )
+  }
+
+  if (notFound) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center py-24">
+          <PackageX className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Product not found</h1>
+          <p className="text-gray-600 mb-6">
+            The product you're looking for doesn't exist or is no longer available.
+          </p>
+          <Button asChild>
+            <Link to="/search">Browse Products</Link>
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center py-24">
+          <p className="text-red-600">{error}</p>
+          <Button onClick={fetchProduct} className="mt-4">
+            Try Again
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  const averageRating = product.average_rating || 0
+  const reviewCount = product.review_count || 0
+  const specifications = formatSpecifications(product.specifications)
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       {/* Product Header */}
       <div className="grid lg:grid-cols-2 gap-8 mb-12">
         <div>
           <img
-            src={product.image}
+            src={product.image_url || 'https://images.unsplash.com/photo-1560472354-b33ff0c44a43?w=400'}
             alt={product.name}
             className="w-full h-96 object-cover rounded-lg shadow-lg"
           />
@@ -118,34 +306,40 @@ export function ProductPage() {
           
           <div className="flex items-center space-x-4 mb-6">
             <div className="flex items-center space-x-1">
-              {renderStars(product.rating)}
-              <span className="text-lg font-semibold ml-2">{product.rating}</span>
+              {renderStars(averageRating)}
+              <span className="text-lg font-semibold ml-2">{averageRating.toFixed(1)}</span>
             </div>
-            <span className="text-gray-600">({product.totalReviews} reviews)</span>
+            <span className="text-gray-600">({reviewCount} reviews)</span>
           </div>
           
-          <div className="mb-6">
-            <h3 className="font-semibold text-gray-900 mb-3">Specifications</h3>
-            <ul className="space-y-2">
-              {product.specifications.map((spec, index) => (
-                <li key={index} className="text-gray-700">• {spec}</li>
-              ))}
-            </ul>
-          </div>
+          {specifications.length > 0 && (
+            <div className="mb-6">
+              <h3 className="font-semibold text-gray-900 mb-3">Specifications</h3>
+              <ul className="space-y-2">
+                {specifications.map((spec, index) => (
+                  <li key={index} className="text-gray-700">• {spec}</li>
+                ))}
+              </ul>
+            </div>
+          )}
           
-          <div className="mb-6">
-            <p className="text-gray-700">{product.description}</p>
-          </div>
+          {product.description && (
+            <div className="mb-6">
+              <p className="text-gray-700">{product.description}</p>
+            </div>
+          )}
           
-          <div className="mb-6">
-            <p className="text-lg font-semibold text-gray-900">Price Range: {product.priceRange}</p>
-          </div>
+          {product.price_range && (
+            <div className="mb-6">
+              <p className="text-lg font-semibold text-gray-900">Price Range: {product.price_range}</p>
+            </div>
+          )}
           
           <div className="flex space-x-4">
             <Button size="lg" className="flex-1">
               Compare Prices
             </Button>
-            <Button size="lg" variant="outline">
+            <Button size="lg" variant="outline" onClick={() => setShowReviewForm(true)}>
               Write Review
             </Button>
           </div>
@@ -162,15 +356,15 @@ export function ProductPage() {
             </CardHeader>
             <CardContent>
               <div className="text-center mb-6">
-                <div className="text-4xl font-bold text-gray-900 mb-2">{product.rating}</div>
+                <div className="text-4xl font-bold text-gray-900 mb-2">{averageRating.toFixed(1)}</div>
                 <div className="flex justify-center mb-2">
-                  {renderStars(product.rating)}
+                  {renderStars(averageRating)}
                 </div>
-                <p className="text-gray-600">{product.totalReviews} total reviews</p>
+                <p className="text-gray-600">{reviewCount} total reviews</p>
               </div>
               
               <div className="space-y-3">
-                {ratingDistribution.map((item) => (
+                {getRatingDistribution().map((item) => (
                   <div key={item.stars} className="flex items-center space-x-3">
                     <span className="text-sm w-6">{item.stars}★</span>
                     <Progress value={item.percentage} className="flex-1" />
@@ -178,12 +372,45 @@ export function ProductPage() {
                   </div>
                 ))}
               </div>
+
+              {getAspectBreakdown().length > 0 && (
+                <div className="mt-6 pt-6 border-t">
+                  <h4 className="text-sm font-semibold text-gray-900 mb-3">Ratings by Feature</h4>
+                  <div className="space-y-3">
+                    {getAspectBreakdown().map((item) => (
+                      <div key={item.aspect}>
+                        <div className="flex items-center justify-between text-sm mb-1">
+                          <span className="text-gray-700">{item.aspect}</span>
+                          <span className="text-gray-600" title={`${item.count} ratings`}>
+                            {item.average.toFixed(1)}
+                          </span>
+                        </div>
+                        <Progress value={item.percentage} />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </CardContent>
           </Card>
         </div>
 
         {/* Reviews List */}
         <div className="lg:col-span-2">
+          {showReviewForm && (
+            <div className="mb-6">
+              <ReviewForm
+                productId={product.id}
+                aspects={product.review_aspects || []}
+                onReviewSubmitted={() => {
+                  setShowReviewForm(false)
+                  fetchReviews(1)
+                }}
+                onCancel={() => setShowReviewForm(false)}
+              />
+            </div>
+          )}
+
           {/* Filters */}
           <div className="flex flex-wrap gap-4 mb-6">
             <div className="flex items-center space-x-2">
@@ -218,66 +445,157 @@ export function ProductPage() {
           </div>
 
           {/* Individual Reviews */}
-          <div className="space-y-6">
-            {reviews.map((review) => (
-              <Card key={review.id}>
-                <CardContent className="p-6">
-                  <div className="flex items-start justify-between mb-4">
-                    <div>
-                      <div className="flex items-center space-x-2 mb-2">
-                        <span className="font-semibold">{review.user}</span>
-                        {review.verified && (
-                          <Badge variant="secondary" className="bg-green-100 text-green-800">
-                            <Shield className="h-3 w-3 mr-1" />
-                            Verified Purchase
-                          </Badge>
-                        )}
+          {reviewsLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="h-8 w-8 animate-spin text-primary" />
+              <span className="ml-2 text-gray-600">Loading reviews...</span>
+            </div>
+          ) : reviewsError && reviews.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-red-600">{reviewsError}</p>
+              <Button onClick={() => fetchReviews(1)} className="mt-4">
+                Try Again
+              </Button>
+            </div>
+          ) : reviews.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-gray-600">
+                {filterRating === 'all'
+                  ? 'No reviews yet. Be the first to share your experience!'
+                  : `No ${filterRating}-star reviews yet.`}
+              </p>
+            </div>
+          ) : (
+            <>
+              <div className="space-y-6">
+                {reviews.map((review) => (
+                  <Card key={review.id}>
+                    <CardContent className="p-6">
+                      <div className="flex items-start justify-between mb-4">
+                        <div>
+                          <div className="flex items-center space-x-2 mb-2">
+                            <span className="font-semibold">{review.user?.username || 'Anonymous'}</span>
+                            {review.is_verified && (
+                              <Badge variant="secondary" className="bg-green-100 text-green-800">
+                                <Shield className="h-3 w-3 mr-1" />
+                                Verified Purchase
+                              </Badge>
+                            )}
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            <div className="flex">
+                              {renderStars(review.rating)}
+                            </div>
+                            <span className="text-sm text-gray-600">
+                              {new Date(review.created_at).toLocaleDateString()}
+                            </span>
+                            <ReviewEditedMarker review={review} />
+                          </div>
+                        </div>
                       </div>
-                      <div className="flex items-center space-x-2">
-                        <div className="flex">
-                          {renderStars(review.rating)}
+                      
+                      <h4 className="font-semibold text-gray-900 mb-2">{review.title}</h4>
+                      <Markdown text={review.comment} className="text-gray-700 mb-4" />
+
+                      <ReviewHighlights review={review} />
+                      
+                      {review.images?.length > 0 && (
+                        <div className="flex space-x-2 mb-4">
+                          {review.images.map((image, index) => (
+                            <img
+                              key={image.id || index}
+                              src={image.thumbnail_url || image.url}
+                              alt={image.alt_text || 'Review'}
+                              className="w-20 h-20 object-cover rounded"
+                            />
+                          ))}
                         </div>
-                        <span className="text-sm text-gray-600">{review.date}</span>
+                      )}
+                      
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-1">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className={review.user_vote === true ? 'text-blue-600 bg-blue-50' : 'text-gray-600'}
+                            onClick={() => handleVote(review, true)}
+                            disabled={Boolean(getVoteBlockReason(review)) || pendingVotes.includes(review.id)}
+                            title={getVoteBlockReason(review) || undefined}
+                          >
+                            <ThumbsUp className={`h-4 w-4 mr-2 ${review.user_vote === true ? 'fill-current' : ''}`} />
+                            Helpful ({review.helpful_count || 0})
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className={review.user_vote === false ? 'text-blue-600 bg-blue-50' : 'text-gray-600'}
+                            onClick={() => handleVote(review, false)}
+                            disabled={Boolean(getVoteBlockReason(review)) || pendingVotes.includes(review.id)}
+                            title={getVoteBlockReason(review) || 'Not helpful'}
+                          >
+                            <ThumbsDown className={`h-4 w-4 ${review.user_vote === false ? 'fill-current' : ''}`} />
+                            {review.not_helpful_count > 0 && (
+                              <span className="ml-2">{review.not_helpful_count}</span>
+                            )}
+                          </Button>
+                        </div>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="text-gray-600"
+                          onClick={() => toggleThread(review.id)}
+                        >
+                          <MessageSquare className="h-4 w-4 mr-2" />
+                          {review.reply_count > 0
+                            ? `${review.reply_count} ${review.reply_count === 1 ? 'Reply' : 'Replies'}`
+                            : 'Reply'}
+                        </Button>
                       </div>
-                    </div>
-                  </div>
-                  
-                  <h4 className="font-semibold text-gray-900 mb-2">{review.title}</h4>
-                  <p className="text-gray-700 mb-4">{review.content}</p>
-                  
-                  {review.images.length > 0 && (
-                    <div className="flex space-x-2 mb-4">
-                      {review.images.map((image, index) => (
-                        <img
-                          key={index}
-                          src={image}
-                          alt="Review"
-                          className="w-20 h-20 object-cover rounded"
+
+                      {openThreads.includes(review.id) && (
+                        <ReviewReplies
+                          review={review}
+                          brand={product.brand}
+                          onReplyAdded={() => handleReplyAdded(review.id)}
                         />
-                      ))}
-                    </div>
-                  )}
-                  
-                  <div className="flex items-center justify-between">
-                    <Button variant="ghost" size="sm" className="text-gray-600">
-                      <ThumbsUp className="h-4 w-4 mr-2" />
-                      Helpful ({review.helpful})
-                    </Button>
-                    <Button variant="ghost" size="sm" className="text-gray-600">
-                      Reply
-                    </Button>
-                  </div>
-                </CardContent>
-              </Card>
-            ))}
-          </div>
-          
-          <div className="text-center mt-8">
-            <Button variant="outline">Load More Reviews</Button>
-          </div>
+                      )}
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+
+              {reviewsError && (
+                <p className="text-center text-red-600 mt-6">{reviewsError}</p>
+              )}
+              
+              {reviewsPage < totalReviewPages && (
+                <div className="text-center mt-8">
+                  <Button
+                    variant="outline"
+                    onClick={() => fetchReviews(reviewsPage + 1)}
+                    disabled={loadingMore}
+                  >
+                    {loadingMore ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        Loading...
+                      </>
+                    ) : (
+                      'Load More Reviews'
+                    )}
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
         </div>
       </div>
 
+      {/* Questions & Answers Section */}
+      <div className="mt-16">
+        <ProductQuestions productId={product.id} brand={product.brand} />
+      </div>
+
       {/* Visual Similar Products Section */}
       <div className="mt-16">
         <SimilarProducts productId={parseInt(id)} />
@@ -0,0 +1,499 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line } from 'recharts';
+import { Download, Image as ImageIcon, ChevronRight, Users, MessageSquare, Star, Calendar } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import apiService from '../../services/api';
+import { downloadCsv, downloadChartPng } from '../../lib/export';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are YYYY-MM-DD strings; arithmetic is done in UTC to avoid DST drift
+const toDateString = (date) => date.toISOString().split('T')[0];
+const addDays = (dateString, days) => toDateString(new Date(new Date(dateString).getTime() + days * DAY_MS));
+const getRangeLength = ({ startDate, endDate }) => (
+  Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS) + 1
+);
+
+const getPresetRange = (days) => {
+  const endDate = toDateString(new Date());
+  return { startDate: addDays(endDate, -(days - 1)), endDate };
+};
+
+// The range of equal length that ends the day before `range` starts
+const getPreviousRange = (range) => {
+  const endDate = addDays(range.startDate, -1);
+  return { startDate: addDays(endDate, -(getRangeLength(range) - 1)), endDate };
+};
+
+const sumCounts = (series = []) => series.reduce((total, point) => total + (point.count || 0), 0);
+
+const getAverageRating = (distribution = []) => {
+  const total = sumCounts(distribution);
+  if (total === 0) return 0;
+  return distribution.reduce((sum, point) => sum + point.rating * point.count, 0) / total;
+};
+
+// Align the previous period with the current one by day offset
+const mergeSeries = (current = [], previous = []) => (
+  current.map((point, index) => ({
+    date: point.date,
+    current: point.count,
+    previous: previous[index]?.count ?? null,
+  }))
+);
+
+const mergeRatings = (current = [], previous = []) => (
+  [1, 2, 3, 4, 5].map((rating) => ({
+    rating,
+    current: current.find(point => point.rating === rating)?.count || 0,
+    previous: previous.find(point => point.rating === rating)?.count || 0,
+  }))
+);
+
+const ChartCard = ({ title, filename, csvRows, csvColumns, children }) => {
+  const chartRef = useRef(null);
+
+  const handlePngExport = async () => {
+    try {
+      await downloadChartPng(chartRef.current, `${filename}.png`);
+    } catch (err) {
+      console.error('Error exporting chart:', err);
+      alert('Failed to export chart image');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle>{title}</CardTitle>
+          <div className="flex items-center space-x-2">
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => downloadCsv(csvRows, `${filename}.csv`, csvColumns)}
+              disabled={csvRows.length === 0}
+            >
+              <Download className="h-4 w-4 mr-1" />
+              CSV
+            </Button>
+            <Button size="sm" variant="outline" onClick={handlePngExport} disabled={csvRows.length === 0}>
+              <ImageIcon className="h-4 w-4 mr-1" />
+              PNG
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div ref={chartRef}>{children}</div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const AdminAnalytics = () => {
+  const [preset, setPreset] = useState('30');
+  const [range, setRange] = useState(getPresetRange(30));
+  const [compare, setCompare] = useState(true);
+  const [analytics, setAnalytics] = useState(null);
+  const [previousAnalytics, setPreviousAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Drill-down trail: [] → categories, [category] → products, [category, product] → reviews
+  const [drillPath, setDrillPath] = useState([]);
+  const [breakdown, setBreakdown] = useState([]);
+  const [breakdownLoading, setBreakdownLoading] = useState(true);
+
+  const rangeIsValid = range.startDate && range.endDate && range.startDate <= range.endDate;
+  const previousRange = rangeIsValid ? getPreviousRange(range) : null;
+
+  useEffect(() => {
+    if (rangeIsValid) fetchAnalytics();
+  }, [range, compare]);
+
+  useEffect(() => {
+    if (rangeIsValid) fetchBreakdown();
+  }, [range, drillPath]);
+
+  const fetchAnalytics = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [current, previous] = await Promise.all([
+        apiService.getAdminAnalytics(null, range),
+        compare ? apiService.getAdminAnalytics(null, previousRange) : Promise.resolve(null),
+      ]);
+
+      setAnalytics(current);
+      setPreviousAnalytics(previous);
+    } catch (err) {
+      setError('Failed to load analytics');
+      console.error('Error fetching analytics:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchBreakdown = async () => {
+    try {
+      setBreakdownLoading(true);
+      const [category, product] = drillPath;
+      const response = await apiService.getAdminAnalyticsBreakdown({
+        ...range,
+        categoryId: category?.id,
+        productId: product?.id,
+      });
+      setBreakdown(response.items || []);
+    } catch (err) {
+      setBreakdown([]);
+      console.error('Error fetching analytics breakdown:', err);
+    } finally {
+      setBreakdownLoading(false);
+    }
+  };
+
+  const handlePresetChange = (value) => {
+    setPreset(value);
+    if (value !== 'custom') {
+      setRange(getPresetRange(parseInt(value)));
+    }
+  };
+
+  const handleDrillDown = (item) => {
+    if (drillPath.length >= 2 || !item) return;
+    setDrillPath([...drillPath, { id: item.id, name: item.name }]);
+  };
+
+  const fileSuffix = `${range.startDate}-to-${range.endDate}`;
+  const breakdownLevel = ['categories', 'products', 'reviews'][drillPath.length];
+
+  const usersSeries = mergeSeries(analytics?.daily_users, previousAnalytics?.daily_users);
+  const reviewsSeries = mergeSeries(analytics?.daily_reviews, previousAnalytics?.daily_reviews);
+  const ratingSeries = mergeRatings(analytics?.rating_distribution, previousAnalytics?.rating_distribution);
+
+  const seriesColumns = [
+    { key: 'date', label: 'Date' },
+    { key: 'current', label: 'Count' },
+    ...(compare ? [{ key: 'previous', label: 'Previous Period Count' }] : []),
+  ];
+
+  const summaries = [
+    {
+      label: 'New Users',
+      icon: Users,
+      color: 'text-blue-600',
+      current: sumCounts(analytics?.daily_users),
+      previous: sumCounts(previousAnalytics?.daily_users),
+    },
+    {
+      label: 'New Reviews',
+      icon: MessageSquare,
+      color: 'text-purple-600',
+      current: sumCounts(analytics?.daily_reviews),
+      previous: sumCounts(previousAnalytics?.daily_reviews),
+    },
+    {
+      label: 'Average Rating',
+      icon: Star,
+      color: 'text-yellow-500',
+      current: getAverageRating(analytics?.rating_distribution),
+      previous: getAverageRating(previousAnalytics?.rating_distribution),
+      decimals: 2,
+    },
+  ];
+
+  const renderChange = (current, previous) => {
+    if (!compare || !previousAnalytics) return null;
+    if (!previous) {
+      return <p className="text-xs text-gray-500">No data in previous period</p>;
+    }
+    const change = ((current - previous) / previous) * 100;
+    return (
+      <p className={`text-xs ${change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+        {change >= 0 ? '+' : ''}{change.toFixed(1)}% vs previous period
+      </p>
+    );
+  };
+
+  const renderComparisonLines = (data) => (
+    <ResponsiveContainer width="100%" height={300}>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="date" />
+        <YAxis />
+        <Tooltip />
+        <Legend />
+        <Line type="monotone" dataKey="current" name="This period" stroke="#3B82F6" strokeWidth={2} />
+        {compare && (
+          <Line
+            type="monotone"
+            dataKey="previous"
+            name="Previous period"
+            stroke="#9CA3AF"
+            strokeWidth={2}
+            strokeDasharray="5 5"
+          />
+        )}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Analytics</h1>
+          <p className="text-gray-600">Explore platform activity over any period</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Calendar className="h-4 w-4 text-gray-500" />
+          <select
+            value={preset}
+            onChange={(e) => handlePresetChange(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="7">Last 7 days</option>
+            <option value="30">Last 30 days</option>
+            <option value="90">Last 90 days</option>
+            <option value="365">Last 12 months</option>
+            <option value="custom">Custom range</option>
+          </select>
+          {preset === 'custom' && (
+            <>
+              <Input
+                type="date"
+                value={range.startDate}
+                max={range.endDate}
+                onChange={(e) => setRange({ ...range, startDate: e.target.value })}
+                className="w-auto"
+              />
+              <span className="text-gray-500">to</span>
+              <Input
+                type="date"
+                value={range.endDate}
+                min={range.startDate}
+                max={toDateString(new Date())}
+                onChange={(e) => setRange({ ...range, endDate: e.target.value })}
+                className="w-auto"
+              />
+            </>
+          )}
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={compare}
+              onChange={(e) => setCompare(e.target.checked)}
+              className="rounded"
+            />
+            <span>Compare to previous period</span>
+          </label>
+        </div>
+      </div>
+
+      {!rangeIsValid ? (
+        <div className="text-center py-8">
+          <p className="text-red-600">The start date must be on or before the end date.</p>
+        </div>
+      ) : error ? (
+        <div className="text-center py-8">
+          <p className="text-red-600">{error}</p>
+        </div>
+      ) : loading ? (
+        <div className="animate-pulse space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-28 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {[...Array(2)].map((_, i) => (
+              <div key={i} className="h-80 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <>
+          {compare && previousRange && (
+            <p className="text-sm text-gray-500">
+              Comparing {range.startDate} – {range.endDate} with {previousRange.startDate} – {previousRange.endDate}
+            </p>
+          )}
+
+          {/* Summary */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {summaries.map((summary) => (
+              <Card key={summary.label}>
+                <CardContent className="p-6">
+                  <div className="flex items-center">
+                    <summary.icon className={`h-8 w-8 ${summary.color}`} />
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">{summary.label}</p>
+                      <p className="text-2xl font-bold text-gray-900">
+                        {summary.current.toFixed(summary.decimals || 0)}
+                      </p>
+                      {renderChange(summary.current, summary.previous)}
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          {/* Time Series */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ChartCard
+              title="Daily User Registrations"
+              filename={`analytics-daily-users-${fileSuffix}`}
+              csvRows={usersSeries}
+              csvColumns={seriesColumns}
+            >
+              {renderComparisonLines(usersSeries)}
+            </ChartCard>
+
+            <ChartCard
+              title="Daily Reviews"
+              filename={`analytics-daily-reviews-${fileSuffix}`}
+              csvRows={reviewsSeries}
+              csvColumns={seriesColumns}
+            >
+              {renderComparisonLines(reviewsSeries)}
+            </ChartCard>
+          </div>
+
+          <ChartCard
+            title="Rating Distribution"
+            filename={`analytics-ratings-${fileSuffix}`}
+            csvRows={ratingSeries}
+            csvColumns={[
+              { key: 'rating', label: 'Rating' },
+              { key: 'current', label: 'Count' },
+              ...(compare ? [{ key: 'previous', label: 'Previous Period Count' }] : []),
+            ]}
+          >
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={ratingSeries}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="rating" />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="current" name="This period" fill="#F59E0B" />
+                {compare && <Bar dataKey="previous" name="Previous period" fill="#D1D5DB" />}
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </>
+      )}
+
+      {/* Drill-down */}
+      {rangeIsValid && (
+        <ChartCard
+          title={
+            <div className="flex items-center flex-wrap text-base">
+              <button
+                onClick={() => setDrillPath([])}
+                className={drillPath.length ? 'text-blue-600 hover:underline' : ''}
+              >
+                All Categories
+              </button>
+              {drillPath.map((step, index) => (
+                <React.Fragment key={step.id}>
+                  <ChevronRight className="h-4 w-4 mx-1 text-gray-400" />
+                  <button
+                    onClick={() => setDrillPath(drillPath.slice(0, index + 1))}
+                    className={index < drillPath.length - 1 ? 'text-blue-600 hover:underline' : ''}
+                  >
+                    {step.name}
+                  </button>
+                </React.Fragment>
+              ))}
+            </div>
+          }
+          filename={`analytics-${breakdownLevel}-${fileSuffix}`}
+          csvRows={breakdown.map((item) => (
+            breakdownLevel === 'reviews'
+              ? { ...item, user: item.user?.username }
+              : item
+          ))}
+          csvColumns={breakdownLevel === 'reviews'
+            ? [
+              { key: 'id', label: 'Review ID' },
+              { key: 'title', label: 'Title' },
+              { key: 'rating', label: 'Rating' },
+              { key: 'user', label: 'User' },
+              { key: 'helpful_count', label: 'Helpful Votes' },
+              { key: 'created_at', label: 'Created At' },
+            ]
+            : [
+              { key: 'id', label: 'ID' },
+              { key: 'name', label: 'Name' },
+              { key: 'review_count', label: 'Reviews' },
+              { key: 'average_rating', label: 'Average Rating' },
+            ]}
+        >
+          {breakdownLoading ? (
+            <div className="animate-pulse h-72 bg-gray-200 rounded"></div>
+          ) : breakdown.length === 0 ? (
+            <p className="text-center text-gray-600 py-12">No reviews in this period.</p>
+          ) : breakdownLevel === 'reviews' ? (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-4">Review</th>
+                    <th className="text-left py-3 px-4">Rating</th>
+                    <th className="text-left py-3 px-4">User</th>
+                    <th className="text-left py-3 px-4">Helpful</th>
+                    <th className="text-left py-3 px-4">Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {breakdown.map((review) => (
+                    <tr key={review.id} className="border-b hover:bg-gray-50">
+                      <td className="py-3 px-4 font-medium text-gray-900">{review.title}</td>
+                      <td className="py-3 px-4 text-sm">
+                        <div className="flex items-center">
+                          <Star className="h-4 w-4 text-yellow-400 fill-yellow-400 mr-1" />
+                          {review.rating}
+                        </div>
+                      </td>
+                      <td className="py-3 px-4 text-sm">{review.user?.username || 'Unknown'}</td>
+                      <td className="py-3 px-4 text-sm">{review.helpful_count || 0}</td>
+                      <td className="py-3 px-4 text-sm">{new Date(review.created_at).toLocaleDateString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-gray-500 mb-4">
+                Click a bar to see its {breakdownLevel === 'categories' ? 'products' : 'reviews'}.
+              </p>
+              <ResponsiveContainer width="100%" height={Math.max(300, breakdown.length * 36)}>
+                <BarChart data={breakdown} layout="vertical" margin={{ left: 40 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" />
+                  <YAxis type="category" dataKey="name" width={160} />
+                  <Tooltip />
+                  <Bar
+                    dataKey="review_count"
+                    name="Reviews"
+                    fill="#3B82F6"
+                    cursor="pointer"
+                    onClick={(data) => handleDrillDown(data?.payload)}
+                  />
+                </BarChart>
+              </ResponsiveContainer>
+            </>
+          )}
+        </ChartCard>
+      )}
+    </div>
+  );
+};
+
+export default AdminAnalytics;
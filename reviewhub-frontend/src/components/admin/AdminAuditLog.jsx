@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Search, Download } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Badge } from '../ui/badge';
+import { downloadCsv } from '../../lib/export';
+import apiService from '../../services/api';
+
+const PAGE_SIZE = 50;
+const EXPORT_PAGE_SIZE = 200;
+
+const ENTITY_TYPES = [
+  { value: 'user', label: 'Users' },
+  { value: 'product', label: 'Products' },
+  { value: 'review', label: 'Reviews' },
+  { value: 'category', label: 'Categories' },
+  { value: 'settings', label: 'Settings' },
+  { value: 'cache', label: 'Cache' },
+  { value: 'database', label: 'Database' },
+  { value: 'deletion_request', label: 'Deletion Requests' },
+  { value: 'data_export', label: 'Data Exports' },
+  { value: 'visual_search', label: 'Visual Search' },
+];
+
+const EXPORT_COLUMNS = [
+  { key: 'created_at', label: 'Time' },
+  { key: 'actor_username', label: 'Actor' },
+  { key: 'actor_id', label: 'Actor ID' },
+  { key: 'action', label: 'Action' },
+  { key: 'entity_type', label: 'Entity' },
+  { key: 'entity_id', label: 'Entity ID' },
+  { key: 'reason', label: 'Reason' },
+];
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+// Filters live in the URL so other admin pages can link to an entity's history
+const readFilters = (searchParams) => ({
+  actor: searchParams.get('actor') || '',
+  entityType: searchParams.get('entity') || '',
+  entityId: searchParams.get('entity_id') || '',
+  action: searchParams.get('action') || '',
+});
+
+const AdminAuditLog = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = readFilters(searchParams);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [actorInput, setActorInput] = useState(filters.actor);
+  const [actionInput, setActionInput] = useState(filters.action);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [currentPage, searchParams]);
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.getAdminAuditLog(currentPage, PAGE_SIZE, filters);
+      setEntries(response.entries || []);
+      setTotalPages(response.pages || 1);
+    } catch (err) {
+      setError('Failed to load audit log');
+      console.error('Error fetching audit log:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilters = (changes) => {
+    const next = { ...filters, ...changes };
+    const params = {};
+    if (next.actor) params.actor = next.actor;
+    if (next.entityType) params.entity = next.entityType;
+    if (next.entityId) params.entity_id = next.entityId;
+    if (next.action) params.action = next.action;
+    setSearchParams(params);
+    setCurrentPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilters({ actor: actorInput.trim(), action: actionInput.trim() });
+  };
+
+  const handleClearFilters = () => {
+    setActorInput('');
+    setActionInput('');
+    setSearchParams({});
+    setCurrentPage(1);
+  };
+
+  // Exports every entry matching the filters, not just the loaded page
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const exportedEntries = [];
+      let page = 1;
+      let pages = 1;
+      do {
+        const response = await apiService.getAdminAuditLog(page, EXPORT_PAGE_SIZE, filters);
+        exportedEntries.push(...(response.entries || []));
+        pages = response.pages || 1;
+        page += 1;
+      } while (page <= pages);
+
+      downloadCsv(exportedEntries, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`, EXPORT_COLUMNS);
+    } catch (err) {
+      console.error('Error exporting audit log:', err);
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-600">Who changed what across the admin panel, and why</p>
+        </div>
+        <Button variant="outline" onClick={handleExport} disabled={exporting}>
+          <Download className="h-4 w-4 mr-2" />
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <CardContent className="p-6">
+          <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-4">
+            <div className="relative flex-1 min-w-[12rem]">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+              <Input
+                type="text"
+                placeholder="Actor username"
+                value={actorInput}
+                onChange={(e) => setActorInput(e.target.value)}
+                className="pl-10"
+              />
+            </div>
+            <select
+              value={filters.entityType}
+              onChange={(e) => updateFilters({ entityType: e.target.value, entityId: '' })}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">All entities</option>
+              {ENTITY_TYPES.map((entity) => (
+                <option key={entity.value} value={entity.value}>{entity.label}</option>
+              ))}
+            </select>
+            <Input
+              type="text"
+              placeholder="Action, e.g. user.status_update"
+              value={actionInput}
+              onChange={(e) => setActionInput(e.target.value)}
+              className="flex-1 min-w-[12rem]"
+            />
+            <Button type="submit">Filter</Button>
+            {hasFilters && (
+              <Button type="button" variant="ghost" onClick={handleClearFilters}>
+                Clear
+              </Button>
+            )}
+          </form>
+          {filters.entityId && (
+            <p className="text-sm text-gray-600 mt-3">
+              Showing history of {filters.entityType || 'entity'} #{filters.entityId}
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Entries */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Entries</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="animate-pulse space-y-4">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="h-12 bg-gray-200 rounded"></div>
+              ))}
+            </div>
+          ) : error ? (
+            <p className="text-red-600 text-center py-8">{error}</p>
+          ) : entries.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No audit entries match these filters.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-3 px-4">When</th>
+                    <th className="text-left py-3 px-4">Actor</th>
+                    <th className="text-left py-3 px-4">Action</th>
+                    <th className="text-left py-3 px-4">Entity</th>
+                    <th className="text-left py-3 px-4">Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.id} className="border-b border-gray-100 hover:bg-gray-50">
+                      <td className="py-3 px-4 text-gray-600 whitespace-nowrap">
+                        {formatDateTime(entry.created_at)}
+                      </td>
+                      <td className="py-3 px-4">
+                        <button
+                          onClick={() => {
+                            setActorInput(entry.actor_username || '');
+                            updateFilters({ actor: entry.actor_username || '' });
+                          }}
+                          className="text-blue-600 hover:underline"
+                        >
+                          {entry.actor_username || `User #${entry.actor_id}`}
+                        </button>
+                      </td>
+                      <td className="py-3 px-4">
+                        <Badge variant="secondary" className="font-mono text-xs">{entry.action}</Badge>
+                      </td>
+                      <td className="py-3 px-4">
+                        <button
+                          onClick={() => updateFilters({
+                            entityType: entry.entity_type,
+                            entityId: entry.entity_id ? String(entry.entity_id) : '',
+                          })}
+                          className="text-gray-900 hover:underline capitalize"
+                        >
+                          {entry.entity_type.replace(/_/g, ' ')}
+                          {entry.entity_id && ` #${entry.entity_id}`}
+                        </button>
+                      </td>
+                      <td className="py-3 px-4 text-gray-600 max-w-xs">
+                        {entry.reason || <span className="text-gray-400">—</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="flex items-center justify-between mt-6">
+              <div className="text-sm text-gray-600">
+                Page {currentPage} of {totalPages}
+              </div>
+              <div className="flex items-center space-x-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AdminAuditLog;
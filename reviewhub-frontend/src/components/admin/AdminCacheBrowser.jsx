@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2, Search, Trash2, Zap, AlertTriangle, FolderOpen } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Badge } from '../ui/badge';
+import AuditReasonDialog from './AuditReasonDialog';
+import apiService from '../../services/api';
+
+const HIT_RATE_WARNING = 80;
+
+const isWildcard = (pattern) => /[*?[]/.test(pattern);
+
+const getNamespacePattern = (namespace) => namespace.pattern || `${namespace.name}:*`;
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+// Lists cache key namespaces from getCacheStats and clears or warms them
+const AdminCacheBrowser = ({ cacheStats, canManageCache, onChanged }) => {
+  const [pattern, setPattern] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [selectedNamespaces, setSelectedNamespaces] = useState([]);
+  const [warming, setWarming] = useState(false);
+  const [clearing, setClearing] = useState(false);
+  // { pattern, matched } awaiting confirmation
+  const [pendingClear, setPendingClear] = useState(null);
+
+  const namespaces = cacheStats?.namespaces || [];
+
+  const fetchMatchCount = async (keyPattern) => {
+    const response = await apiService.clearCache(keyPattern, { dryRun: true });
+    return response.matched ?? 0;
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!pattern.trim()) return;
+
+    try {
+      setPreviewing(true);
+      const matched = await fetchMatchCount(pattern.trim());
+      setPreview({ pattern: pattern.trim(), matched });
+    } catch (err) {
+      console.error('Error previewing cache pattern:', err);
+      toast.error('Failed to preview pattern');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const clearPattern = async (keyPattern, reason) => {
+    try {
+      setClearing(true);
+      const response = await apiService.clearCache(keyPattern, { reason });
+      toast.success(`Cleared ${response.deleted ?? 0} keys matching ${keyPattern}`);
+      setPendingClear(null);
+      setPreview(null);
+      onChanged();
+    } catch (err) {
+      console.error('Error clearing cache:', err);
+      toast.error(`Failed to clear ${keyPattern}`);
+    } finally {
+      setClearing(false);
+    }
+  };
+
+  // Wildcards can match far more than intended, so show the match count first
+  const requestClear = async (keyPattern) => {
+    if (!isWildcard(keyPattern)) {
+      clearPattern(keyPattern);
+      return;
+    }
+
+    try {
+      setClearing(true);
+      const matched = preview?.pattern === keyPattern ? preview.matched : await fetchMatchCount(keyPattern);
+      setPendingClear({ pattern: keyPattern, matched });
+    } catch (err) {
+      console.error('Error previewing cache pattern:', err);
+      toast.error('Failed to preview pattern');
+    } finally {
+      setClearing(false);
+    }
+  };
+
+  const handleSelectNamespace = (name) => {
+    setSelectedNamespaces(prev => (
+      prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]
+    ));
+  };
+
+  const handleWarmSelected = async () => {
+    try {
+      setWarming(true);
+      await apiService.warmCache(selectedNamespaces);
+      toast.success(`Warmed ${selectedNamespaces.join(', ')}`);
+      setSelectedNamespaces([]);
+      onChanged();
+    } catch (err) {
+      console.error('Error warming cache:', err);
+      toast.error('Failed to warm cache');
+    } finally {
+      setWarming(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center">
+            <FolderOpen className="h-5 w-5 mr-2" />
+            Cache Browser
+          </CardTitle>
+          {canManageCache && (
+            <div className="flex items-center space-x-2">
+              {selectedNamespaces.length > 0 && (
+                <Button size="sm" onClick={handleWarmSelected} disabled={warming}>
+                  {warming ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <Zap className="h-4 w-4 mr-2" />
+                  )}
+                  Warm {selectedNamespaces.length} selected
+                </Button>
+              )}
+              <Button size="sm" variant="outline" onClick={() => requestClear('*')} disabled={clearing}>
+                <Trash2 className="h-4 w-4 mr-2" />
+                Clear All
+              </Button>
+            </div>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {canManageCache && (
+          <div>
+            <form onSubmit={handlePreview} className="flex items-center space-x-2">
+              <div className="relative flex-1">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+                <Input
+                  value={pattern}
+                  onChange={(e) => {
+                    setPattern(e.target.value);
+                    setPreview(null);
+                  }}
+                  placeholder="Key or glob pattern, e.g. products:*:reviews"
+                  className="pl-10 font-mono"
+                />
+              </div>
+              <Button type="submit" variant="outline" disabled={previewing || !pattern.trim()}>
+                {previewing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Preview
+              </Button>
+              <Button
+                type="button"
+                variant="destructive"
+                onClick={() => requestClear(pattern.trim())}
+                disabled={clearing || !pattern.trim()}
+              >
+                <Trash2 className="h-4 w-4 mr-2" />
+                Clear
+              </Button>
+            </form>
+            {preview && (
+              <p className="text-sm text-gray-600 mt-2">
+                <code className="font-mono">{preview.pattern}</code> matches {preview.matched} keys
+              </p>
+            )}
+          </div>
+        )}
+
+        {namespaces.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No cache namespaces reported.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  {canManageCache && <th className="py-3 px-4 w-8"></th>}
+                  <th className="text-left py-3 px-4">Namespace</th>
+                  <th className="text-left py-3 px-4">Keys</th>
+                  <th className="text-left py-3 px-4">Size</th>
+                  <th className="text-left py-3 px-4">Hit Rate</th>
+                  {canManageCache && <th className="text-left py-3 px-4">Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {namespaces.map((namespace) => (
+                  <tr key={namespace.name} className="border-b border-gray-100 hover:bg-gray-50">
+                    {canManageCache && (
+                      <td className="py-3 px-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedNamespaces.includes(namespace.name)}
+                          onChange={() => handleSelectNamespace(namespace.name)}
+                          className="rounded"
+                        />
+                      </td>
+                    )}
+                    <td className="py-3 px-4">
+                      <div className="font-medium text-gray-900">{namespace.name}</div>
+                      <code className="text-xs text-gray-500">{getNamespacePattern(namespace)}</code>
+                    </td>
+                    <td className="py-3 px-4">{(namespace.keys || 0).toLocaleString()}</td>
+                    <td className="py-3 px-4">{formatBytes(namespace.memory_bytes)}</td>
+                    <td className="py-3 px-4">
+                      <span>{namespace.hit_rate ?? 0}%</span>
+                      {(namespace.hit_rate ?? 0) < HIT_RATE_WARNING && (
+                        <Badge className="ml-2 bg-yellow-100 text-yellow-800 text-xs">Low</Badge>
+                      )}
+                    </td>
+                    {canManageCache && (
+                      <td className="py-3 px-4">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => requestClear(getNamespacePattern(namespace))}
+                          disabled={clearing}
+                        >
+                          <Trash2 className="h-4 w-4 mr-1" />
+                          Clear
+                        </Button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+
+      <AuditReasonDialog
+        open={Boolean(pendingClear)}
+        title="Clear cached keys?"
+        description={pendingClear && (
+          <>
+            <code className="font-mono">{pendingClear.pattern}</code> matches{' '}
+            <strong>{pendingClear.matched}</strong> keys.
+          </>
+        )}
+        confirmLabel={`Clear ${pendingClear?.matched ?? 0} keys`}
+        destructive
+        confirmDisabled={pendingClear?.matched === 0}
+        busy={clearing}
+        onConfirm={(reason) => clearPattern(pendingClear.pattern, reason)}
+        onCancel={() => setPendingClear(null)}
+      >
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md flex items-start">
+          <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0" />
+          <p className="text-sm text-yellow-800">
+            Requests for these keys will hit the database until the cache is warm again.
+          </p>
+        </div>
+      </AuditReasonDialog>
+    </Card>
+  );
+};
+
+export default AdminCacheBrowser;
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Edit, Eye, EyeOff, ArrowUp, ArrowDown, FolderTree, Package } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import AdminCategoryForm from './AdminCategoryForm';
+import apiService from '../../services/api';
+
+const bySortOrder = (a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0) || a.name.localeCompare(b.name);
+
+const getChildren = (categories, parentId) => (
+  categories
+    .filter(category => (category.parent_id ?? null) === parentId)
+    .sort(bySortOrder)
+);
+
+// Depth-first list of { category, depth } in display order
+const flattenTree = (categories, parentId = null, depth = 0) => (
+  getChildren(categories, parentId).flatMap(category => [
+    { category, depth },
+    ...flattenTree(categories, category.id, depth + 1),
+  ])
+);
+
+const getDescendantIds = (categories, categoryId) => (
+  getChildren(categories, categoryId).flatMap(child => [
+    child.id,
+    ...getDescendantIds(categories, child.id),
+  ])
+);
+
+const AdminCategories = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.getAdminCategories();
+      setCategories(response.categories || []);
+    } catch (err) {
+      setError('Failed to load categories');
+      console.error('Error fetching categories:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStatusToggle = async (category) => {
+    try {
+      setUpdatingId(category.id);
+      await apiService.updateCategoryStatus(category.id, !category.is_active);
+      setCategories(categories.map(item => (
+        item.id === category.id ? { ...item, is_active: !category.is_active } : item
+      )));
+    } catch (err) {
+      console.error('Error updating category status:', err);
+      alert('Failed to update category status');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Swap a category with its previous (-1) or next (+1) sibling
+  const handleMove = async (category, direction) => {
+    const parentId = category.parent_id ?? null;
+    const siblings = getChildren(categories, parentId);
+    const index = siblings.findIndex(sibling => sibling.id === category.id);
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= siblings.length) return;
+
+    const reordered = [...siblings];
+    [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+    const orderedIds = reordered.map(sibling => sibling.id);
+
+    const previousCategories = categories;
+    setCategories(categories.map(item => (
+      orderedIds.includes(item.id) ? { ...item, sort_order: orderedIds.indexOf(item.id) } : item
+    )));
+
+    try {
+      setUpdatingId(category.id);
+      await apiService.reorderCategories(parentId, orderedIds);
+    } catch (err) {
+      console.error('Error reordering categories:', err);
+      setCategories(previousCategories);
+      alert('Failed to reorder categories');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleCategorySaved = () => {
+    setEditingCategory(null);
+    fetchCategories();
+  };
+
+  const getParentOptions = (category) => {
+    if (!category?.id) return flattenTree(categories);
+    const excludedIds = [category.id, ...getDescendantIds(categories, category.id)];
+    return flattenTree(categories).filter(({ category: option }) => !excludedIds.includes(option.id));
+  };
+
+  if (loading && categories.length === 0) {
+    return (
+      <div className="space-y-6">
+        <div className="animate-pulse">
+          <div className="h-8 bg-gray-200 rounded w-1/4 mb-6"></div>
+          <div className="space-y-4">
+            {[...Array(5)].map((_, i) => (
+              <div key={i} className="h-16 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const rows = flattenTree(categories);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Categories</h1>
+          <p className="text-gray-600">Organize the catalog into nested categories</p>
+        </div>
+        <Button onClick={() => setEditingCategory({})}>
+          <Plus className="h-4 w-4 mr-2" />
+          New Category
+        </Button>
+      </div>
+
+      {/* Category Tree */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Category Tree ({categories.length})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {rows.length === 0 ? (
+            <div className="text-center py-12">
+              <FolderTree className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No categories yet.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-4">Category</th>
+                    <th className="text-left py-3 px-4">Products</th>
+                    <th className="text-left py-3 px-4">Status</th>
+                    <th className="text-left py-3 px-4">Order</th>
+                    <th className="text-left py-3 px-4">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(({ category, depth }) => {
+                    const siblings = getChildren(categories, category.parent_id ?? null);
+                    const siblingIndex = siblings.findIndex(sibling => sibling.id === category.id);
+                    return (
+                      <tr key={category.id} className="border-b hover:bg-gray-50">
+                        <td className="py-3 px-4">
+                          <div className="flex items-center space-x-3" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+                            {category.icon_url ? (
+                              <img
+                                src={category.icon_url}
+                                alt={category.name}
+                                className="w-10 h-10 object-contain"
+                              />
+                            ) : (
+                              <div className="w-10 h-10 bg-gray-100 rounded flex items-center justify-center">
+                                <Package className="h-5 w-5 text-gray-400" />
+                              </div>
+                            )}
+                            <div>
+                              <div className="font-medium text-gray-900">{category.name}</div>
+                              {category.description && (
+                                <div className="text-sm text-gray-500 line-clamp-1">{category.description}</div>
+                              )}
+                            </div>
+                          </div>
+                        </td>
+                        <td className="py-3 px-4 text-sm">{category.product_count || 0}</td>
+                        <td className="py-3 px-4">
+                          <Badge variant={category.is_active ? 'default' : 'secondary'}>
+                            {category.is_active ? 'Active' : 'Inactive'}
+                          </Badge>
+                        </td>
+                        <td className="py-3 px-4">
+                          <div className="flex items-center space-x-1">
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              onClick={() => handleMove(category, -1)}
+                              disabled={siblingIndex === 0 || updatingId === category.id}
+                            >
+                              <ArrowUp className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              onClick={() => handleMove(category, 1)}
+                              disabled={siblingIndex === siblings.length - 1 || updatingId === category.id}
+                            >
+                              <ArrowDown className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        </td>
+                        <td className="py-3 px-4">
+                          <div className="flex items-center space-x-2">
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => setEditingCategory(category)}
+                            >
+                              <Edit className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => handleStatusToggle(category)}
+                              disabled={updatingId === category.id}
+                              className={category.is_active ? 'text-red-600 hover:text-red-700' : 'text-green-600 hover:text-green-700'}
+                            >
+                              {category.is_active ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                            </Button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {error && (
+        <div className="text-center py-8">
+          <p className="text-red-600">{error}</p>
+        </div>
+      )}
+
+      {editingCategory && (
+        <AdminCategoryForm
+          category={editingCategory}
+          parentOptions={getParentOptions(editingCategory)}
+          onSaved={handleCategorySaved}
+          onClose={() => setEditingCategory(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AdminCategories;
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { X, Loader2, Camera } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Textarea } from '../ui/textarea';
+import { ImageUpload } from '../ui/image-upload';
+import { ListInput } from '../ui/list-input';
+import apiService from '../../services/api';
+import { useSaveWithUpload } from '../../hooks/use-save-with-upload';
+
+// parentOptions is a flattened tree of { category, depth } that already
+// excludes the edited category and its descendants
+const AdminCategoryForm = ({ category, parentOptions, onSaved, onClose }) => {
+  const [formData, setFormData] = useState({
+    name: category?.name || '',
+    description: category?.description || '',
+    parent_id: category?.parent_id ?? '',
+    review_aspects: category?.review_aspects || [],
+  });
+  const [iconFiles, setIconFiles] = useState([]);
+
+  const {
+    currentRecord: currentCategory,
+    isEditing,
+    saving,
+    error,
+    fieldErrors,
+    setFieldErrors,
+    save,
+    close: handleClose,
+  } = useSaveWithUpload({
+    record: category,
+    noun: 'category',
+    fileNoun: 'icon',
+    create: async (data) => (await apiService.createAdminCategory(data)).category,
+    update: async (id, data) => (await apiService.updateAdminCategory(id, data)).category,
+    upload: async (id, file) => {
+      const response = await apiService.uploadCategoryIcon(id, file);
+      return response.image?.url ? { icon_url: response.image.url } : {};
+    },
+    onSaved,
+    onClose,
+  });
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+    if (fieldErrors[e.target.name]) {
+      setFieldErrors({ ...fieldErrors, [e.target.name]: null });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      setFieldErrors({ name: 'Name is required' });
+      return;
+    }
+
+    const categoryData = {
+      name: formData.name.trim(),
+      description: formData.description.trim(),
+      parent_id: formData.parent_id === '' ? null : parseInt(formData.parent_id),
+      review_aspects: formData.review_aspects,
+    };
+
+    await save(categoryData, iconFiles[0]);
+  };
+
+  const renderFieldError = (field) => (
+    fieldErrors[field] && <p className="text-xs text-red-600 mt-1">{fieldErrors[field]}</p>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-md w-full p-6 relative max-h-[90vh] overflow-y-auto">
+        <button
+          onClick={handleClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+          disabled={saving}
+        >
+          <X className="h-6 w-6" />
+        </button>
+
+        <div className="mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">
+            {isEditing ? 'Edit Category' : 'New Category'}
+          </h2>
+          <p className="text-gray-600">
+            {isEditing ? `Update details for ${currentCategory.name}` : 'Add a category to the catalog'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-red-600 text-sm">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+              Name *
+            </label>
+            <Input id="name" name="name" value={formData.name} onChange={handleChange} disabled={saving} />
+            {renderFieldError('name')}
+          </div>
+
+          <div>
+            <label htmlFor="parent_id" className="block text-sm font-medium text-gray-700 mb-1">
+              Parent Category
+            </label>
+            <select
+              id="parent_id"
+              name="parent_id"
+              value={formData.parent_id}
+              onChange={handleChange}
+              disabled={saving}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">None (top level)</option>
+              {parentOptions.map(({ category: option, depth }) => (
+                <option key={option.id} value={option.id}>
+                  {'— '.repeat(depth)}{option.name}
+                </option>
+              ))}
+            </select>
+            {renderFieldError('parent_id')}
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+              Description
+            </label>
+            <Textarea
+              id="description"
+              name="description"
+              rows={3}
+              value={formData.description}
+              onChange={handleChange}
+              disabled={saving}
+            />
+            {renderFieldError('description')}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Review Aspects
+            </label>
+            <p className="text-xs text-gray-500 mb-2">
+              Features reviewers can rate separately, e.g. Battery, Camera, Display
+            </p>
+            <ListInput
+              value={formData.review_aspects}
+              onChange={(aspects) => setFormData({ ...formData, review_aspects: aspects })}
+              placeholder="Add an aspect"
+              maxItems={8}
+              maxLength={40}
+              disabled={saving}
+            />
+            {renderFieldError('review_aspects')}
+          </div>
+
+          {/* Icon */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              <Camera className="inline h-4 w-4 mr-1" />
+              Icon
+            </label>
+            {currentCategory?.icon_url && iconFiles.length === 0 && (
+              <img
+                src={currentCategory.icon_url}
+                alt={currentCategory.name}
+                className="w-16 h-16 object-contain mb-3"
+              />
+            )}
+            <ImageUpload
+              onImagesChange={setIconFiles}
+              maxImages={1}
+              disabled={saving}
+              className="border-2 border-dashed border-gray-200 rounded-lg"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button type="button" variant="outline" onClick={handleClose} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : isEditing ? 'Save Changes' : 'Create Category'}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdminCategoryForm;
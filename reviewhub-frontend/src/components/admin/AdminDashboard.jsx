@@ -3,7 +3,7 @@ import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContaine
 import { Users, Package, MessageSquare, Star, TrendingUp, Activity, Calendar, Eye } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Badge } from '../ui/badge';
-import { api } from '../../services/api';
+import apiService from '../../services/api';
 
 const AdminDashboard = () => {
   const [dashboardData, setDashboardData] = useState(null);
@@ -20,8 +20,8 @@ const AdminDashboard = () => {
     try {
       setLoading(true);
       const [dashboard, analytics] = await Promise.all([
-        api.getAdminDashboard(),
-        api.getAdminAnalytics(timeRange)
+        apiService.getAdminDashboard(),
+        apiService.getAdminAnalytics(timeRange)
       ]);
       
       setDashboardData(dashboard);
@@ -0,0 +1,349 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle, Trash2, RefreshCw, FileDown } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import AuditReasonDialog from './AuditReasonDialog';
+import { usePermission } from '../../hooks/use-permission';
+import { PERMISSIONS } from '../../lib/permissions';
+import apiService from '../../services/api';
+
+const STATUS_TABS = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'processing', label: 'Processing' },
+  { id: 'completed', label: 'Completed' },
+];
+
+// GDPR Art. 12(3): erasure requests must be answered within one month
+const LEGAL_DEADLINE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const getDeadline = (request) => {
+  if (request.deadline_at) return new Date(request.deadline_at);
+  return new Date(new Date(request.requested_at).getTime() + LEGAL_DEADLINE_DAYS * DAY_MS);
+};
+
+const getDaysRemaining = (request) => Math.ceil((getDeadline(request) - Date.now()) / DAY_MS);
+
+const DeadlineBadge = ({ request }) => {
+  const days = getDaysRemaining(request);
+  if (days < 0) {
+    return <Badge className="bg-red-100 text-red-800">Overdue by {-days} days</Badge>;
+  }
+  if (days <= 7) {
+    return <Badge className="bg-yellow-100 text-yellow-800">{days} days left</Badge>;
+  }
+  return <Badge variant="secondary">{days} days left</Badge>;
+};
+
+// e.g. total_size_mb -> Total size mb; the API decides which stats it reports
+const formatStatLabel = (key) => {
+  const label = key.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const AdminGdpr = () => {
+  const [activeTab, setActiveTab] = useState('pending');
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [confirmRequest, setConfirmRequest] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [exportStats, setExportStats] = useState(null);
+  const [statsError, setStatsError] = useState(null);
+  const [showCleanupConfirm, setShowCleanupConfirm] = useState(false);
+  const [cleaningUp, setCleaningUp] = useState(false);
+  const [cleanupResult, setCleanupResult] = useState(null);
+  const canProcess = usePermission(PERMISSIONS.GDPR_PROCESS);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [activeTab]);
+
+  useEffect(() => {
+    fetchExportStats();
+  }, []);
+
+  const fetchRequests = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.adminGetDeletionRequests(activeTab);
+      const deletionRequests = response.deletion_requests || [];
+      // Closest deadline first for open requests, most recent first once completed
+      setRequests(activeTab === 'completed'
+        ? deletionRequests.sort((a, b) => new Date(b.processed_at || 0) - new Date(a.processed_at || 0))
+        : deletionRequests.sort((a, b) => getDeadline(a) - getDeadline(b)));
+    } catch (err) {
+      setError('Failed to load deletion requests');
+      console.error('Error fetching deletion requests:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchExportStats = async () => {
+    try {
+      setStatsError(null);
+      const response = await apiService.adminGetExportStats();
+      setExportStats(response.stats || {});
+    } catch (err) {
+      setStatsError('Failed to load export statistics');
+      console.error('Error fetching export stats:', err);
+    }
+  };
+
+  const handleProcess = async (reason) => {
+    try {
+      setProcessing(true);
+      await apiService.adminProcessDeletionRequest(confirmRequest.id, { reason });
+      setConfirmRequest(null);
+      fetchRequests();
+    } catch (err) {
+      console.error('Error processing deletion request:', err);
+      toast.error(err.message || 'Failed to process deletion request');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCleanup = async (reason) => {
+    try {
+      setCleaningUp(true);
+      const response = await apiService.adminCleanupExports({ reason });
+      setCleanupResult(response.message || `Removed ${response.cleaned_count ?? 0} expired exports`);
+      setShowCleanupConfirm(false);
+      fetchExportStats();
+    } catch (err) {
+      console.error('Error cleaning up exports:', err);
+      toast.error('Failed to clean up exports');
+    } finally {
+      setCleaningUp(false);
+    }
+  };
+
+  const getUserLabel = (request) => (
+    request.user?.username || request.username || `User #${request.user_id}`
+  );
+
+  const renderRequests = () => {
+    if (loading) {
+      return (
+        <div className="animate-pulse space-y-4">
+          {[...Array(3)].map((_, i) => (
+            <div key={i} className="h-16 bg-gray-200 rounded"></div>
+          ))}
+        </div>
+      );
+    }
+
+    if (error) {
+      return <p className="text-red-600 text-center py-8">{error}</p>;
+    }
+
+    if (requests.length === 0) {
+      return <p className="text-gray-500 text-center py-8">No {activeTab} deletion requests.</p>;
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-left py-3 px-4">Request</th>
+              <th className="text-left py-3 px-4">User</th>
+              <th className="text-left py-3 px-4">Requested</th>
+              <th className="text-left py-3 px-4">
+                {activeTab === 'completed' ? 'Processed' : 'Deadline'}
+              </th>
+              <th className="text-left py-3 px-4">Reason</th>
+              {activeTab === 'pending' && canProcess && (
+                <th className="text-left py-3 px-4">Actions</th>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {requests.map((request) => (
+              <tr key={request.id} className="border-b border-gray-100 hover:bg-gray-50">
+                <td className="py-3 px-4 text-gray-900">#{request.id}</td>
+                <td className="py-3 px-4">
+                  <Link
+                    to={`/admin/users?user=${request.user_id}`}
+                    className="text-blue-600 hover:underline"
+                  >
+                    {getUserLabel(request)}
+                  </Link>
+                  {request.user?.email && (
+                    <div className="text-sm text-gray-500">{request.user.email}</div>
+                  )}
+                </td>
+                <td className="py-3 px-4 text-gray-600">{formatDate(request.requested_at)}</td>
+                <td className="py-3 px-4">
+                  {activeTab === 'completed' ? (
+                    <span className="text-gray-600">
+                      {request.processed_at ? formatDate(request.processed_at) : 'N/A'}
+                    </span>
+                  ) : (
+                    <div className="space-y-1">
+                      <DeadlineBadge request={request} />
+                      <div className="text-xs text-gray-500">{formatDate(getDeadline(request))}</div>
+                    </div>
+                  )}
+                </td>
+                <td className="py-3 px-4 text-sm text-gray-600 max-w-xs">
+                  {request.reason || <span className="text-gray-400">None given</span>}
+                </td>
+                {activeTab === 'pending' && canProcess && (
+                  <td className="py-3 px-4">
+                    <Button
+                      size="sm"
+                      variant="destructive"
+                      onClick={() => setConfirmRequest(request)}
+                    >
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      Process
+                    </Button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">GDPR Requests</h1>
+          <p className="text-gray-600">
+            Process account deletion requests within the {LEGAL_DEADLINE_DAYS}-day legal deadline
+          </p>
+        </div>
+        <Button variant="outline" onClick={fetchRequests} disabled={loading}>
+          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Deletion Requests */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Deletion Requests</CardTitle>
+          <div className="flex space-x-6 border-b border-gray-200">
+            {STATUS_TABS.map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`pb-2 text-sm font-medium border-b-2 ${
+                  activeTab === tab.id
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        </CardHeader>
+        <CardContent>
+          {renderRequests()}
+        </CardContent>
+      </Card>
+
+      {/* Data Exports */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <CardTitle className="flex items-center">
+              <FileDown className="h-5 w-5 mr-2" />
+              Data Exports
+            </CardTitle>
+            {canProcess && (
+              <Button size="sm" variant="outline" onClick={() => setShowCleanupConfirm(true)}>
+                <Trash2 className="h-4 w-4 mr-1" />
+                Clean Up Expired
+              </Button>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          {cleanupResult && (
+            <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-md">
+              <p className="text-green-700 text-sm">{cleanupResult}</p>
+            </div>
+          )}
+          {statsError ? (
+            <p className="text-red-600 text-sm">{statsError}</p>
+          ) : !exportStats ? (
+            <div className="animate-pulse grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[...Array(4)].map((_, i) => (
+                <div key={i} className="h-16 bg-gray-200 rounded"></div>
+              ))}
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {Object.entries(exportStats)
+                .filter(([, value]) => typeof value === 'number')
+                .map(([key, value]) => (
+                  <div key={key} className="p-4 bg-gray-50 rounded-lg">
+                    <div className="text-2xl font-bold text-gray-900">{value.toLocaleString()}</div>
+                    <div className="text-sm text-gray-600">{formatStatLabel(key)}</div>
+                  </div>
+                ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Process confirmation */}
+      <AuditReasonDialog
+        open={Boolean(confirmRequest)}
+        title={`Process deletion request #${confirmRequest?.id}?`}
+        description={confirmRequest
+          && `${getUserLabel(confirmRequest)} · requested ${formatDate(confirmRequest.requested_at)}`}
+        confirmLabel="Delete User Data"
+        destructive
+        busy={processing}
+        onConfirm={handleProcess}
+        onCancel={() => setConfirmRequest(null)}
+      >
+        <div className="p-3 bg-red-50 border border-red-200 rounded-md flex items-start">
+          <AlertTriangle className="h-5 w-5 text-red-600 mr-2 flex-shrink-0" />
+          <p className="text-sm text-red-700">
+            This permanently deletes the account and all of its personal data, including
+            reviews, images and consent records. It cannot be undone.
+          </p>
+        </div>
+      </AuditReasonDialog>
+
+      {/* Cleanup confirmation */}
+      <AuditReasonDialog
+        open={showCleanupConfirm}
+        title="Clean up expired exports?"
+        description={'Export files past their download window are deleted. Users will need to '
+          + 'request a new export to download their data again.'}
+        confirmLabel="Clean Up"
+        destructive
+        busy={cleaningUp}
+        onConfirm={handleCleanup}
+        onCancel={() => setShowCleanupConfirm(false)}
+      />
+    </div>
+  );
+};
+
+export default AdminGdpr;
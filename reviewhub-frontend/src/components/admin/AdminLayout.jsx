@@ -4,6 +4,7 @@ import {
   LayoutDashboard, 
   Users, 
   Package, 
+  FolderTree,
   MessageSquare, 
   BarChart3, 
   Settings, 
@@ -11,28 +12,38 @@ import {
   Menu,
   X,
   Zap,
-  Mic
+  Mic,
+  Camera,
+  ShieldCheck,
+  ScrollText
 } from 'lucide-react';
 import { useState } from 'react';
 import { Button } from '../ui/button';
 import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS, ROLE_LABELS, getUserRoles, hasPermission } from '../../lib/permissions';
 
 const AdminLayout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const location = useLocation();
   const navigate = useNavigate();
-  const { logout } = useAuth();
+  const { user, logout } = useAuth();
 
   const navigation = [
-    { name: 'Dashboard', href: '/admin', icon: LayoutDashboard },
-    { name: 'Users', href: '/admin/users', icon: Users },
-    { name: 'Products', href: '/admin/products', icon: Package },
-    { name: 'Reviews', href: '/admin/reviews', icon: MessageSquare },
-    { name: 'Analytics', href: '/admin/analytics', icon: BarChart3 },
-    { name: 'Voice Search', href: '/admin/voice-search', icon: Mic },
-    { name: 'Performance', href: '/admin/performance', icon: Zap },
-    { name: 'Settings', href: '/admin/settings', icon: Settings },
-  ];
+    { name: 'Dashboard', href: '/admin', icon: LayoutDashboard, permission: PERMISSIONS.DASHBOARD_VIEW },
+    { name: 'Users', href: '/admin/users', icon: Users, permission: PERMISSIONS.USERS_VIEW },
+    { name: 'Products', href: '/admin/products', icon: Package, permission: PERMISSIONS.PRODUCTS_MANAGE },
+    { name: 'Categories', href: '/admin/categories', icon: FolderTree, permission: PERMISSIONS.CATEGORIES_MANAGE },
+    { name: 'Reviews', href: '/admin/reviews', icon: MessageSquare, permission: PERMISSIONS.REVIEWS_MODERATE },
+    { name: 'Analytics', href: '/admin/analytics', icon: BarChart3, permission: PERMISSIONS.ANALYTICS_VIEW },
+    { name: 'Voice Search', href: '/admin/voice-search', icon: Mic, permission: PERMISSIONS.SEARCH_VIEW },
+    { name: 'Visual Search', href: '/admin/visual-search', icon: Camera, permission: PERMISSIONS.SEARCH_VIEW },
+    { name: 'Performance', href: '/admin/performance', icon: Zap, permission: PERMISSIONS.PERFORMANCE_VIEW },
+    { name: 'GDPR Requests', href: '/admin/gdpr', icon: ShieldCheck, permission: PERMISSIONS.GDPR_VIEW },
+    { name: 'Audit Log', href: '/admin/audit', icon: ScrollText, permission: PERMISSIONS.AUDIT_VIEW },
+    { name: 'Settings', href: '/admin/settings', icon: Settings, permission: PERMISSIONS.SETTINGS_MANAGE },
+  ].filter((item) => hasPermission(user, item.permission));
+
+  const roleNames = getUserRoles(user).map((role) => ROLE_LABELS[role] || role).join(', ');
 
   const handleLogout = async () => {
     await logout();
@@ -73,6 +84,12 @@ const AdminLayout = ({ children }) => {
           </button>
         </div>
 
+        {roleNames && (
+          <div className="px-6 pt-4 text-xs text-gray-500">
+            Signed in as {user?.username} · {roleNames}
+          </div>
+        )}
+
         <nav className="mt-6">
           <div className="px-3">
             {navigation.map((item) => {
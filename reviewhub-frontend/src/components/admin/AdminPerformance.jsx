@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line } from 'recharts';
+import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line } from 'recharts';
+import { toast } from 'sonner';
 import { 
   Zap, 
   Database, 
@@ -10,12 +11,75 @@ import {
   Trash2, 
   TrendingUp,
   AlertCircle,
-  CheckCircle
+  AlertTriangle,
+  CheckCircle,
+  Pause,
+  Play
 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
-import { api } from '../../services/api';
+import AuditReasonDialog from './AuditReasonDialog';
+import AdminCacheBrowser from './AdminCacheBrowser';
+import { usePermission } from '../../hooks/use-permission';
+import { PERMISSIONS } from '../../lib/permissions';
+import { useAuditReason } from '../../hooks/use-audit-reason';
+import apiService from '../../services/api';
+
+const POLL_INTERVAL_MS = 10000;
+// 30 minutes of samples at the poll interval
+const MAX_HISTORY_POINTS = 180;
+const CACHE_HIT_RATE_WARNING = 80;
+
+const getActiveRecords = (database) => (
+  (database.active_users || 0) + (database.active_products || 0) + (database.active_reviews || 0)
+);
+
+const toHistoryPoint = (performance) => {
+  const cache = performance?.cache || {};
+  return {
+    time: new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' }),
+    hitRate: cache.cache_enabled ? cache.hit_rate || 0 : null,
+    connectedClients: cache.connected_clients || 0,
+    activeRecords: getActiveRecords(performance?.database || {}),
+  };
+};
+
+// Threshold breaches shown as badges in the header and next to the metric
+const getWarnings = (cache) => {
+  const warnings = [];
+  if (!cache.cache_enabled) {
+    warnings.push({ id: 'cache_disabled', label: 'Cache disabled' });
+  } else if ((cache.hit_rate || 0) < CACHE_HIT_RATE_WARNING) {
+    warnings.push({ id: 'cache_hit_rate', label: `Cache hit rate below ${CACHE_HIT_RATE_WARNING}%` });
+  }
+  return warnings;
+};
+
+const HistoryChart = ({ title, data, dataKey, color, unit }) => (
+  <Card>
+    <CardHeader>
+      <CardTitle className="text-base">{title}</CardTitle>
+    </CardHeader>
+    <CardContent>
+      {data.length < 2 ? (
+        <div className="h-48 flex items-center justify-center text-sm text-gray-500">
+          Collecting data...
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={192}>
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="time" tick={{ fontSize: 12 }} minTickGap={40} />
+            <YAxis tick={{ fontSize: 12 }} unit={unit} />
+            <Tooltip />
+            <Line type="monotone" dataKey={dataKey} stroke={color} strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </CardContent>
+  </Card>
+);
 
 const AdminPerformance = () => {
   const [performanceData, setPerformanceData] = useState(null);
@@ -23,65 +87,88 @@ const AdminPerformance = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [actionLoading, setActionLoading] = useState({});
+  // Samples collected since the page was opened; not persisted
+  const [history, setHistory] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [refreshFailed, setRefreshFailed] = useState(false);
+  const { requestReason, dialogProps: reasonDialogProps } = useAuditReason();
+  const canManageCache = usePermission(PERMISSIONS.CACHE_MANAGE);
+  const canOptimizeDatabase = usePermission(PERMISSIONS.DATABASE_OPTIMIZE);
 
   useEffect(() => {
     fetchPerformanceData();
   }, []);
 
-  const fetchPerformanceData = async () => {
+  useEffect(() => {
+    if (paused) return undefined;
+
+    const interval = setInterval(() => {
+      // Skip samples while the tab is in the background
+      if (!document.hidden) {
+        fetchPerformanceData({ background: true });
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [paused]);
+
+  // Background refreshes keep the current data on screen if they fail
+  const fetchPerformanceData = async ({ background = false } = {}) => {
     try {
-      setLoading(true);
+      if (!background) setLoading(true);
       const [performance, cache] = await Promise.all([
-        api.getPerformanceMetrics(),
-        api.getCacheStats()
+        apiService.getPerformanceMetrics(),
+        apiService.getCacheStats()
       ]);
       
       setPerformanceData(performance);
       setCacheStats(cache);
+      setHistory(prev => [...prev, toHistoryPoint(performance)].slice(-MAX_HISTORY_POINTS));
+      setLastUpdated(new Date());
+      setRefreshFailed(false);
+      setError(null);
     } catch (err) {
-      setError('Failed to load performance data');
+      if (background) {
+        setRefreshFailed(true);
+      } else {
+        setError('Failed to load performance data');
+      }
       console.error('Error fetching performance data:', err);
     } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleClearCache = async (pattern = '*') => {
-    try {
-      setActionLoading(prev => ({ ...prev, clearCache: true }));
-      await api.clearCache(pattern);
-      await fetchPerformanceData(); // Refresh data
-      alert('Cache cleared successfully');
-    } catch (err) {
-      console.error('Error clearing cache:', err);
-      alert('Failed to clear cache');
-    } finally {
-      setActionLoading(prev => ({ ...prev, clearCache: false }));
+      if (!background) setLoading(false);
     }
   };
 
   const handleWarmCache = async () => {
     try {
       setActionLoading(prev => ({ ...prev, warmCache: true }));
-      await api.warmCache();
-      await fetchPerformanceData(); // Refresh data
-      alert('Cache warmed successfully');
+      await apiService.warmCache();
+      await fetchPerformanceData({ background: true }); // Refresh data
+      toast.success('Cache warmed successfully');
     } catch (err) {
       console.error('Error warming cache:', err);
-      alert('Failed to warm cache');
+      toast.error('Failed to warm cache');
     } finally {
       setActionLoading(prev => ({ ...prev, warmCache: false }));
     }
   };
 
   const handleOptimizeDatabase = async () => {
+    const auditOptions = await requestReason({
+      title: 'Optimize the database?',
+      description: 'Queries may be slower while it runs.',
+      confirmLabel: 'Optimize',
+    });
+    if (!auditOptions) return;
+
     try {
       setActionLoading(prev => ({ ...prev, optimizeDb: true }));
-      await api.optimizeDatabase();
-      alert('Database optimization completed');
+      await apiService.optimizeDatabase(auditOptions);
+      toast.success('Database optimization completed');
     } catch (err) {
       console.error('Error optimizing database:', err);
-      alert('Failed to optimize database');
+      toast.error('Failed to optimize database');
     } finally {
       setActionLoading(prev => ({ ...prev, optimizeDb: false }));
     }
@@ -107,7 +194,7 @@ const AdminPerformance = () => {
       <div className="text-center py-8">
         <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
         <p className="text-red-600">{error}</p>
-        <Button onClick={fetchPerformanceData} className="mt-4">
+        <Button onClick={() => fetchPerformanceData()} className="mt-4">
           <RefreshCw className="h-4 w-4 mr-2" />
           Retry
         </Button>
@@ -117,6 +204,8 @@ const AdminPerformance = () => {
 
   const database = performanceData?.database || {};
   const cache = performanceData?.cache || {};
+  const warnings = getWarnings(cache);
+  const hitRateLow = warnings.some(warning => warning.id === 'cache_hit_rate');
 
   return (
     <div className="space-y-6">
@@ -125,11 +214,41 @@ const AdminPerformance = () => {
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Performance Monitor</h1>
           <p className="text-gray-600">Monitor and optimize platform performance</p>
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            {warnings.map(warning => (
+              <Badge key={warning.id} className="bg-yellow-100 text-yellow-800">
+                <AlertTriangle className="h-3 w-3 mr-1" />
+                {warning.label}
+              </Badge>
+            ))}
+            {refreshFailed && (
+              <Badge className="bg-red-100 text-red-800">Last refresh failed</Badge>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-gray-500">
+            {paused ? 'Paused' : `Live · every ${POLL_INTERVAL_MS / 1000}s`}
+            {lastUpdated && ` · updated ${lastUpdated.toLocaleTimeString()}`}
+          </span>
+          <Button onClick={() => setPaused(prev => !prev)} variant="outline">
+            {paused ? (
+              <>
+                <Play className="h-4 w-4 mr-2" />
+                Resume
+              </>
+            ) : (
+              <>
+                <Pause className="h-4 w-4 mr-2" />
+                Pause
+              </>
+            )}
+          </Button>
+          <Button onClick={() => fetchPerformanceData({ background: true })} variant="outline">
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
         </div>
-        <Button onClick={fetchPerformanceData} variant="outline">
-          <RefreshCw className="h-4 w-4 mr-2" />
-          Refresh
-        </Button>
       </div>
 
       {/* Performance Overview */}
@@ -168,7 +287,7 @@ const AdminPerformance = () => {
                   </p>
                 </div>
                 {cache.cache_enabled && (
-                  <p className="text-xs text-gray-500">
+                  <p className={`text-xs ${hitRateLow ? 'text-yellow-700 font-medium' : 'text-gray-500'}`}>
                     Hit rate: {cache.hit_rate || 0}%
                   </p>
                 )}
@@ -184,7 +303,7 @@ const AdminPerformance = () => {
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-600">Active Records</p>
                 <p className="text-2xl font-bold text-gray-900">
-                  {(database.active_users || 0) + (database.active_products || 0) + (database.active_reviews || 0)}
+                  {getActiveRecords(database)}
                 </p>
                 <p className="text-xs text-gray-500">
                   Active content only
@@ -212,6 +331,13 @@ const AdminPerformance = () => {
         </Card>
       </div>
 
+      {/* Session History */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <HistoryChart title="Cache Hit Rate" data={history} dataKey="hitRate" color="#16a34a" unit="%" />
+        <HistoryChart title="Cache Connections" data={history} dataKey="connectedClients" color="#ea580c" />
+        <HistoryChart title="Active Records" data={history} dataKey="activeRecords" color="#7c3aed" />
+      </div>
+
       {/* Cache Management */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <Card>
@@ -226,9 +352,14 @@ const AdminPerformance = () => {
               {cache.cache_enabled ? (
                 <>
                   <div className="grid grid-cols-2 gap-4 text-sm">
-                    <div>
+                    <div className="flex items-center">
                       <span className="text-gray-600">Hit Rate:</span>
                       <span className="ml-2 font-medium">{cache.hit_rate || 0}%</span>
+                      {hitRateLow && (
+                        <Badge className="ml-2 bg-yellow-100 text-yellow-800 text-xs">
+                          Below {CACHE_HIT_RATE_WARNING}%
+                        </Badge>
+                      )}
                     </div>
                     <div>
                       <span className="text-gray-600">Memory:</span>
@@ -244,35 +375,23 @@ const AdminPerformance = () => {
                     </div>
                   </div>
                   
-                  <div className="flex space-x-2">
-                    <Button
-                      size="sm"
-                      onClick={handleWarmCache}
-                      disabled={actionLoading.warmCache}
-                      className="flex-1"
-                    >
-                      {actionLoading.warmCache ? (
-                        <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                      ) : (
-                        <Zap className="h-4 w-4 mr-2" />
-                      )}
-                      Warm Cache
-                    </Button>
-                    <Button
-                      size="sm"
-                      variant="outline"
-                      onClick={() => handleClearCache()}
-                      disabled={actionLoading.clearCache}
-                      className="flex-1"
-                    >
-                      {actionLoading.clearCache ? (
-                        <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                      ) : (
-                        <Trash2 className="h-4 w-4 mr-2" />
-                      )}
-                      Clear All
-                    </Button>
-                  </div>
+                  {canManageCache && (
+                    <div className="flex space-x-2">
+                      <Button
+                        size="sm"
+                        onClick={handleWarmCache}
+                        disabled={actionLoading.warmCache}
+                        className="flex-1"
+                      >
+                        {actionLoading.warmCache ? (
+                          <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                        ) : (
+                          <Zap className="h-4 w-4 mr-2" />
+                        )}
+                        Warm All
+                      </Button>
+                    </div>
+                  )}
                 </>
               ) : (
                 <div className="text-center py-8">
@@ -321,18 +440,20 @@ const AdminPerformance = () => {
                 </div>
               </div>
               
-              <Button
-                onClick={handleOptimizeDatabase}
-                disabled={actionLoading.optimizeDb}
-                className="w-full"
-              >
-                {actionLoading.optimizeDb ? (
-                  <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                ) : (
-                  <TrendingUp className="h-4 w-4 mr-2" />
-                )}
-                Optimize Database
-              </Button>
+              {canOptimizeDatabase && (
+                <Button
+                  onClick={handleOptimizeDatabase}
+                  disabled={actionLoading.optimizeDb}
+                  className="w-full"
+                >
+                  {actionLoading.optimizeDb ? (
+                    <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <TrendingUp className="h-4 w-4 mr-2" />
+                  )}
+                  Optimize Database
+                </Button>
+              )}
               
               <p className="text-xs text-gray-500">
                 Creates indexes for frequently queried fields to improve performance
@@ -342,6 +463,14 @@ const AdminPerformance = () => {
         </Card>
       </div>
 
+      {cache.cache_enabled && (
+        <AdminCacheBrowser
+          cacheStats={cacheStats}
+          canManageCache={canManageCache}
+          onChanged={() => fetchPerformanceData({ background: true })}
+        />
+      )}
+
       {/* Performance Recommendations */}
       <Card>
         <CardHeader>
@@ -399,6 +528,8 @@ const AdminPerformance = () => {
           </div>
         </CardContent>
       </Card>
+
+      <AuditReasonDialog {...reasonDialogProps} />
     </div>
   );
 };
@@ -0,0 +1,313 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Loader2, Camera } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Textarea } from '../ui/textarea';
+import { ImageUpload } from '../ui/image-upload';
+import apiService from '../../services/api';
+import { useSaveWithUpload } from '../../hooks/use-save-with-upload';
+
+const toSpecificationRows = (specifications) => {
+  if (!specifications) return [];
+  if (Array.isArray(specifications)) {
+    return specifications.map((spec) => ({ key: spec, value: '' }));
+  }
+  return Object.entries(specifications).map(([key, value]) => ({ key, value: String(value) }));
+};
+
+const AdminProductForm = ({ product, categories, onSaved, onClose }) => {
+  const [formData, setFormData] = useState({
+    name: product?.name || '',
+    brand: product?.brand || '',
+    model: product?.model || '',
+    category_id: product?.category_id || '',
+    description: product?.description || '',
+    price_min: product?.price_min ?? '',
+    price_max: product?.price_max ?? '',
+  });
+  const [specifications, setSpecifications] = useState(toSpecificationRows(product?.specifications));
+  const [imageFiles, setImageFiles] = useState([]);
+
+  const {
+    currentRecord: currentProduct,
+    isEditing,
+    saving,
+    error,
+    fieldErrors,
+    setFieldErrors,
+    save,
+    close: handleClose,
+  } = useSaveWithUpload({
+    record: product,
+    noun: 'product',
+    fileNoun: 'image',
+    create: async (data) => (await apiService.createAdminProduct(data)).product,
+    update: async (id, data) => (await apiService.updateAdminProduct(id, data)).product,
+    upload: async (id, file) => {
+      const response = await apiService.uploadProductImage(id, file);
+      return response.image?.url ? { image_url: response.image.url } : {};
+    },
+    onSaved,
+    onClose,
+  });
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+    if (fieldErrors[e.target.name]) {
+      setFieldErrors({ ...fieldErrors, [e.target.name]: null });
+    }
+  };
+
+  const updateSpecification = (index, field, value) => {
+    setSpecifications(specifications.map((spec, i) => (
+      i === index ? { ...spec, [field]: value } : spec
+    )));
+  };
+
+  const validate = () => {
+    const errors = {};
+    if (!formData.name.trim()) errors.name = 'Name is required';
+    if (!formData.category_id) errors.category_id = 'Category is required';
+    if (formData.price_min !== '' && formData.price_max !== ''
+      && parseFloat(formData.price_min) > parseFloat(formData.price_max)) {
+      errors.price_max = 'Maximum price must be at least the minimum price';
+    }
+    setFieldErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    const productData = {
+      name: formData.name.trim(),
+      brand: formData.brand.trim(),
+      model: formData.model.trim(),
+      category_id: parseInt(formData.category_id),
+      description: formData.description.trim(),
+      price_min: formData.price_min === '' ? null : parseFloat(formData.price_min),
+      price_max: formData.price_max === '' ? null : parseFloat(formData.price_max),
+      specifications: specifications
+        .filter((spec) => spec.key.trim())
+        .reduce((specs, spec) => ({ ...specs, [spec.key.trim()]: spec.value.trim() }), {}),
+    };
+
+    await save(productData, imageFiles[0]);
+  };
+
+  const renderFieldError = (field) => (
+    fieldErrors[field] && <p className="text-xs text-red-600 mt-1">{fieldErrors[field]}</p>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full p-6 relative max-h-[90vh] overflow-y-auto">
+        <button
+          onClick={handleClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+          disabled={saving}
+        >
+          <X className="h-6 w-6" />
+        </button>
+
+        <div className="mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">
+            {isEditing ? 'Edit Product' : 'New Product'}
+          </h2>
+          <p className="text-gray-600">
+            {isEditing ? `Update details for ${currentProduct.name}` : 'Add a product to the catalog'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-red-600 text-sm">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+                Name *
+              </label>
+              <Input id="name" name="name" value={formData.name} onChange={handleChange} disabled={saving} />
+              {renderFieldError('name')}
+            </div>
+            <div>
+              <label htmlFor="category_id" className="block text-sm font-medium text-gray-700 mb-1">
+                Category *
+              </label>
+              <select
+                id="category_id"
+                name="category_id"
+                value={formData.category_id}
+                onChange={handleChange}
+                disabled={saving}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              >
+                <option value="">Select a category</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>
+                    {category.name}
+                  </option>
+                ))}
+              </select>
+              {renderFieldError('category_id')}
+            </div>
+            <div>
+              <label htmlFor="brand" className="block text-sm font-medium text-gray-700 mb-1">
+                Brand
+              </label>
+              <Input id="brand" name="brand" value={formData.brand} onChange={handleChange} disabled={saving} />
+              {renderFieldError('brand')}
+            </div>
+            <div>
+              <label htmlFor="model" className="block text-sm font-medium text-gray-700 mb-1">
+                Model
+              </label>
+              <Input id="model" name="model" value={formData.model} onChange={handleChange} disabled={saving} />
+              {renderFieldError('model')}
+            </div>
+            <div>
+              <label htmlFor="price_min" className="block text-sm font-medium text-gray-700 mb-1">
+                Minimum Price
+              </label>
+              <Input
+                id="price_min"
+                name="price_min"
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.price_min}
+                onChange={handleChange}
+                disabled={saving}
+              />
+              {renderFieldError('price_min')}
+            </div>
+            <div>
+              <label htmlFor="price_max" className="block text-sm font-medium text-gray-700 mb-1">
+                Maximum Price
+              </label>
+              <Input
+                id="price_max"
+                name="price_max"
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.price_max}
+                onChange={handleChange}
+                disabled={saving}
+              />
+              {renderFieldError('price_max')}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+              Description
+            </label>
+            <Textarea
+              id="description"
+              name="description"
+              rows={4}
+              value={formData.description}
+              onChange={handleChange}
+              disabled={saving}
+            />
+            {renderFieldError('description')}
+          </div>
+
+          {/* Specifications */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">Specifications</label>
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                onClick={() => setSpecifications([...specifications, { key: '', value: '' }])}
+                disabled={saving}
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add
+              </Button>
+            </div>
+            {specifications.length === 0 ? (
+              <p className="text-sm text-gray-500">No specifications yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {specifications.map((spec, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <Input
+                      placeholder="Name (e.g. Display)"
+                      value={spec.key}
+                      onChange={(e) => updateSpecification(index, 'key', e.target.value)}
+                      disabled={saving}
+                    />
+                    <Input
+                      placeholder="Value (e.g. 6.1-inch)"
+                      value={spec.value}
+                      onChange={(e) => updateSpecification(index, 'value', e.target.value)}
+                      disabled={saving}
+                    />
+                    <Button
+                      type="button"
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => setSpecifications(specifications.filter((_, i) => i !== index))}
+                      disabled={saving}
+                    >
+                      <Trash2 className="h-4 w-4 text-red-600" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Image */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              <Camera className="inline h-4 w-4 mr-1" />
+              Product Image
+            </label>
+            {currentProduct?.image_url && imageFiles.length === 0 && (
+              <img
+                src={currentProduct.image_url}
+                alt={currentProduct.name}
+                className="w-24 h-24 object-cover rounded-md mb-3"
+              />
+            )}
+            <ImageUpload
+              onImagesChange={setImageFiles}
+              maxImages={1}
+              disabled={saving}
+              className="border-2 border-dashed border-gray-200 rounded-lg"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button type="button" variant="outline" onClick={handleClose} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : isEditing ? 'Save Changes' : 'Create Product'}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdminProductForm;
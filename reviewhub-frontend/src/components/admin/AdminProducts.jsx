@@ -0,0 +1,477 @@
+import React, { useState, useEffect } from 'react';
+import { Search, Plus, Edit, Eye, EyeOff, Package, Star } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Badge } from '../ui/badge';
+import AuditReasonDialog from './AuditReasonDialog';
+import AdminProductForm from './AdminProductForm';
+import { useAuditReason } from '../../hooks/use-audit-reason';
+import apiService from '../../services/api';
+
+const PER_PAGE = 20;
+
+const AdminProducts = () => {
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [sortBy, setSortBy] = useState('created_at');
+  const [sortOrder, setSortOrder] = useState('desc');
+  const [selectedProducts, setSelectedProducts] = useState([]);
+  const [bulkCategory, setBulkCategory] = useState('');
+  const [bulkUpdating, setBulkUpdating] = useState(false);
+  const [editingProduct, setEditingProduct] = useState(null);
+  const [updatingId, setUpdatingId] = useState(null);
+  const { requestReason, dialogProps: reasonDialogProps } = useAuditReason();
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    fetchProducts();
+  }, [currentPage, sortBy, sortOrder, searchTerm, categoryFilter]);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await apiService.getCategories();
+      setCategories(response.categories || []);
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.getAdminProducts(
+        currentPage,
+        PER_PAGE,
+        searchTerm,
+        categoryFilter || null,
+        sortBy,
+        sortOrder
+      );
+
+      setProducts(response.products || []);
+      setTotalPages(response.pages || 1);
+      // Selections only make sense for rows that are on screen
+      setSelectedProducts([]);
+    } catch (err) {
+      setError('Failed to load products');
+      console.error('Error fetching products:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setSearchTerm(searchInput.trim());
+  };
+
+  const handleCategoryFilterChange = (e) => {
+    setCategoryFilter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const handleSort = (column) => {
+    if (sortBy === column) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(column);
+      setSortOrder('desc');
+    }
+    setCurrentPage(1);
+  };
+
+  const handleProductStatusToggle = async (productId, currentStatus) => {
+    try {
+      setUpdatingId(productId);
+      await apiService.updateProductStatus(productId, !currentStatus);
+      setProducts(products.map((product) => (
+        product.id === productId ? { ...product, is_active: !currentStatus } : product
+      )));
+    } catch (err) {
+      console.error('Error updating product status:', err);
+      toast.error('Failed to update product status');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleBulkUpdate = async (updates, description) => {
+    if (selectedProducts.length === 0) return;
+    const categoryName = categories.find((category) => category.id === updates.category_id)?.name;
+    const auditOptions = await requestReason({
+      title: `${description} ${selectedProducts.length} selected products${categoryName ? ` to ${categoryName}` : ''}?`,
+      confirmLabel: 'Update Products',
+    });
+    if (!auditOptions) return;
+
+    try {
+      setBulkUpdating(true);
+      await apiService.bulkUpdateProducts(selectedProducts, updates, auditOptions);
+      setBulkCategory('');
+      fetchProducts();
+    } catch (err) {
+      console.error('Error updating products:', err);
+      toast.error('Failed to update selected products');
+    } finally {
+      setBulkUpdating(false);
+    }
+  };
+
+  const handleProductSaved = () => {
+    setEditingProduct(null);
+    fetchProducts();
+  };
+
+  const handleSelectProduct = (productId) => {
+    setSelectedProducts(prev =>
+      prev.includes(productId)
+        ? prev.filter(id => id !== productId)
+        : [...prev, productId]
+    );
+  };
+
+  const handleSelectAll = () => {
+    if (selectedProducts.length === products.length) {
+      setSelectedProducts([]);
+    } else {
+      setSelectedProducts(products.map(product => product.id));
+    }
+  };
+
+  const getCategoryName = (product) => {
+    if (product.category) return product.category;
+    return categories.find(category => category.id === product.category_id)?.name || 'Uncategorized';
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const renderSortIndicator = (column) => (
+    sortBy === column && <span className="ml-1">{sortOrder === 'asc' ? '↑' : '↓'}</span>
+  );
+
+  if (loading && currentPage === 1 && products.length === 0 && !error) {
+    return (
+      <div className="space-y-6">
+        <div className="animate-pulse">
+          <div className="h-8 bg-gray-200 rounded w-1/4 mb-6"></div>
+          <div className="space-y-4">
+            {[...Array(5)].map((_, i) => (
+              <div key={i} className="h-16 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Products</h1>
+          <p className="text-gray-600">Manage the product catalog</p>
+        </div>
+        <Button onClick={() => setEditingProduct({})}>
+          <Plus className="h-4 w-4 mr-2" />
+          New Product
+        </Button>
+      </div>
+
+      {/* Search and Filters */}
+      <Card>
+        <CardContent className="p-6">
+          <form onSubmit={handleSearch} className="flex flex-col md:flex-row md:items-center gap-4">
+            <div className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+                <Input
+                  type="text"
+                  placeholder="Search products by name, brand, or model..."
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  className="pl-10"
+                />
+              </div>
+            </div>
+            <select
+              value={categoryFilter}
+              onChange={handleCategoryFilterChange}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">All Categories</option>
+              {categories.map((category) => (
+                <option key={category.id} value={category.id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+            <Button type="submit">Search</Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {/* Products Table */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <CardTitle>All Products</CardTitle>
+            {selectedProducts.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm text-gray-600">
+                  {selectedProducts.length} selected
+                </span>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleBulkUpdate({ is_active: true }, 'Activate')}
+                  disabled={bulkUpdating}
+                >
+                  Activate
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleBulkUpdate({ is_active: false }, 'Deactivate')}
+                  disabled={bulkUpdating}
+                >
+                  Deactivate
+                </Button>
+                <select
+                  value={bulkCategory}
+                  onChange={(e) => setBulkCategory(e.target.value)}
+                  disabled={bulkUpdating}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  <option value="">Move to category...</option>
+                  {categories.map((category) => (
+                    <option key={category.id} value={category.id}>
+                      {category.name}
+                    </option>
+                  ))}
+                </select>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleBulkUpdate({ category_id: parseInt(bulkCategory) }, 'Move')}
+                  disabled={bulkUpdating || !bulkCategory}
+                >
+                  Apply
+                </Button>
+              </div>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          {products.length === 0 && !loading ? (
+            <div className="text-center py-12">
+              <Package className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">
+                {searchTerm || categoryFilter ? 'No products match your filters.' : 'No products yet.'}
+              </p>
+            </div>
+          ) : (
+            <div className={`overflow-x-auto ${loading ? 'opacity-50' : ''}`}>
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-3 px-4">
+                      <input
+                        type="checkbox"
+                        checked={selectedProducts.length === products.length && products.length > 0}
+                        onChange={handleSelectAll}
+                        className="rounded"
+                      />
+                    </th>
+                    <th
+                      className="text-left py-3 px-4 cursor-pointer hover:bg-gray-50"
+                      onClick={() => handleSort('name')}
+                    >
+                      Product
+                      {renderSortIndicator('name')}
+                    </th>
+                    <th className="text-left py-3 px-4">Category</th>
+                    <th
+                      className="text-left py-3 px-4 cursor-pointer hover:bg-gray-50"
+                      onClick={() => handleSort('average_rating')}
+                    >
+                      Rating
+                      {renderSortIndicator('average_rating')}
+                    </th>
+                    <th
+                      className="text-left py-3 px-4 cursor-pointer hover:bg-gray-50"
+                      onClick={() => handleSort('review_count')}
+                    >
+                      Reviews
+                      {renderSortIndicator('review_count')}
+                    </th>
+                    <th
+                      className="text-left py-3 px-4 cursor-pointer hover:bg-gray-50"
+                      onClick={() => handleSort('created_at')}
+                    >
+                      Added
+                      {renderSortIndicator('created_at')}
+                    </th>
+                    <th className="text-left py-3 px-4">Status</th>
+                    <th className="text-left py-3 px-4">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {products.map((product) => (
+                    <tr key={product.id} className="border-b border-gray-100 hover:bg-gray-50">
+                      <td className="py-3 px-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedProducts.includes(product.id)}
+                          onChange={() => handleSelectProduct(product.id)}
+                          className="rounded"
+                        />
+                      </td>
+                      <td className="py-3 px-4">
+                        <div className="flex items-center space-x-3">
+                          {product.image_url ? (
+                            <img
+                              src={product.image_url}
+                              alt={product.name}
+                              className="w-10 h-10 object-cover rounded"
+                            />
+                          ) : (
+                            <div className="w-10 h-10 bg-gray-100 rounded flex items-center justify-center">
+                              <Package className="h-5 w-5 text-gray-400" />
+                            </div>
+                          )}
+                          <div>
+                            <div className="font-medium text-gray-900">{product.name}</div>
+                            <div className="text-sm text-gray-500">
+                              {[product.brand, product.model].filter(Boolean).join(' · ')}
+                            </div>
+                          </div>
+                        </div>
+                      </td>
+                      <td className="py-3 px-4">
+                        <Badge variant="outline">{getCategoryName(product)}</Badge>
+                      </td>
+                      <td className="py-3 px-4">
+                        <div className="flex items-center space-x-1">
+                          <Star className="h-4 w-4 text-yellow-400 fill-current" />
+                          <span className="text-gray-900">{(product.average_rating || 0).toFixed(1)}</span>
+                        </div>
+                      </td>
+                      <td className="py-3 px-4">
+                        <span className="text-gray-900">{product.review_count || 0}</span>
+                      </td>
+                      <td className="py-3 px-4">
+                        <span className="text-gray-600">
+                          {product.created_at ? formatDate(product.created_at) : 'N/A'}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4">
+                        <Badge
+                          variant={product.is_active ? "default" : "secondary"}
+                          className={product.is_active ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"}
+                        >
+                          {product.is_active ? 'Active' : 'Inactive'}
+                        </Badge>
+                      </td>
+                      <td className="py-3 px-4">
+                        <div className="flex items-center space-x-2">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleProductStatusToggle(product.id, product.is_active)}
+                            disabled={updatingId === product.id}
+                          >
+                            {product.is_active ? (
+                              <>
+                                <EyeOff className="h-4 w-4 mr-1" />
+                                Deactivate
+                              </>
+                            ) : (
+                              <>
+                                <Eye className="h-4 w-4 mr-1" />
+                                Activate
+                              </>
+                            )}
+                          </Button>
+                          <Button size="sm" variant="ghost" onClick={() => setEditingProduct(product)}>
+                            <Edit className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="flex items-center justify-between mt-6">
+              <div className="text-sm text-gray-600">
+                Page {currentPage} of {totalPages}
+              </div>
+              <div className="flex items-center space-x-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {error && (
+        <div className="text-center py-8">
+          <p className="text-red-600">{error}</p>
+        </div>
+      )}
+
+      {editingProduct && (
+        <AdminProductForm
+          product={editingProduct}
+          categories={categories}
+          onSaved={handleProductSaved}
+          onClose={() => setEditingProduct(null)}
+        />
+      )}
+
+      <AuditReasonDialog {...reasonDialogProps} />
+    </div>
+  );
+};
+
+export default AdminProducts;
@@ -0,0 +1,571 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Search, Check, EyeOff, Star, History, Keyboard, MessageSquare, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Badge } from '../ui/badge';
+import AuditReasonDialog from './AuditReasonDialog';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAuditReason } from '../../hooks/use-audit-reason';
+import apiService from '../../services/api';
+
+const PER_PAGE = 20;
+// Wait for a pause in typing before filtering by product or user ID
+const ID_FILTER_DELAY = 400;
+// Inputs that don't take text, so shortcuts still work while they have focus
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'];
+
+const isTextEntry = (element) => {
+  if (element.isContentEditable) return true;
+  if (element.tagName === 'INPUT') return !NON_TEXT_INPUT_TYPES.includes(element.type);
+  return element.tagName === 'TEXTAREA' || element.tagName === 'SELECT';
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  hidden: 'bg-red-100 text-red-800',
+};
+
+// Moderation status, for backends that only report is_active
+const getReviewStatus = (review) => review.status || (review.is_active ? 'approved' : 'hidden');
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const ReviewAuditTrail = ({ entries, loading }) => {
+  if (loading) {
+    return (
+      <div className="flex items-center text-sm text-gray-500 py-2">
+        <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        Loading history...
+      </div>
+    );
+  }
+
+  if (!entries || entries.length === 0) {
+    return <p className="text-sm text-gray-500 py-2">No moderation actions yet.</p>;
+  }
+
+  return (
+    <ol className="border-l-2 border-gray-200 ml-2 space-y-2 py-2">
+      {entries.map((entry, index) => (
+        <li key={entry.id || index} className="pl-4 text-sm">
+          <span className="font-medium text-gray-900 capitalize">{entry.action}</span>
+          <span className="text-gray-600">
+            {' '}by {entry.actor?.username || entry.actor_name || 'System'}
+          </span>
+          <span className="text-gray-400"> · {formatDateTime(entry.created_at)}</span>
+          {entry.note && <p className="text-gray-600">{entry.note}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+const AdminReviews = () => {
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState({
+    search: '',
+    productId: searchParams.get('product_id') || '',
+    userId: searchParams.get('user_id') || '',
+    rating: '',
+    status: 'pending',
+  });
+  const [idInputs, setIdInputs] = useState({ productId: filters.productId, userId: filters.userId });
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selectedReviews, setSelectedReviews] = useState([]);
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const [processing, setProcessing] = useState(false);
+  const [auditTrails, setAuditTrails] = useState({});
+  const [expandedTrails, setExpandedTrails] = useState([]);
+  const reviewRefs = useRef({});
+  const { requestReason, isOpen: reasonDialogOpen, dialogProps: reasonDialogProps } = useAuditReason();
+
+  useEffect(() => {
+    fetchReviews();
+  }, [currentPage, filters]);
+
+  useEffect(() => {
+    if (idInputs.productId === filters.productId && idInputs.userId === filters.userId) return;
+    const timer = setTimeout(() => {
+      setFilters(prev => ({ ...prev, ...idInputs }));
+      setCurrentPage(1);
+    }, ID_FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [idInputs]);
+
+  const fetchReviews = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.getAdminReviews(
+        currentPage,
+        PER_PAGE,
+        filters.search,
+        filters.productId || null,
+        filters.userId || null,
+        filters.rating || null,
+        'created_at',
+        'desc',
+        filters.status === 'all' ? null : filters.status
+      );
+
+      setReviews(response.reviews || []);
+      setTotalPages(response.pages || 1);
+      setSelectedReviews([]);
+      setFocusedIndex(0);
+    } catch (err) {
+      setError('Failed to load reviews');
+      console.error('Error fetching reviews:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setCurrentPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    handleFilterChange('search', searchInput.trim());
+  };
+
+  const loadAuditTrail = async (reviewId) => {
+    setAuditTrails(prev => ({ ...prev, [reviewId]: { loading: true, entries: [] } }));
+    try {
+      const response = await apiService.getReviewAuditTrail(reviewId);
+      setAuditTrails(prev => ({ ...prev, [reviewId]: { loading: false, entries: response.entries || [] } }));
+    } catch (err) {
+      console.error('Error fetching audit trail:', err);
+      setAuditTrails(prev => ({ ...prev, [reviewId]: { loading: false, entries: [] } }));
+    }
+  };
+
+  const toggleAuditTrail = (reviewId) => {
+    if (expandedTrails.includes(reviewId)) {
+      setExpandedTrails(expandedTrails.filter(id => id !== reviewId));
+      return;
+    }
+    setExpandedTrails([...expandedTrails, reviewId]);
+    if (!auditTrails[reviewId]) {
+      loadAuditTrail(reviewId);
+    }
+  };
+
+  // Approve or hide the given reviews; `approve` maps to is_active
+  const moderateReviews = async (reviewIds, approve) => {
+    if (reviewIds.length === 0 || processing) return;
+
+    const action = approve ? 'approved' : 'hidden';
+    // Single reviews are moderated in one keystroke; bulk changes ask first
+    const auditOptions = reviewIds.length > 1
+      ? await requestReason({
+        title: `${approve ? 'Approve' : 'Hide'} ${reviewIds.length} selected reviews?`,
+        confirmLabel: approve ? 'Approve' : 'Hide',
+        destructive: !approve,
+      })
+      : {};
+    if (!auditOptions) return;
+
+    try {
+      setProcessing(true);
+      if (reviewIds.length === 1) {
+        await apiService.updateReviewStatus(reviewIds[0], approve);
+      } else {
+        await apiService.bulkUpdateReviews(reviewIds, { is_active: approve }, auditOptions);
+      }
+
+      setReviews(reviews.map(review => (
+        reviewIds.includes(review.id)
+          ? { ...review, is_active: approve, status: action }
+          : review
+      )));
+
+      // Record the action in any trail that is already loaded
+      const entry = {
+        action,
+        actor: { username: user?.username },
+        created_at: new Date().toISOString(),
+      };
+      setAuditTrails(prev => {
+        const next = { ...prev };
+        reviewIds.forEach(id => {
+          if (next[id]) {
+            next[id] = { ...next[id], entries: [entry, ...next[id].entries] };
+          }
+        });
+        return next;
+      });
+      setSelectedReviews([]);
+    } catch (err) {
+      console.error('Error moderating reviews:', err);
+      toast.error(`Failed to mark reviews as ${action}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleSelectReview = (reviewId) => {
+    setSelectedReviews(prev =>
+      prev.includes(reviewId)
+        ? prev.filter(id => id !== reviewId)
+        : [...prev, reviewId]
+    );
+  };
+
+  const handleSelectAll = () => {
+    if (selectedReviews.length === reviews.length) {
+      setSelectedReviews([]);
+    } else {
+      setSelectedReviews(reviews.map(review => review.id));
+    }
+  };
+
+  // Keyboard shortcuts: j/k move, x selects, a/h approve or hide the
+  // selection (or the focused review when nothing is selected)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (reasonDialogOpen || isTextEntry(e.target)) return;
+      if (e.metaKey || e.ctrlKey || e.altKey || reviews.length === 0) return;
+
+      const focusedReview = reviews[focusedIndex];
+      const targetIds = selectedReviews.length > 0
+        ? selectedReviews
+        : focusedReview ? [focusedReview.id] : [];
+
+      switch (e.key) {
+        case 'j':
+          setFocusedIndex(Math.min(focusedIndex + 1, reviews.length - 1));
+          break;
+        case 'k':
+          setFocusedIndex(Math.max(focusedIndex - 1, 0));
+          break;
+        case 'x':
+          if (focusedReview) handleSelectReview(focusedReview.id);
+          break;
+        case 'a':
+          moderateReviews(targetIds, true);
+          break;
+        case 'h':
+          moderateReviews(targetIds, false);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  useEffect(() => {
+    const focusedReview = reviews[focusedIndex];
+    if (focusedReview) {
+      reviewRefs.current[focusedReview.id]?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [focusedIndex, reviews]);
+
+  const renderStars = (rating) => (
+    <div className="flex items-center">
+      {[1, 2, 3, 4, 5].map((star) => (
+        <Star
+          key={star}
+          className={`h-4 w-4 ${
+            star <= rating ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'
+          }`}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Reviews</h1>
+          <p className="text-gray-600">Moderate user reviews</p>
+        </div>
+        <div className="hidden md:flex items-center text-sm text-gray-500">
+          <Keyboard className="h-4 w-4 mr-2" />
+          <span>
+            <kbd className="px-1 border rounded">j</kbd>/<kbd className="px-1 border rounded">k</kbd> move
+            · <kbd className="px-1 border rounded">x</kbd> select
+            · <kbd className="px-1 border rounded">a</kbd> approve
+            · <kbd className="px-1 border rounded">h</kbd> hide
+          </span>
+        </div>
+      </div>
+
+      {/* Search and Filters */}
+      <Card>
+        <CardContent className="p-6 space-y-4">
+          <form onSubmit={handleSearch} className="flex items-center space-x-4">
+            <div className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+                <Input
+                  type="text"
+                  placeholder="Search review titles and text..."
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  className="pl-10"
+                />
+              </div>
+            </div>
+            <Button type="submit">Search</Button>
+          </form>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <Input
+              type="number"
+              min="1"
+              placeholder="Product ID"
+              value={idInputs.productId}
+              onChange={(e) => setIdInputs({ ...idInputs, productId: e.target.value })}
+            />
+            <Input
+              type="number"
+              min="1"
+              placeholder="User ID"
+              value={idInputs.userId}
+              onChange={(e) => setIdInputs({ ...idInputs, userId: e.target.value })}
+            />
+            <select
+              value={filters.rating}
+              onChange={(e) => handleFilterChange('rating', e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">All Ratings</option>
+              {[5, 4, 3, 2, 1].map((rating) => (
+                <option key={rating} value={rating}>
+                  {rating} Star{rating !== 1 ? 's' : ''}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => handleFilterChange('status', e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="pending">Pending</option>
+              <option value="approved">Approved</option>
+              <option value="hidden">Hidden</option>
+              <option value="all">All Statuses</option>
+            </select>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Review Queue */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={selectedReviews.length === reviews.length && reviews.length > 0}
+                onChange={handleSelectAll}
+                className="rounded"
+              />
+              <CardTitle>Moderation Queue</CardTitle>
+            </div>
+            {selectedReviews.length > 0 && (
+              <div className="flex items-center space-x-2">
+                <span className="text-sm text-gray-600">
+                  {selectedReviews.length} selected
+                </span>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => moderateReviews(selectedReviews, true)}
+                  disabled={processing}
+                >
+                  <Check className="h-4 w-4 mr-1" />
+                  Approve
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => moderateReviews(selectedReviews, false)}
+                  disabled={processing}
+                >
+                  <EyeOff className="h-4 w-4 mr-1" />
+                  Hide
+                </Button>
+              </div>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="animate-pulse space-y-4">
+              {[...Array(3)].map((_, i) => (
+                <div key={i} className="h-32 bg-gray-200 rounded"></div>
+              ))}
+            </div>
+          ) : reviews.length === 0 ? (
+            <div className="text-center py-12">
+              <MessageSquare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No reviews match these filters.</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {reviews.map((review, index) => {
+                const status = getReviewStatus(review);
+                const trail = auditTrails[review.id];
+                return (
+                  <div
+                    key={review.id}
+                    ref={(el) => { reviewRefs.current[review.id] = el; }}
+                    onClick={() => setFocusedIndex(index)}
+                    className={`border rounded-lg p-4 transition-colors ${
+                      index === focusedIndex ? 'border-blue-500 ring-1 ring-blue-500' : 'border-gray-200'
+                    } ${selectedReviews.includes(review.id) ? 'bg-blue-50' : 'bg-white'}`}
+                  >
+                    <div className="flex items-start space-x-3">
+                      <input
+                        type="checkbox"
+                        checked={selectedReviews.includes(review.id)}
+                        onChange={() => handleSelectReview(review.id)}
+                        className="rounded mt-1"
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-start justify-between mb-2">
+                          <div>
+                            <div className="flex items-center space-x-2">
+                              {renderStars(review.rating)}
+                              <span className="font-semibold text-gray-900">{review.title}</span>
+                            </div>
+                            <p className="text-sm text-gray-500 mt-1">
+                              {review.user?.username || 'Unknown user'} on{' '}
+                              {review.product?.name || `product #${review.product_id}`} ·{' '}
+                              {formatDateTime(review.created_at)}
+                            </p>
+                          </div>
+                          <Badge className={STATUS_STYLES[status]}>
+                            {status.charAt(0).toUpperCase() + status.slice(1)}
+                          </Badge>
+                        </div>
+
+                        <p className="text-gray-700 whitespace-pre-line mb-3">{review.comment}</p>
+
+                        {review.images?.length > 0 && (
+                          <div className="flex flex-wrap gap-2 mb-3">
+                            {review.images.map((image, imageIndex) => (
+                              <a
+                                key={image.id || imageIndex}
+                                href={image.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                              >
+                                <img
+                                  src={image.thumbnail_url || image.url}
+                                  alt={image.alt_text || 'Review image'}
+                                  className="w-24 h-24 object-cover rounded"
+                                />
+                              </a>
+                            ))}
+                          </div>
+                        )}
+
+                        <div className="flex items-center justify-between">
+                          <button
+                            onClick={() => toggleAuditTrail(review.id)}
+                            className="flex items-center text-sm text-gray-600 hover:text-gray-900"
+                          >
+                            <History className="h-4 w-4 mr-1" />
+                            {expandedTrails.includes(review.id) ? 'Hide history' : 'Show history'}
+                          </button>
+                          <div className="flex items-center space-x-2">
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => moderateReviews([review.id], true)}
+                              disabled={processing || status === 'approved'}
+                            >
+                              <Check className="h-4 w-4 mr-1" />
+                              Approve
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => moderateReviews([review.id], false)}
+                              disabled={processing || status === 'hidden'}
+                            >
+                              <EyeOff className="h-4 w-4 mr-1" />
+                              Hide
+                            </Button>
+                          </div>
+                        </div>
+
+                        {expandedTrails.includes(review.id) && (
+                          <ReviewAuditTrail entries={trail?.entries} loading={trail?.loading} />
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="flex items-center justify-between mt-6">
+              <div className="text-sm text-gray-600">
+                Page {currentPage} of {totalPages}
+              </div>
+              <div className="flex items-center space-x-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {error && (
+        <div className="text-center py-8">
+          <p className="text-red-600">{error}</p>
+        </div>
+      )}
+
+      <AuditReasonDialog {...reasonDialogProps} />
+    </div>
+  );
+};
+
+export default AdminReviews;
@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from 'react';
+import { Save, RotateCcw, MessageSquare, Image as ImageIcon, Shield, ToggleLeft, Loader2 } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { useSettings, mergeSettings } from '../../contexts/SettingsContext';
+import apiService from '../../services/api';
+
+const IMAGE_TYPES = [
+  { value: 'image/jpeg', label: 'JPEG' },
+  { value: 'image/png', label: 'PNG' },
+  { value: 'image/gif', label: 'GIF' },
+  { value: 'image/webp', label: 'WebP' },
+];
+
+const PRIVACY_FIELDS = [
+  { key: 'profile_public', label: 'Public profile' },
+  { key: 'show_real_name', label: 'Show real name' },
+  { key: 'show_location', label: 'Show location' },
+  { key: 'show_review_count', label: 'Show review count' },
+  { key: 'reviews_public', label: 'Public reviews' },
+  { key: 'allow_review_comments', label: 'Allow comments on reviews' },
+  { key: 'show_verified_purchases', label: 'Show verified purchases' },
+  { key: 'email_notifications', label: 'Email notifications' },
+  { key: 'marketing_emails', label: 'Marketing emails' },
+  { key: 'review_notifications', label: 'Review notifications' },
+  { key: 'recommendation_emails', label: 'Recommendation emails' },
+  { key: 'allow_analytics', label: 'Allow analytics' },
+  { key: 'allow_personalization', label: 'Allow personalization' },
+  { key: 'third_party_sharing', label: 'Third-party data sharing' },
+];
+
+const FEATURE_FIELDS = [
+  { key: 'voice_search', label: 'Voice search', description: 'Voice tab on the search page and voice suggestions' },
+  { key: 'visual_search', label: 'Visual search', description: 'Search by uploading a product photo' },
+];
+
+const AdminSettings = () => {
+  const { applySettings } = useSettings();
+  const [savedSettings, setSavedSettings] = useState(null);
+  const [formSettings, setFormSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await apiService.getAdminSettings();
+      const settings = mergeSettings(response.settings);
+      setSavedSettings(settings);
+      setFormSettings(settings);
+    } catch (err) {
+      setError('Failed to load settings');
+      console.error('Error fetching settings:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateField = (section, key, value) => {
+    setFormSettings({
+      ...formSettings,
+      [section]: { ...formSettings[section], [key]: value },
+    });
+    setSuccess('');
+    if (fieldErrors[key]) {
+      setFieldErrors({ ...fieldErrors, [key]: null });
+    }
+  };
+
+  const toggleImageType = (type) => {
+    const allowedTypes = formSettings.uploads.allowed_types;
+    updateField('uploads', 'allowed_types', allowedTypes.includes(type)
+      ? allowedTypes.filter(allowedType => allowedType !== type)
+      : [...allowedTypes, type]);
+  };
+
+  const validate = () => {
+    const errors = {};
+    const { reviews, uploads } = formSettings;
+    if (!Number.isInteger(reviews.min_comment_length) || reviews.min_comment_length < 0) {
+      errors.min_comment_length = 'Enter a whole number of characters';
+    }
+    if (!Number.isInteger(reviews.max_images) || reviews.max_images < 0 || reviews.max_images > 20) {
+      errors.max_images = 'Enter a number between 0 and 20';
+    }
+    if (!(uploads.max_file_size_mb > 0)) {
+      errors.max_file_size_mb = 'Enter a size greater than 0';
+    }
+    if (uploads.allowed_types.length === 0) {
+      errors.allowed_types = 'Allow at least one image type';
+    }
+    setFieldErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validate()) return;
+
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const response = await apiService.updateAdminSettings(formSettings);
+      const settings = mergeSettings(response.settings || formSettings);
+      setSavedSettings(settings);
+      setFormSettings(settings);
+      // Take effect in this tab immediately; other sessions pick them up on load
+      applySettings(settings);
+      setSuccess('Settings saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save settings');
+      setFieldErrors(err.fieldErrors || {});
+      console.error('Error saving settings:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const parseNumber = (value, parser = parseInt) => (value === '' ? '' : parser(value));
+
+  const renderFieldError = (field) => (
+    fieldErrors[field] && <p className="text-xs text-red-600 mt-1">{fieldErrors[field]}</p>
+  );
+
+  if (loading) {
+    return (
+      <div className="space-y-6">
+        <div className="animate-pulse">
+          <div className="h-8 bg-gray-200 rounded w-1/4 mb-6"></div>
+          <div className="space-y-4">
+            {[...Array(4)].map((_, i) => (
+              <div key={i} className="h-40 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!formSettings) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  const isDirty = JSON.stringify(formSettings) !== JSON.stringify(savedSettings);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+          <p className="text-gray-600">Platform-wide configuration</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Button
+            variant="outline"
+            onClick={() => {
+              setFormSettings(savedSettings);
+              setFieldErrors({});
+            }}
+            disabled={!isDirty || saving}
+          >
+            <RotateCcw className="h-4 w-4 mr-2" />
+            Discard Changes
+          </Button>
+          <Button onClick={handleSave} disabled={!isDirty || saving}>
+            {saving ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Save className="h-4 w-4 mr-2" />
+            )}
+            Save Settings
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+          <p className="text-green-600 text-sm">{success}</p>
+        </div>
+      )}
+
+      {/* Review Rules */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <MessageSquare className="h-5 w-5 mr-2" />
+            Review Rules
+          </CardTitle>
+          <CardDescription>Requirements enforced by the review form</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="min_comment_length" className="block text-sm font-medium text-gray-700 mb-1">
+                Minimum review length (characters)
+              </label>
+              <Input
+                id="min_comment_length"
+                type="number"
+                min="0"
+                value={formSettings.reviews.min_comment_length}
+                onChange={(e) => updateField('reviews', 'min_comment_length', parseNumber(e.target.value))}
+              />
+              {renderFieldError('min_comment_length')}
+            </div>
+            <div>
+              <label htmlFor="max_images" className="block text-sm font-medium text-gray-700 mb-1">
+                Maximum images per review
+              </label>
+              <Input
+                id="max_images"
+                type="number"
+                min="0"
+                max="20"
+                value={formSettings.reviews.max_images}
+                onChange={(e) => updateField('reviews', 'max_images', parseNumber(e.target.value))}
+              />
+              {renderFieldError('max_images')}
+            </div>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formSettings.reviews.require_verified_email}
+              onChange={(e) => updateField('reviews', 'require_verified_email', e.target.checked)}
+              className="rounded"
+            />
+            <span>Require a verified email address to write reviews</span>
+          </label>
+        </CardContent>
+      </Card>
+
+      {/* Image Uploads */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <ImageIcon className="h-5 w-5 mr-2" />
+            Image Uploads
+          </CardTitle>
+          <CardDescription>Limits for review photos and visual search uploads</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="md:w-1/2">
+            <label htmlFor="max_file_size_mb" className="block text-sm font-medium text-gray-700 mb-1">
+              Maximum file size (MB)
+            </label>
+            <Input
+              id="max_file_size_mb"
+              type="number"
+              min="1"
+              step="0.5"
+              value={formSettings.uploads.max_file_size_mb}
+              onChange={(e) => updateField('uploads', 'max_file_size_mb', parseNumber(e.target.value, parseFloat))}
+            />
+            {renderFieldError('max_file_size_mb')}
+          </div>
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-2">Allowed image types</p>
+            <div className="flex flex-wrap gap-4">
+              {IMAGE_TYPES.map((type) => (
+                <label key={type.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formSettings.uploads.allowed_types.includes(type.value)}
+                    onChange={() => toggleImageType(type.value)}
+                    className="rounded"
+                  />
+                  <span>{type.label}</span>
+                </label>
+              ))}
+            </div>
+            {renderFieldError('allowed_types')}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Default Privacy Settings */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Shield className="h-5 w-5 mr-2" />
+            Default Privacy Settings
+          </CardTitle>
+          <CardDescription>
+            Applied to new accounts and when a user resets their privacy settings
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {PRIVACY_FIELDS.map((field) => (
+              <label key={field.key} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!!formSettings.privacy_defaults[field.key]}
+                  onChange={(e) => updateField('privacy_defaults', field.key, e.target.checked)}
+                  className="rounded"
+                />
+                <span>{field.label}</span>
+              </label>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Features */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <ToggleLeft className="h-5 w-5 mr-2" />
+            Features
+          </CardTitle>
+          <CardDescription>Turn search features on or off for all users</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {FEATURE_FIELDS.map((field) => (
+            <label key={field.key} className="flex items-start space-x-2 text-sm">
+              <input
+                type="checkbox"
+                checked={!!formSettings.features[field.key]}
+                onChange={(e) => updateField('features', field.key, e.target.checked)}
+                className="rounded mt-1"
+              />
+              <span>
+                <span className="font-medium text-gray-900 block">{field.label}</span>
+                <span className="text-gray-500">{field.description}</span>
+              </span>
+            </label>
+          ))}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AdminSettings;
@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  X,
+  Eye,
+  Star,
+  Image as ImageIcon,
+  MessageSquare,
+  ShieldCheck,
+  Trash2,
+  MousePointerClick,
+  Loader2,
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { useAuth } from '../../contexts/AuthContext';
+import { usePermission } from '../../hooks/use-permission';
+import { PERMISSIONS, ROLE_LABELS, getUserRoles } from '../../lib/permissions';
+import apiService from '../../services/api';
+
+const TABS = [
+  { id: 'timeline', label: 'Timeline' },
+  { id: 'reviews', label: 'Reviews' },
+  { id: 'images', label: 'Images' },
+  { id: 'privacy', label: 'Privacy' },
+];
+
+const EVENT_ICONS = {
+  review: { icon: MessageSquare, color: 'bg-purple-100 text-purple-600' },
+  image: { icon: ImageIcon, color: 'bg-blue-100 text-blue-600' },
+  consent: { icon: ShieldCheck, color: 'bg-green-100 text-green-600' },
+  deletion: { icon: Trash2, color: 'bg-red-100 text-red-600' },
+  interaction: { icon: MousePointerClick, color: 'bg-gray-100 text-gray-600' },
+};
+
+const SOURCE_LABELS = {
+  reviews: 'reviews',
+  images: 'images',
+  consents: 'consents',
+  deletionRequests: 'deletion requests',
+  interactions: 'interactions',
+};
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const humanize = (value = '') => value.replace(/_/g, ' ');
+
+// Merge every activity source into one newest-first list
+const buildTimeline = ({ reviews, images, consents, deletionRequests, interactions }) => [
+  ...reviews.map((review) => ({
+    type: 'review',
+    date: review.created_at,
+    title: `Reviewed ${review.product?.name || `product #${review.product_id}`}`,
+    detail: `${review.rating}★ · ${review.title}`,
+  })),
+  ...images.map((image) => ({
+    type: 'image',
+    date: image.created_at,
+    title: 'Uploaded an image',
+    detail: image.original_filename || image.filename,
+  })),
+  ...consents.map((consent) => ({
+    type: 'consent',
+    date: consent.updated_at || consent.created_at,
+    title: `${consent.granted ? 'Granted' : 'Withdrew'} ${humanize(consent.consent_type)} consent`,
+  })),
+  ...deletionRequests.map((request) => ({
+    type: 'deletion',
+    date: request.requested_at || request.created_at,
+    title: 'Requested account deletion',
+    detail: `Status: ${request.status}`,
+  })),
+  ...interactions.map((interaction) => ({
+    type: 'interaction',
+    date: interaction.created_at,
+    title: `Product ${humanize(interaction.interaction_type)}: ${interaction.product?.name || `#${interaction.product_id}`}`,
+  })),
+]
+  .filter((event) => event.date)
+  .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+const AdminUserDetail = ({ userId, onClose }) => {
+  const navigate = useNavigate();
+  const { user: currentUser, startImpersonation } = useAuth();
+  const canImpersonate = usePermission(PERMISSIONS.USERS_IMPERSONATE);
+  const [user, setUser] = useState(null);
+  const [activity, setActivity] = useState(null);
+  const [failedSources, setFailedSources] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [activeTab, setActiveTab] = useState('timeline');
+  const [impersonating, setImpersonating] = useState(false);
+
+  useEffect(() => {
+    fetchUserDetail();
+  }, [userId]);
+
+  const fetchUserDetail = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // Each source loads independently so one failing endpoint doesn't hide the rest
+      const sources = {
+        reviews: apiService.getUserReviews(userId, { per_page: 50 }).then(r => r.reviews || []),
+        images: apiService.getUserImages(userId, { per_page: 50 }).then(r => r.images || []),
+        consents: apiService.getAdminUserConsents(userId).then(r => r.consents || []),
+        deletionRequests: apiService.adminGetDeletionRequests(null, userId).then(r => r.deletion_requests || []),
+        interactions: apiService.getAdminUserInteractions(userId, { per_page: 50 }).then(r => r.interactions || []),
+      };
+      const [userResponse, ...results] = await Promise.allSettled([
+        apiService.getAdminUser(userId),
+        ...Object.values(sources),
+      ]);
+
+      if (userResponse.status === 'rejected') {
+        throw userResponse.reason;
+      }
+      setUser(userResponse.value.user || userResponse.value);
+
+      const names = Object.keys(sources);
+      const loaded = {};
+      const failed = [];
+      results.forEach((result, index) => {
+        loaded[names[index]] = result.status === 'fulfilled' ? result.value : [];
+        if (result.status === 'rejected') {
+          failed.push(names[index]);
+          console.error(`Error fetching user ${SOURCE_LABELS[names[index]]}:`, result.reason);
+        }
+      });
+      setActivity(loaded);
+      setFailedSources(failed);
+    } catch (err) {
+      setError('Failed to load user details');
+      console.error('Error fetching user details:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImpersonate = async () => {
+    try {
+      setImpersonating(true);
+      await startImpersonation(userId);
+      navigate('/');
+    } catch (err) {
+      console.error('Error starting impersonation:', err);
+      alert(err.message || 'Failed to view as user');
+      setImpersonating(false);
+    }
+  };
+
+  const renderTimeline = () => {
+    const events = buildTimeline(activity);
+    if (events.length === 0) {
+      return <p className="text-sm text-gray-500 py-8 text-center">No activity recorded.</p>;
+    }
+    return (
+      <ol className="relative border-l border-gray-200 ml-4">
+        {events.map((event, index) => {
+          const { icon: Icon, color } = EVENT_ICONS[event.type];
+          return (
+            <li key={index} className="mb-6 ml-6">
+              <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ${color}`}>
+                <Icon className="h-3 w-3" />
+              </span>
+              <p className="text-sm font-medium text-gray-900">{event.title}</p>
+              {event.detail && <p className="text-sm text-gray-600">{event.detail}</p>}
+              <time className="text-xs text-gray-400">{formatDateTime(event.date)}</time>
+            </li>
+          );
+        })}
+      </ol>
+    );
+  };
+
+  const renderReviews = () => (
+    activity.reviews.length === 0 ? (
+      <p className="text-sm text-gray-500 py-8 text-center">No reviews yet.</p>
+    ) : (
+      <div className="space-y-3">
+        {activity.reviews.map((review) => (
+          <div key={review.id} className="border border-gray-200 rounded-lg p-3">
+            <div className="flex items-center justify-between mb-1">
+              <span className="font-medium text-gray-900">{review.title}</span>
+              <div className="flex items-center text-sm">
+                <Star className="h-4 w-4 text-yellow-400 fill-yellow-400 mr-1" />
+                {review.rating}
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">
+              {review.product?.name || `Product #${review.product_id}`} · {formatDateTime(review.created_at)}
+            </p>
+            <p className="text-sm text-gray-700 line-clamp-3">{review.comment}</p>
+          </div>
+        ))}
+      </div>
+    )
+  );
+
+  const renderImages = () => (
+    activity.images.length === 0 ? (
+      <p className="text-sm text-gray-500 py-8 text-center">No uploaded images.</p>
+    ) : (
+      <div className="grid grid-cols-3 gap-3">
+        {activity.images.map((image) => (
+          <a key={image.id} href={image.url} target="_blank" rel="noopener noreferrer">
+            <img
+              src={image.thumbnail_url || image.url}
+              alt={image.alt_text || image.original_filename || 'User image'}
+              className="w-full aspect-square object-cover rounded"
+            />
+          </a>
+        ))}
+      </div>
+    )
+  );
+
+  const renderPrivacy = () => (
+    <div className="space-y-6">
+      <div>
+        <h4 className="font-medium text-gray-900 mb-2">Consents</h4>
+        {activity.consents.length === 0 ? (
+          <p className="text-sm text-gray-500">No consent records.</p>
+        ) : (
+          <div className="space-y-2">
+            {activity.consents.map((consent, index) => (
+              <div key={consent.id || index} className="flex items-center justify-between text-sm">
+                <span className="capitalize">{humanize(consent.consent_type)}</span>
+                <div className="flex items-center space-x-2">
+                  <Badge className={consent.granted ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}>
+                    {consent.granted ? 'Granted' : 'Withdrawn'}
+                  </Badge>
+                  <span className="text-xs text-gray-400">
+                    {formatDateTime(consent.updated_at || consent.created_at)}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      <div>
+        <h4 className="font-medium text-gray-900 mb-2">Deletion Requests</h4>
+        {activity.deletionRequests.length === 0 ? (
+          <p className="text-sm text-gray-500">No deletion requests.</p>
+        ) : (
+          <div className="space-y-2">
+            {activity.deletionRequests.map((request) => (
+              <div key={request.id} className="flex items-center justify-between text-sm">
+                <span>{formatDateTime(request.requested_at || request.created_at)}</span>
+                <Badge variant="outline" className="capitalize">{request.status}</Badge>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const tabContent = {
+    timeline: renderTimeline,
+    reviews: renderReviews,
+    images: renderImages,
+    privacy: renderPrivacy,
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black bg-opacity-50" onClick={onClose}></div>
+      <div className="relative bg-white w-full max-w-2xl h-full overflow-y-auto shadow-xl">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+        >
+          <X className="h-6 w-6" />
+        </button>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-full">
+            <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+          </div>
+        ) : error ? (
+          <div className="text-center py-16">
+            <p className="text-red-600">{error}</p>
+          </div>
+        ) : (
+          <div className="p-6">
+            {/* Profile */}
+            <div className="flex items-start space-x-4 mb-6 pr-8">
+              <div className="h-14 w-14 rounded-full bg-gray-200 flex items-center justify-center flex-shrink-0">
+                {user.profile_image_url ? (
+                  <img src={user.profile_image_url} alt={user.username} className="h-14 w-14 rounded-full object-cover" />
+                ) : (
+                  <span className="text-lg font-medium text-gray-700">
+                    {user.username?.charAt(0).toUpperCase()}
+                  </span>
+                )}
+              </div>
+              <div className="flex-1">
+                <h2 className="text-xl font-bold text-gray-900">
+                  {user.first_name && user.last_name ? `${user.first_name} ${user.last_name}` : user.username}
+                </h2>
+                <p className="text-sm text-gray-500">@{user.username} · {user.email}</p>
+                <div className="flex flex-wrap gap-2 mt-2">
+                  <Badge className={user.is_active ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}>
+                    {user.is_active ? 'Active' : 'Inactive'}
+                  </Badge>
+                  {user.email_verified && <Badge variant="secondary">Verified</Badge>}
+                  {getUserRoles(user).map((role) => (
+                    <Badge key={role} variant="destructive">{ROLE_LABELS[role] || role}</Badge>
+                  ))}
+                </div>
+                {user.created_at && (
+                  <p className="text-xs text-gray-400 mt-2">Joined {formatDateTime(user.created_at)}</p>
+                )}
+              </div>
+            </div>
+
+            {canImpersonate && user.id !== currentUser?.id && (
+              <Button variant="outline" onClick={handleImpersonate} disabled={impersonating} className="mb-6">
+                {impersonating ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Eye className="h-4 w-4 mr-2" />
+                )}
+                View as User (read-only)
+              </Button>
+            )}
+
+            {failedSources.length > 0 && (
+              <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                <p className="text-yellow-800 text-sm">
+                  Some activity could not be loaded: {failedSources.map(source => SOURCE_LABELS[source]).join(', ')}.
+                </p>
+              </div>
+            )}
+
+            {/* Tabs */}
+            <div className="flex border-b border-gray-200 mb-4">
+              {TABS.map((tab) => (
+                <button
+                  key={tab.id}
+                  className={`py-2 px-4 text-sm font-medium ${activeTab === tab.id ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+                  onClick={() => setActiveTab(tab.id)}
+                >
+                  {tab.label}
+                  {tab.id === 'reviews' && ` (${activity.reviews.length})`}
+                  {tab.id === 'images' && ` (${activity.images.length})`}
+                </button>
+              ))}
+            </div>
+
+            {tabContent[activeTab]()}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminUserDetail;
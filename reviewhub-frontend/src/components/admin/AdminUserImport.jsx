@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+import { X, Loader2, Upload, CheckCircle, AlertCircle } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { ROLES } from '../../lib/permissions';
+import { parseCsv } from '../../lib/export';
+import apiService from '../../services/api';
+
+// Same column names as the users CSV export, so an export can be edited and re-imported
+const USER_CSV_COLUMNS = [
+  'email',
+  'username',
+  'first_name',
+  'last_name',
+  'role',
+  'is_active',
+  'email_verified',
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_VALUES = ['true', 'yes', '1'];
+const FALSE_VALUES = ['false', 'no', '0'];
+// Role value that removes any admin role; a blank role keeps the current one
+const REGULAR_USER_ROLE = 'user';
+
+// Blank booleans are left out so updates keep the user's current value
+const parseBoolean = (value) => {
+  const normalized = (value || '').trim().toLowerCase();
+  if (normalized === '') return undefined;
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+};
+
+const normalizeRow = (row) => {
+  const errors = [];
+  const user = { email: (row.email || '').trim().toLowerCase() };
+
+  // Blank text fields are left out too, so updates don't wipe existing values
+  ['username', 'first_name', 'last_name'].forEach((field) => {
+    const value = (row[field] || '').trim();
+    if (value) user[field] = value;
+  });
+
+  const role = (row.role || '').trim().toLowerCase();
+  if (role === REGULAR_USER_ROLE) {
+    user.role = null;
+  } else if (role) {
+    user.role = role;
+  }
+
+  if (!user.email) {
+    errors.push('Email is required');
+  } else if (!EMAIL_PATTERN.test(user.email)) {
+    errors.push('Email is not valid');
+  }
+  if (user.role && !Object.values(ROLES).includes(user.role)) {
+    errors.push(`Unknown role "${user.role}"`);
+  }
+
+  ['is_active', 'email_verified'].forEach((field) => {
+    const value = parseBoolean(row[field]);
+    if (value === null) {
+      errors.push(`${field} must be true or false`);
+    } else if (value !== undefined) {
+      user[field] = value;
+    }
+  });
+
+  return { user, errors };
+};
+
+const AdminUserImport = ({ onImported, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [validating, setValidating] = useState(false);
+  const [validated, setValidated] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const busy = validating || importing;
+  const errorCount = rows.filter((row) => row.errors.length > 0).length;
+  const canImport = validated && rows.length > 0 && errorCount === 0 && !busy;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setRows([]);
+    setValidated(false);
+    setError('');
+
+    const parsedRows = parseCsv(await file.text());
+    if (parsedRows.length === 0) {
+      setError('The file has no rows to import');
+      return;
+    }
+    if (!('email' in parsedRows[0])) {
+      setError('The file needs an "email" column');
+      return;
+    }
+
+    const normalizedRows = parsedRows.map(normalizeRow);
+    setRows(normalizedRows.map((row) => ({ ...row, action: null })));
+
+    // Dry run: the API reports duplicates and whether each row creates or updates
+    setValidating(true);
+    try {
+      const response = await apiService.importAdminUsers(
+        normalizedRows.map((row) => row.user),
+        { dryRun: true }
+      );
+      const results = response.results || [];
+      setRows(normalizedRows.map((row, index) => ({
+        ...row,
+        action: results[index]?.action || null,
+        errors: [...row.errors, ...(results[index]?.errors || [])],
+      })));
+      setValidated(true);
+    } catch (err) {
+      setError(err.message || 'Failed to validate the file');
+      console.error('Error validating user import:', err);
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError('');
+    try {
+      const response = await apiService.importAdminUsers(rows.map((row) => row.user));
+      onImported(response.summary || {});
+    } catch (err) {
+      setError(err.message || 'Failed to import users');
+      console.error('Error importing users:', err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-4xl w-full p-6 relative max-h-[90vh] overflow-y-auto">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+          disabled={importing}
+        >
+          <X className="h-6 w-6" />
+        </button>
+
+        <div className="mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">Import Users</h2>
+          <p className="text-gray-600">
+            Rows are matched by email: existing users are updated, new emails create accounts.
+            Nothing is saved until you confirm the preview.
+          </p>
+        </div>
+
+        <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-md text-sm text-gray-600">
+          Columns: <code>{USER_CSV_COLUMNS.join(', ')}</code>. Only email is required;
+          blank cells keep the existing value. Set role to <code>{REGULAR_USER_ROLE}</code> to
+          remove an admin role.
+        </div>
+
+        <label className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium cursor-pointer hover:bg-gray-50">
+          <Upload className="h-4 w-4 mr-2" />
+          {fileName ? 'Choose another file' : 'Choose CSV file'}
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            disabled={busy}
+            className="hidden"
+          />
+        </label>
+        {fileName && <span className="ml-3 text-sm text-gray-600">{fileName}</span>}
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-red-600 text-sm">{error}</p>
+          </div>
+        )}
+
+        {rows.length > 0 && (
+          <div className="mt-6">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm text-gray-600">
+                {validating ? (
+                  <span className="inline-flex items-center">
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Checking {rows.length} rows...
+                  </span>
+                ) : !validated && errorCount === 0 ? (
+                  <span>Rows could not be checked. Choose the file again to retry.</span>
+                ) : errorCount > 0 ? (
+                  <span className="inline-flex items-center text-red-600">
+                    <AlertCircle className="h-4 w-4 mr-1" />
+                    {errorCount} of {rows.length} rows have errors. Fix the file and choose it again.
+                  </span>
+                ) : (
+                  <span className="inline-flex items-center text-green-700">
+                    <CheckCircle className="h-4 w-4 mr-1" />
+                    All {rows.length} rows are valid
+                  </span>
+                )}
+              </p>
+            </div>
+
+            <div className="overflow-x-auto border border-gray-200 rounded-md">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 bg-gray-50">
+                    <th className="text-left py-2 px-3">Row</th>
+                    <th className="text-left py-2 px-3">Email</th>
+                    <th className="text-left py-2 px-3">Username</th>
+                    <th className="text-left py-2 px-3">Role</th>
+                    <th className="text-left py-2 px-3">Action</th>
+                    <th className="text-left py-2 px-3">Errors</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => (
+                    <tr
+                      key={index}
+                      className={`border-b border-gray-100 ${row.errors.length > 0 ? 'bg-red-50' : ''}`}
+                    >
+                      <td className="py-2 px-3 text-gray-500">{index + 1}</td>
+                      <td className="py-2 px-3">{row.user.email || '—'}</td>
+                      <td className="py-2 px-3">{row.user.username || '—'}</td>
+                      <td className="py-2 px-3">
+                        {row.user.role === null ? REGULAR_USER_ROLE : row.user.role || '—'}
+                      </td>
+                      <td className="py-2 px-3">
+                        {row.action && (
+                          <Badge variant={row.action === 'create' ? 'default' : 'secondary'} className="text-xs">
+                            {row.action === 'create' ? 'Create' : 'Update'}
+                          </Badge>
+                        )}
+                      </td>
+                      <td className="py-2 px-3 text-red-600">
+                        {row.errors.join('; ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2 mt-6">
+          <Button variant="outline" onClick={onClose} disabled={importing}>
+            Cancel
+          </Button>
+          <Button onClick={handleImport} disabled={!canImport}>
+            {importing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Import {rows.length > 0 ? `${rows.length} users` : 'users'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminUserImport;
@@ -1,10 +1,24 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Filter, MoreHorizontal, UserCheck, UserX, Eye, Edit } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
+import { Search, Filter, UserCheck, UserX, Eye, Edit, Download, Upload, MailCheck } from 'lucide-react';
+import { toast } from 'sonner';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { Badge } from '../ui/badge';
-import { api } from '../../services/api';
+import AuditReasonDialog from './AuditReasonDialog';
+import AdminUserDetail from './AdminUserDetail';
+import AdminUserImport from './AdminUserImport';
+import { usePermission } from '../../hooks/use-permission';
+import { PERMISSIONS, ROLES, ROLE_LABELS, getUserRoles } from '../../lib/permissions';
+import { downloadCsv } from '../../lib/export';
+import { useAuditReason } from '../../hooks/use-audit-reason';
+import apiService from '../../services/api';
+
+const PAGE_SIZE = 20;
+const EXPORT_PAGE_SIZE = 100;
+// Role select value for removing admin roles from the selected users
+const NO_ROLE = 'none';
 
 const AdminUsers = () => {
   const [users, setUsers] = useState([]);
@@ -13,20 +27,45 @@ const AdminUsers = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [totalUsers, setTotalUsers] = useState(0);
   const [sortBy, setSortBy] = useState('created_at');
   const [sortOrder, setSortOrder] = useState('desc');
   const [selectedUsers, setSelectedUsers] = useState([]);
+  // Set when the selection covers every user matching the search, not only loaded pages
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkUpdating, setBulkUpdating] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const { requestReason, dialogProps: reasonDialogProps } = useAuditReason();
+  const canManageUsers = usePermission(PERMISSIONS.USERS_MANAGE);
+  // The open detail drawer is kept in the URL so it can be linked to
+  const [searchParams, setSearchParams] = useSearchParams();
+  const detailUserId = searchParams.get('user');
+
+  const openUserDetail = (userId) => {
+    setSearchParams({ ...Object.fromEntries(searchParams), user: userId });
+  };
+
+  const closeUserDetail = () => {
+    const { user: _user, ...rest } = Object.fromEntries(searchParams);
+    setSearchParams(rest);
+  };
 
   useEffect(() => {
     fetchUsers();
   }, [currentPage, sortBy, sortOrder, searchTerm]);
 
+  // A new search changes which users "all matching" refers to
+  useEffect(() => {
+    setAllMatching(false);
+  }, [searchTerm]);
+
   const fetchUsers = async () => {
     try {
       setLoading(true);
-      const response = await api.getAdminUsers(
+      const response = await apiService.getAdminUsers(
         currentPage,
-        20,
+        PAGE_SIZE,
         searchTerm,
         sortBy,
         sortOrder
@@ -34,6 +73,7 @@ const AdminUsers = () => {
       
       setUsers(response.users || []);
       setTotalPages(response.pages || 1);
+      setTotalUsers(response.total ?? (response.users || []).length);
     } catch (err) {
       setError('Failed to load users');
       console.error('Error fetching users:', err);
@@ -59,16 +99,29 @@ const AdminUsers = () => {
   };
 
   const handleUserStatusToggle = async (userId, currentStatus) => {
+    const auditOptions = await requestReason({
+      title: `${currentStatus ? 'Deactivate' : 'Activate'} this user?`,
+      confirmLabel: currentStatus ? 'Deactivate' : 'Activate',
+      destructive: currentStatus,
+    });
+    if (!auditOptions) return;
+
     try {
-      await api.updateUserStatus(userId, !currentStatus);
+      await apiService.updateUserStatus(userId, !currentStatus, auditOptions);
       fetchUsers(); // Refresh the list
     } catch (err) {
       console.error('Error updating user status:', err);
-      alert('Failed to update user status');
+      toast.error('Failed to update user status');
     }
   };
 
   const handleSelectUser = (userId) => {
+    if (allMatching) {
+      // Unticking one user turns "all matching" back into an explicit selection
+      setAllMatching(false);
+      setSelectedUsers(users.map(user => user.id).filter(id => id !== userId));
+      return;
+    }
     setSelectedUsers(prev => 
       prev.includes(userId) 
         ? prev.filter(id => id !== userId)
@@ -76,14 +129,106 @@ const AdminUsers = () => {
     );
   };
 
+  const allOnPageSelected = users.length > 0 &&
+    (allMatching || users.every(user => selectedUsers.includes(user.id)));
+
   const handleSelectAll = () => {
-    if (selectedUsers.length === users.length) {
+    setAllMatching(false);
+    if (allOnPageSelected) {
       setSelectedUsers([]);
     } else {
       setSelectedUsers(users.map(user => user.id));
     }
   };
 
+  const clearSelection = () => {
+    setAllMatching(false);
+    setSelectedUsers([]);
+  };
+
+  const selectedCount = allMatching ? totalUsers : selectedUsers.length;
+
+  const handleBulkUpdate = async (updates, description) => {
+    const auditOptions = await requestReason({
+      title: allMatching
+        ? `${description} all ${totalUsers} users matching this search?`
+        : `${description} ${selectedUsers.length} selected users?`,
+      confirmLabel: 'Update Users',
+    });
+    if (!auditOptions) return;
+
+    try {
+      setBulkUpdating(true);
+      await apiService.bulkUpdateUsers(
+        selectedUsers,
+        updates,
+        allMatching ? { search: searchTerm } : null,
+        auditOptions
+      );
+      clearSelection();
+      fetchUsers();
+    } catch (err) {
+      console.error('Error updating users:', err);
+      toast.error('Failed to update users');
+    } finally {
+      setBulkUpdating(false);
+    }
+  };
+
+  const handleBulkRoleChange = (e) => {
+    const { value } = e.target;
+    if (!value) return;
+    if (value === NO_ROLE) {
+      handleBulkUpdate({ role: null }, 'Remove admin roles from');
+    } else {
+      handleBulkUpdate({ role: value }, `Make ${ROLE_LABELS[value]} for`);
+    }
+  };
+
+  // Exports every user matching the current search, not just the loaded page
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const exportedUsers = [];
+      let page = 1;
+      let pages = 1;
+      do {
+        const response = await apiService.getAdminUsers(page, EXPORT_PAGE_SIZE, searchTerm, sortBy, sortOrder);
+        exportedUsers.push(...(response.users || []));
+        pages = response.pages || 1;
+        page += 1;
+      } while (page <= pages);
+
+      const rows = exportedUsers.map(user => ({
+        ...user,
+        role: getUserRoles(user)[0] || '',
+      }));
+      downloadCsv(rows, `users-${new Date().toISOString().slice(0, 10)}.csv`, [
+        'id',
+        'email',
+        'username',
+        'first_name',
+        'last_name',
+        'role',
+        'is_active',
+        'email_verified',
+        'review_count',
+        'created_at',
+      ]);
+    } catch (err) {
+      console.error('Error exporting users:', err);
+      toast.error('Failed to export users');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleImported = () => {
+    setShowImport(false);
+    clearSelection();
+    fetchUsers();
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -115,6 +260,18 @@ const AdminUsers = () => {
           <h1 className="text-2xl font-bold text-gray-900">Users</h1>
           <p className="text-gray-600">Manage user accounts and permissions</p>
         </div>
+        <div className="flex items-center space-x-2">
+          <Button variant="outline" onClick={handleExport} disabled={exporting}>
+            <Download className="h-4 w-4 mr-2" />
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </Button>
+          {canManageUsers && (
+            <Button variant="outline" onClick={() => setShowImport(true)}>
+              <Upload className="h-4 w-4 mr-2" />
+              Import CSV
+            </Button>
+          )}
+        </div>
       </div>
 
       {/* Search and Filters */}
@@ -143,19 +300,74 @@ const AdminUsers = () => {
         <CardHeader>
           <div className="flex items-center justify-between">
             <CardTitle>All Users</CardTitle>
-            {selectedUsers.length > 0 && (
+            {selectedCount > 0 && canManageUsers && (
               <div className="flex items-center space-x-2">
                 <span className="text-sm text-gray-600">
-                  {selectedUsers.length} selected
+                  {selectedCount} selected
                 </span>
-                <Button size="sm" variant="outline">
-                  Bulk Actions
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleBulkUpdate({ is_active: true }, 'Activate')}
+                  disabled={bulkUpdating}
+                >
+                  <UserCheck className="h-4 w-4 mr-1" />
+                  Activate
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleBulkUpdate({ is_active: false }, 'Deactivate')}
+                  disabled={bulkUpdating}
+                >
+                  <UserX className="h-4 w-4 mr-1" />
+                  Deactivate
                 </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleBulkUpdate({ email_verified: true }, 'Verify the email of')}
+                  disabled={bulkUpdating}
+                >
+                  <MailCheck className="h-4 w-4 mr-1" />
+                  Verify Email
+                </Button>
+                <select
+                  value=""
+                  onChange={handleBulkRoleChange}
+                  disabled={bulkUpdating}
+                  className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                >
+                  <option value="">Change role...</option>
+                  {Object.values(ROLES).map((role) => (
+                    <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                  ))}
+                  <option value={NO_ROLE}>Regular user (no admin role)</option>
+                </select>
               </div>
             )}
           </div>
         </CardHeader>
         <CardContent>
+          {canManageUsers && allOnPageSelected && totalUsers > users.length && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md text-sm text-blue-800 text-center">
+              {allMatching ? (
+                <>
+                  All {totalUsers} users matching this search are selected.{' '}
+                  <button onClick={clearSelection} className="font-medium underline">
+                    Clear selection
+                  </button>
+                </>
+              ) : (
+                <>
+                  All {users.length} users on this page are selected.{' '}
+                  <button onClick={() => setAllMatching(true)} className="font-medium underline">
+                    Select all {totalUsers} users matching this search
+                  </button>
+                </>
+              )}
+            </div>
+          )}
           <div className="overflow-x-auto">
             <table className="w-full">
               <thead>
@@ -163,7 +375,7 @@ const AdminUsers = () => {
                   <th className="text-left py-3 px-4">
                     <input
                       type="checkbox"
-                      checked={selectedUsers.length === users.length && users.length > 0}
+                      checked={allOnPageSelected}
                       onChange={handleSelectAll}
                       className="rounded"
                     />
@@ -206,7 +418,7 @@ const AdminUsers = () => {
                     <td className="py-3 px-4">
                       <input
                         type="checkbox"
-                        checked={selectedUsers.includes(user.id)}
+                        checked={allMatching || selectedUsers.includes(user.id)}
                         onChange={() => handleSelectUser(user.id)}
                         className="rounded"
                       />
@@ -237,11 +449,11 @@ const AdminUsers = () => {
                             Verified
                           </Badge>
                         )}
-                        {user.is_admin && (
-                          <Badge variant="destructive" className="text-xs">
-                            Admin
+                        {getUserRoles(user).map((role) => (
+                          <Badge key={role} variant="destructive" className="text-xs">
+                            {ROLE_LABELS[role] || role}
                           </Badge>
-                        )}
+                        ))}
                       </div>
                     </td>
                     <td className="py-3 px-4">
@@ -262,25 +474,27 @@ const AdminUsers = () => {
                     </td>
                     <td className="py-3 px-4">
                       <div className="flex items-center space-x-2">
-                        <Button
-                          size="sm"
-                          variant="outline"
-                          onClick={() => handleUserStatusToggle(user.id, user.is_active)}
-                        >
-                          {user.is_active ? (
-                            <>
-                              <UserX className="h-4 w-4 mr-1" />
-                              Deactivate
-                            </>
-                          ) : (
-                            <>
-                              <UserCheck className="h-4 w-4 mr-1" />
-                              Activate
-                            </>
-                          )}
-                        </Button>
-                        <Button size="sm" variant="ghost">
-                          <MoreHorizontal className="h-4 w-4" />
+                        {canManageUsers && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleUserStatusToggle(user.id, user.is_active)}
+                          >
+                            {user.is_active ? (
+                              <>
+                                <UserX className="h-4 w-4 mr-1" />
+                                Deactivate
+                              </>
+                            ) : (
+                              <>
+                                <UserCheck className="h-4 w-4 mr-1" />
+                                Activate
+                              </>
+                            )}
+                          </Button>
+                        )}
+                        <Button size="sm" variant="ghost" onClick={() => openUserDetail(user.id)}>
+                          <Eye className="h-4 w-4" />
                         </Button>
                       </div>
                     </td>
@@ -324,6 +538,16 @@ const AdminUsers = () => {
           <p className="text-red-600">{error}</p>
         </div>
       )}
+
+      {showImport && (
+        <AdminUserImport onImported={handleImported} onClose={() => setShowImport(false)} />
+      )}
+
+      {detailUserId && (
+        <AdminUserDetail userId={detailUserId} onClose={closeUserDetail} />
+      )}
+
+      <AuditReasonDialog {...reasonDialogProps} />
     </div>
   );
 };
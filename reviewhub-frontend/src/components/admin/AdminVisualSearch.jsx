@@ -0,0 +1,393 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Camera,
+  RefreshCw,
+  Trash2,
+  Database,
+  AlertCircle,
+  CheckCircle,
+  Loader2,
+  Clock
+} from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Alert, AlertDescription } from '../ui/alert';
+import { Progress } from '../ui/progress';
+import { usePermission } from '../../hooks/use-permission';
+import { PERMISSIONS } from '../../lib/permissions';
+import apiService from '../../services/api';
+
+const JOB_POLL_INTERVAL_MS = 2000;
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const JOB_LABELS = {
+  reindex: 'Reindex',
+  cleanup: 'Cleanup',
+};
+
+const JOB_STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-800',
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const CLEANUP_PERIODS = [7, 30, 90];
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const isJobActive = (job) => !!job && ACTIVE_JOB_STATUSES.includes(job.status);
+
+const getJobProgress = (job) => {
+  if (job.progress !== undefined) return job.progress;
+  return job.total ? Math.round((job.processed / job.total) * 100) : 0;
+};
+
+const AdminVisualSearch = () => {
+  const [stats, setStats] = useState(null);
+  const [queries, setQueries] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [activeJob, setActiveJob] = useState(null);
+  const [startingJob, setStartingJob] = useState(false);
+  const [cleanupDays, setCleanupDays] = useState(7);
+  const canManageIndex = usePermission(PERMISSIONS.SEARCH_MANAGE);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  // Poll the running job until it finishes, then refresh coverage and history
+  useEffect(() => {
+    if (!isJobActive(activeJob)) return undefined;
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await apiService.adminGetVisualSearchJob(activeJob.id);
+        setActiveJob(response.job);
+        if (!isJobActive(response.job)) {
+          loadData();
+        }
+      } catch (err) {
+        console.error('Error polling visual search job:', err);
+      }
+    }, JOB_POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [activeJob?.id, activeJob?.status]);
+
+  const loadData = async () => {
+    setError('');
+    try {
+      const [statsResponse, queriesResponse, jobsResponse] = await Promise.all([
+        apiService.getVisualSearchStats(),
+        apiService.adminGetVisualSearchQueries(),
+        apiService.adminGetVisualSearchJobs(),
+      ]);
+      setStats(statsResponse.stats || statsResponse);
+      setQueries(queriesResponse.queries || []);
+      setJobs(jobsResponse.jobs || []);
+
+      // Pick up a job started elsewhere, e.g. before a page reload
+      const runningJob = (jobsResponse.jobs || []).find(isJobActive);
+      if (runningJob) {
+        setActiveJob((current) => (isJobActive(current) ? current : runningJob));
+      }
+    } catch (err) {
+      console.error('Error loading visual search data:', err);
+      setError('Failed to load visual search data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startJob = async (request) => {
+    try {
+      setStartingJob(true);
+      const response = await request();
+      setActiveJob(response.job);
+      setJobs((prev) => [response.job, ...prev]);
+    } catch (err) {
+      console.error('Error starting visual search job:', err);
+      alert(err.message || 'Failed to start job');
+    } finally {
+      setStartingJob(false);
+    }
+  };
+
+  const handleReindex = () => {
+    if (!confirm('Regenerate image embeddings for every product? Visual search keeps working during the reindex.')) {
+      return;
+    }
+    startJob(() => apiService.adminReindexVisualSearch());
+  };
+
+  const handleCleanup = () => {
+    if (!confirm(`Delete uploaded search images and results older than ${cleanupDays} days?`)) {
+      return;
+    }
+    startJob(() => apiService.adminCleanupVisualSearch(cleanupDays));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <RefreshCw className="h-8 w-8 animate-spin" />
+        <span className="ml-2">Loading visual search index...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>{error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  const totalProducts = stats?.total_products || 0;
+  const indexedProducts = stats?.indexed_products || 0;
+  const missingProducts = Math.max(totalProducts - indexedProducts, 0);
+  const coverage = totalProducts ? Math.round((indexedProducts / totalProducts) * 100) : 0;
+  const jobRunning = isJobActive(activeJob);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Camera className="h-6 w-6" />
+          <h2 className="text-2xl font-bold">Visual Search Index</h2>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button onClick={loadData} variant="outline" size="sm">
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          {canManageIndex && (
+            <Button onClick={handleReindex} size="sm" disabled={jobRunning || startingJob}>
+              <Database className="h-4 w-4 mr-2" />
+              Reindex
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Running job */}
+      {activeJob && (
+        <Card>
+          <CardContent className="p-6">
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center gap-2">
+                {jobRunning ? (
+                  <Loader2 className="h-4 w-4 animate-spin text-blue-600" />
+                ) : activeJob.status === 'failed' ? (
+                  <AlertCircle className="h-4 w-4 text-red-600" />
+                ) : (
+                  <CheckCircle className="h-4 w-4 text-green-600" />
+                )}
+                <span className="font-medium">
+                  {JOB_LABELS[activeJob.type] || activeJob.type} job #{activeJob.id}
+                </span>
+                <Badge className={JOB_STATUS_STYLES[activeJob.status]}>{activeJob.status}</Badge>
+              </div>
+              {activeJob.total > 0 && (
+                <span className="text-sm text-gray-600">
+                  {activeJob.processed || 0} / {activeJob.total}
+                </span>
+              )}
+            </div>
+            <Progress value={getJobProgress(activeJob)} className="h-2" />
+            {activeJob.error && (
+              <p className="text-sm text-red-600 mt-2">{activeJob.error}</p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Coverage */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Index Coverage</CardTitle>
+            <Database className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{coverage}%</div>
+            <Progress value={coverage} className="h-2 mt-2" />
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">With Embeddings</CardTitle>
+            <CheckCircle className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{indexedProducts}</div>
+            <p className="text-xs text-muted-foreground">of {totalProducts} products</p>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Without Embeddings</CardTitle>
+            <AlertCircle className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className={`text-2xl font-bold ${missingProducts > 0 ? 'text-yellow-600' : ''}`}>
+              {missingProducts}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Not found by visual search until reindexed
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Recent Queries */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent Visual Queries</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {queries.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No visual searches yet.</p>
+          ) : (
+            <div className="space-y-4">
+              {queries.map((query) => (
+                <div key={query.id} className="flex items-start gap-4 p-3 border rounded-lg">
+                  {query.image_url ? (
+                    <img
+                      src={query.image_url}
+                      alt="Search upload"
+                      className="w-16 h-16 object-cover rounded flex-shrink-0"
+                    />
+                  ) : (
+                    <div className="w-16 h-16 bg-gray-100 rounded flex items-center justify-center flex-shrink-0">
+                      <Camera className="h-6 w-6 text-gray-400" />
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 text-sm text-gray-600 mb-2">
+                      <Clock className="h-3 w-3" />
+                      {formatDateTime(query.created_at)}
+                      <span>· {query.results_count ?? (query.top_matches || []).length} results</span>
+                    </div>
+                    {(query.top_matches || []).length === 0 ? (
+                      <p className="text-sm text-gray-500">No matches</p>
+                    ) : (
+                      <div className="flex flex-wrap gap-2">
+                        {query.top_matches.map((match) => (
+                          <Link
+                            key={match.product_id}
+                            to={`/product/${match.product_id}`}
+                            className="flex items-center gap-2 px-2 py-1 bg-gray-50 rounded text-sm hover:bg-gray-100"
+                          >
+                            <span className="truncate max-w-[12rem]">{match.name}</span>
+                            <Badge variant="secondary" className="text-xs">
+                              {Math.round(match.similarity_score * 100)}%
+                            </Badge>
+                          </Link>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Job History */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <CardTitle>Job History</CardTitle>
+            {canManageIndex && (
+              <div className="flex items-center gap-2">
+                <select
+                  value={cleanupDays}
+                  onChange={(e) => setCleanupDays(Number(e.target.value))}
+                  className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                >
+                  {CLEANUP_PERIODS.map((days) => (
+                    <option key={days} value={days}>Older than {days} days</option>
+                  ))}
+                </select>
+                <Button onClick={handleCleanup} variant="outline" size="sm" disabled={jobRunning || startingJob}>
+                  <Trash2 className="h-4 w-4 mr-2" />
+                  Clean Up
+                </Button>
+              </div>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          {jobs.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No jobs have run yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-3 px-4">Job</th>
+                    <th className="text-left py-3 px-4">Status</th>
+                    <th className="text-left py-3 px-4">Started</th>
+                    <th className="text-left py-3 px-4">Finished</th>
+                    <th className="text-left py-3 px-4">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.map((job) => {
+                    // The polled copy is fresher than the history entry
+                    const current = job.id === activeJob?.id ? activeJob : job;
+                    return (
+                      <tr key={job.id} className="border-b border-gray-100">
+                        <td className="py-3 px-4">
+                          {JOB_LABELS[current.type] || current.type} #{current.id}
+                          {current.started_by && (
+                            <div className="text-xs text-gray-500">by {current.started_by}</div>
+                          )}
+                        </td>
+                        <td className="py-3 px-4">
+                          <Badge className={JOB_STATUS_STYLES[current.status]}>
+                            {isJobActive(current) ? `${current.status} ${getJobProgress(current)}%` : current.status}
+                          </Badge>
+                        </td>
+                        <td className="py-3 px-4 text-gray-600">
+                          {current.started_at ? formatDateTime(current.started_at) : '—'}
+                        </td>
+                        <td className="py-3 px-4 text-gray-600">
+                          {current.finished_at ? formatDateTime(current.finished_at) : '—'}
+                        </td>
+                        <td className="py-3 px-4 text-gray-600">
+                          {current.error || current.message || '—'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AdminVisualSearch;
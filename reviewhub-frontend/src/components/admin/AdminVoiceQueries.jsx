@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, PlayCircle, ChevronDown, ChevronRight, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import apiService from '../../services/api';
+
+const PAGE_SIZE = 20;
+
+// A query failed when it found nothing or the parser couldn't classify it
+const isFailedQuery = (query) => query.result_count === 0 || !query.intent || query.intent === 'unknown';
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const formatIntent = (intent) => (intent ? intent.replace(/_/g, ' ') : 'unknown');
+
+const formatConfidence = (confidence) => (
+  confidence === null || confidence === undefined ? 'N/A' : `${Math.round(confidence * 100)}%`
+);
+
+// Raw voice queries for the selected period; failed ones can be replayed
+// through the current parser to see whether it now understands them.
+// Keyed by period in the parent so changing it starts again from page 1.
+const AdminVoiceQueries = ({ days }) => {
+  const [queries, setQueries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [failedOnly, setFailedOnly] = useState(false);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  // Replay results keyed by query id: { loading, result, error }
+  const [replays, setReplays] = useState({});
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    loadQueries();
+  }, [days, failedOnly, currentPage]);
+
+  const loadQueries = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiService.adminGetVoiceQueries(days, {
+        page: currentPage,
+        perPage: PAGE_SIZE,
+        failedOnly,
+      });
+      setQueries(response.queries || []);
+      setTotalPages(response.pages || 1);
+    } catch (error) {
+      console.error('Error loading voice queries:', error);
+      setError('Failed to load voice queries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replayQuery = async (query) => {
+    setExpandedId(query.id);
+    if (replays[query.id]?.result) return;
+
+    setReplays(prev => ({ ...prev, [query.id]: { loading: true } }));
+    try {
+      const result = await apiService.processVoiceQuery(query.transcript);
+      setReplays(prev => ({ ...prev, [query.id]: { result } }));
+    } catch (error) {
+      console.error('Error replaying voice query:', error);
+      setReplays(prev => ({ ...prev, [query.id]: { error: 'Failed to replay query' } }));
+    }
+  };
+
+  const handleRowClick = (query) => {
+    if (expandedId === query.id) {
+      setExpandedId(null);
+    } else if (isFailedQuery(query)) {
+      replayQuery(query);
+    } else {
+      setExpandedId(query.id);
+    }
+  };
+
+  const renderReplay = (query) => {
+    const replay = replays[query.id];
+    if (!replay) {
+      return (
+        <p className="text-sm text-gray-600">
+          Processed as <span className="font-medium">{query.processed_text || query.transcript}</span>
+        </p>
+      );
+    }
+    if (replay.loading) {
+      return (
+        <div className="flex items-center text-sm text-gray-600">
+          <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+          Replaying through the current parser...
+        </div>
+      );
+    }
+    if (replay.error) {
+      return <p className="text-sm text-red-600">{replay.error}</p>;
+    }
+
+    const { result } = replay;
+    const intentChanged = result.intent !== query.intent;
+    return (
+      <div className="space-y-2 text-sm">
+        <div className="font-medium text-gray-900">Parsed today</div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+          <div>
+            <span className="text-gray-600">Processed text:</span>{' '}
+            <span className="font-medium">{result.processed_text}</span>
+          </div>
+          <div>
+            <span className="text-gray-600">Intent:</span>{' '}
+            <span className="font-medium capitalize">{formatIntent(result.intent)}</span>
+            {intentChanged && (
+              <Badge variant="outline" className="ml-2 text-xs">
+                was {formatIntent(query.intent)}
+              </Badge>
+            )}
+          </div>
+          <div>
+            <span className="text-gray-600">Confidence:</span>{' '}
+            <span className="font-medium">{formatConfidence(result.confidence)}</span>
+          </div>
+        </div>
+        {result.search_params && (
+          <pre className="bg-white border rounded p-2 text-xs overflow-x-auto">
+            {JSON.stringify(result.search_params, null, 2)}
+          </pre>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle>Voice Queries</CardTitle>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={failedOnly}
+              onChange={(e) => {
+                setFailedOnly(e.target.checked);
+                setCurrentPage(1);
+              }}
+              className="rounded"
+            />
+            Failed queries only
+          </label>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error ? (
+          <div className="flex items-center text-red-600 text-sm">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        ) : loading ? (
+          <div className="animate-pulse space-y-2">
+            {[...Array(5)].map((_, i) => (
+              <div key={i} className="h-10 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : queries.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No voice queries in this period.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="w-6"></th>
+                  <th className="text-left py-3 px-4">Transcript</th>
+                  <th className="text-left py-3 px-4">Intent</th>
+                  <th className="text-left py-3 px-4">Confidence</th>
+                  <th className="text-left py-3 px-4">Results</th>
+                  <th className="text-left py-3 px-4">When</th>
+                </tr>
+              </thead>
+              <tbody>
+                {queries.map((query) => {
+                  const failed = isFailedQuery(query);
+                  const expanded = expandedId === query.id;
+                  return (
+                    <React.Fragment key={query.id}>
+                      <tr
+                        onClick={() => handleRowClick(query)}
+                        className={`border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${failed ? 'bg-red-50' : ''}`}
+                        title={failed ? 'Replay through the current parser' : undefined}
+                      >
+                        <td className="pl-2 text-gray-400">
+                          {expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                        </td>
+                        <td className="py-3 px-4 font-medium">
+                          <div className="flex items-center gap-2">
+                            {failed && <PlayCircle className="h-4 w-4 text-red-500 flex-shrink-0" />}
+                            {query.transcript}
+                          </div>
+                        </td>
+                        <td className="py-3 px-4 capitalize">{formatIntent(query.intent)}</td>
+                        <td className="py-3 px-4">{formatConfidence(query.confidence)}</td>
+                        <td className="py-3 px-4">
+                          <Badge variant={query.result_count === 0 ? 'destructive' : 'secondary'}>
+                            {query.result_count ?? 0}
+                          </Badge>
+                        </td>
+                        <td className="py-3 px-4 text-gray-600 whitespace-nowrap">
+                          {formatDateTime(query.created_at)}
+                        </td>
+                      </tr>
+                      {expanded && (
+                        <tr className="border-b border-gray-100 bg-gray-50">
+                          <td></td>
+                          <td colSpan={5} className="py-3 px-4">
+                            {renderReplay(query)}
+                            {!failed && !replays[query.id] && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                className="mt-2"
+                                onClick={() => replayQuery(query)}
+                              >
+                                <PlayCircle className="h-4 w-4 mr-2" />
+                                Replay
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="flex items-center justify-between mt-6">
+            <div className="text-sm text-gray-600">
+              Page {currentPage} of {totalPages}
+            </div>
+            <div className="flex items-center space-x-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1}
+              >
+                Previous
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                disabled={currentPage === totalPages}
+              >
+                Next
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AdminVoiceQueries;
@@ -28,6 +28,8 @@ import {
   BarChart,
   Bar
 } from 'recharts';
+import AdminVoiceQueries from './AdminVoiceQueries';
+import { downloadBlob, downloadCsv } from '../../lib/export';
 import apiService from '../../services/api';
 
 const AdminVoiceSearch = () => {
@@ -62,9 +64,35 @@ const AdminVoiceSearch = () => {
     }
   };
 
-  const exportAnalytics = () => {
+  const exportAnalytics = (format) => {
     if (!analytics) return;
 
+    const fileBase = `voice-search-analytics-${selectedPeriod}days-${new Date().toISOString().split('T')[0]}`;
+    switch (format) {
+      case 'daily-csv':
+        downloadCsv(analytics.daily_statistics, `${fileBase}-daily.csv`, [
+          { key: 'date', label: 'Date' },
+          { key: 'query_count', label: 'Queries' },
+          { key: 'avg_confidence', label: 'Avg Confidence' },
+        ]);
+        return;
+      case 'intents-csv':
+        downloadCsv(analytics.intent_statistics, `${fileBase}-intents.csv`, [
+          { key: 'intent', label: 'Intent' },
+          { key: 'count', label: 'Queries' },
+          { key: 'percentage', label: 'Percentage' },
+        ]);
+        return;
+      case 'top-queries-csv':
+        downloadCsv(analytics.top_queries, `${fileBase}-top-queries.csv`, [
+          { key: 'query', label: 'Query' },
+          { key: 'frequency', label: 'Frequency' },
+        ]);
+        return;
+      default:
+        break;
+    }
+
     const data = {
       period: `${selectedPeriod} days`,
       generated_at: new Date().toISOString(),
@@ -77,15 +105,7 @@ const AdminVoiceSearch = () => {
       top_queries: analytics.top_queries
     };
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `voice-search-analytics-${selectedPeriod}days-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${fileBase}.json`);
   };
 
   const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8'];
@@ -141,10 +161,20 @@ const AdminVoiceSearch = () => {
             <RefreshCw className="h-4 w-4 mr-2" />
             Refresh
           </Button>
-          <Button onClick={exportAnalytics} variant="outline" size="sm">
-            <Download className="h-4 w-4 mr-2" />
-            Export
-          </Button>
+          <div className="relative">
+            <Download className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 pointer-events-none" />
+            <select
+              value=""
+              onChange={(e) => exportAnalytics(e.target.value)}
+              className="pl-9 pr-3 py-2 border rounded-md text-sm"
+            >
+              <option value="">Export...</option>
+              <option value="json">Full report (JSON)</option>
+              <option value="daily-csv">Daily statistics (CSV)</option>
+              <option value="intents-csv">Intent breakdown (CSV)</option>
+              <option value="top-queries-csv">Top queries (CSV)</option>
+            </select>
+          </div>
         </div>
       </div>
 
@@ -332,6 +362,9 @@ const AdminVoiceSearch = () => {
         </CardContent>
       </Card>
 
+      {/* Raw Queries */}
+      <AdminVoiceQueries key={selectedPeriod} days={selectedPeriod} />
+
       {/* Usage Tips */}
       <Card>
         <CardHeader>
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/dialog';
+import { Button } from '../ui/button';
+import { Textarea } from '../ui/textarea';
+
+// Mounted only while the dialog is open, so every request starts with an empty note
+const AuditReasonForm = ({ children, confirmLabel, destructive, confirmDisabled, busy, onConfirm, onCancel }) => {
+  const [reason, setReason] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(reason.trim() || undefined);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {children}
+      <div>
+        <label htmlFor="audit-reason" className="block text-sm font-medium text-gray-700 mb-1">
+          Note for the audit log (optional)
+        </label>
+        <Textarea
+          id="audit-reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={2}
+          disabled={busy}
+          autoFocus
+        />
+      </div>
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel} disabled={busy}>
+          Cancel
+        </Button>
+        <Button type="submit" variant={destructive ? 'destructive' : 'default'} disabled={busy || confirmDisabled}>
+          {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          {confirmLabel}
+        </Button>
+      </DialogFooter>
+    </form>
+  );
+};
+
+// Confirms a destructive admin action and collects the reason recorded in the
+// audit log. `children` can add warnings above the note field.
+const AuditReasonDialog = ({
+  open,
+  title,
+  description,
+  children,
+  confirmLabel = 'Confirm',
+  destructive = false,
+  confirmDisabled = false,
+  busy = false,
+  onConfirm,
+  onCancel,
+}) => (
+  <Dialog open={open} onOpenChange={(isOpen) => !isOpen && !busy && onCancel()}>
+    <DialogContent>
+      <DialogHeader>
+        <DialogTitle>{title}</DialogTitle>
+        {description && <DialogDescription>{description}</DialogDescription>}
+      </DialogHeader>
+      <AuditReasonForm
+        confirmLabel={confirmLabel}
+        destructive={destructive}
+        confirmDisabled={confirmDisabled}
+        busy={busy}
+        onConfirm={onConfirm}
+        onCancel={onCancel}
+      >
+        {children}
+      </AuditReasonForm>
+    </DialogContent>
+  </Dialog>
+);
+
+export default AuditReasonDialog;
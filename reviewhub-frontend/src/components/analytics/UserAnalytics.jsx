@@ -3,7 +3,7 @@ import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContaine
 import { User, Star, MessageSquare, Eye, Calendar, TrendingUp } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Badge } from '../ui/badge';
-import { api } from '../../services/api';
+import apiService from '../../services/api';
 
 const UserAnalytics = () => {
   const [analytics, setAnalytics] = useState(null);
@@ -17,7 +17,7 @@ const UserAnalytics = () => {
   const fetchAnalytics = async () => {
     try {
       setLoading(true);
-      const data = await api.getUserAnalytics();
+      const data = await apiService.getUserAnalytics();
       setAnalytics(data);
     } catch (err) {
       setError('Failed to load analytics');
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { X, Eye, EyeOff, Loader2, Mail, AlertCircle } from 'lucide-react';
+import { X, Eye, EyeOff, Loader2, Mail, AlertCircle, Clock } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { useAuth } from '../../contexts/AuthContext';
@@ -10,6 +10,7 @@ export function LoginModal({ isOpen, onClose, onSwitchToRegister }) {
     password: '',
   });
   const [showPassword, setShowPassword] = useState(false);
+  const [rememberMe, setRememberMe] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [showForgotPassword, setShowForgotPassword] = useState(false);
@@ -17,7 +18,7 @@ export function LoginModal({ isOpen, onClose, onSwitchToRegister }) {
   const [forgotPasswordMessage, setForgotPasswordMessage] = useState('');
   const [emailVerificationError, setEmailVerificationError] = useState(false);
 
-  const { login, forgotPassword, resendVerificationEmail } = useAuth();
+  const { login, forgotPassword, resendVerificationEmail, sessionExpired } = useAuth();
 
   const handleChange = (e) => {
     setFormData({
@@ -36,7 +37,7 @@ export function LoginModal({ isOpen, onClose, onSwitchToRegister }) {
     setEmailVerificationError(false);
 
     try {
-      await login(formData);
+      await login(formData, { remember: rememberMe });
       onClose();
       // Reset form
       setFormData({ username: '', password: '' });
@@ -180,6 +181,18 @@ export function LoginModal({ isOpen, onClose, onSwitchToRegister }) {
               <p className="text-gray-600">Welcome back to ReviewHub</p>
             </div>
 
+            {/* Session expired notice */}
+            {sessionExpired && !error && (
+              <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-md">
+                <div className="flex items-start">
+                  <Clock className="h-5 w-5 text-amber-500 mr-2 mt-0.5 flex-shrink-0" />
+                  <p className="text-amber-700 text-sm">
+                    Your session has expired. Please sign in again to continue.
+                  </p>
+                </div>
+              </div>
+            )}
+
             {/* Error message */}
             {error && (
               <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
@@ -275,6 +288,17 @@ export function LoginModal({ isOpen, onClose, onSwitchToRegister }) {
                 </div>
               </div>
 
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={rememberMe}
+                  onChange={(e) => setRememberMe(e.target.checked)}
+                  disabled={isLoading}
+                  className="rounded border-gray-300"
+                />
+                <span>Remember me on this device</span>
+              </label>
+
               <Button
                 type="submit"
                 className="w-full"
@@ -17,6 +17,7 @@ import {
   AlertTriangle,
   Info
 } from 'lucide-react';
+import { useSettings } from '../../contexts/SettingsContext';
 import apiService from '../../services/api';
 
 const PrivacyDashboard = () => {
@@ -26,6 +27,7 @@ const PrivacyDashboard = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [activeTab, setActiveTab] = useState('profile');
+  const { settings } = useSettings();
 
   useEffect(() => {
     loadPrivacySettings();
@@ -81,33 +83,37 @@ const PrivacyDashboard = () => {
     }
   };
 
+  // Fields the user never changed follow the platform defaults that a reset applies
+  const getSettingValue = (field) => (
+    privacySettings[field] ?? settings.privacy_defaults[field] ?? false
+  );
+
   const getPrivacyScore = () => {
-    const settings = privacySettings;
     let score = 0;
     let total = 0;
 
     // Profile privacy (weight: 3)
-    if (settings.profile_public === false) score += 3;
+    if (getSettingValue('profile_public') === false) score += 3;
     total += 3;
 
     // Real name privacy (weight: 2)
-    if (settings.show_real_name === false) score += 2;
+    if (getSettingValue('show_real_name') === false) score += 2;
     total += 2;
 
     // Location privacy (weight: 2)
-    if (settings.show_location === false) score += 2;
+    if (getSettingValue('show_location') === false) score += 2;
     total += 2;
 
     // Review privacy (weight: 2)
-    if (settings.reviews_public === false) score += 2;
+    if (getSettingValue('reviews_public') === false) score += 2;
     total += 2;
 
     // Marketing emails (weight: 1)
-    if (settings.marketing_emails === false) score += 1;
+    if (getSettingValue('marketing_emails') === false) score += 1;
     total += 1;
 
     // Third party sharing (weight: 3)
-    if (settings.third_party_sharing === false) score += 3;
+    if (getSettingValue('third_party_sharing') === false) score += 3;
     total += 3;
 
     return Math.round((score / total) * 100);
@@ -262,7 +268,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.profile_public || false}
+                  checked={getSettingValue('profile_public')}
                   onCheckedChange={(checked) => updateSetting('profile_public', checked)}
                   disabled={updating}
                 />
@@ -279,7 +285,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.show_real_name || false}
+                  checked={getSettingValue('show_real_name')}
                   onCheckedChange={(checked) => updateSetting('show_real_name', checked)}
                   disabled={updating}
                 />
@@ -296,7 +302,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.show_location || false}
+                  checked={getSettingValue('show_location')}
                   onCheckedChange={(checked) => updateSetting('show_location', checked)}
                   disabled={updating}
                 />
@@ -313,7 +319,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.show_review_count !== false}
+                  checked={getSettingValue('show_review_count')}
                   onCheckedChange={(checked) => updateSetting('show_review_count', checked)}
                   disabled={updating}
                 />
@@ -335,7 +341,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.reviews_public !== false}
+                  checked={getSettingValue('reviews_public')}
                   onCheckedChange={(checked) => updateSetting('reviews_public', checked)}
                   disabled={updating}
                 />
@@ -352,7 +358,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.allow_review_comments !== false}
+                  checked={getSettingValue('allow_review_comments')}
                   onCheckedChange={(checked) => updateSetting('allow_review_comments', checked)}
                   disabled={updating}
                 />
@@ -369,7 +375,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.show_verified_purchases !== false}
+                  checked={getSettingValue('show_verified_purchases')}
                   onCheckedChange={(checked) => updateSetting('show_verified_purchases', checked)}
                   disabled={updating}
                 />
@@ -391,7 +397,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.email_notifications !== false}
+                  checked={getSettingValue('email_notifications')}
                   onCheckedChange={(checked) => updateSetting('email_notifications', checked)}
                   disabled={updating}
                 />
@@ -408,7 +414,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.marketing_emails || false}
+                  checked={getSettingValue('marketing_emails')}
                   onCheckedChange={(checked) => updateSetting('marketing_emails', checked)}
                   disabled={updating}
                 />
@@ -425,7 +431,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.review_notifications !== false}
+                  checked={getSettingValue('review_notifications')}
                   onCheckedChange={(checked) => updateSetting('review_notifications', checked)}
                   disabled={updating}
                 />
@@ -442,7 +448,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.recommendation_emails || false}
+                  checked={getSettingValue('recommendation_emails')}
                   onCheckedChange={(checked) => updateSetting('recommendation_emails', checked)}
                   disabled={updating}
                 />
@@ -464,7 +470,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.allow_analytics !== false}
+                  checked={getSettingValue('allow_analytics')}
                   onCheckedChange={(checked) => updateSetting('allow_analytics', checked)}
                   disabled={updating}
                 />
@@ -481,7 +487,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.allow_personalization !== false}
+                  checked={getSettingValue('allow_personalization')}
                   onCheckedChange={(checked) => updateSetting('allow_personalization', checked)}
                   disabled={updating}
                 />
@@ -502,7 +508,7 @@ const PrivacyDashboard = () => {
                   </div>
                 </div>
                 <Switch
-                  checked={privacySettings.third_party_sharing || false}
+                  checked={getSettingValue('third_party_sharing')}
                   onCheckedChange={(checked) => updateSetting('third_party_sharing', checked)}
                   disabled={updating}
                 />
@@ -3,6 +3,10 @@ import { Star, Edit2, Trash2, Loader2, MessageSquare } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
+import { ReviewForm } from '../reviews/ReviewForm';
+import { ReviewEditedMarker } from '../reviews/ReviewRevisionHistory';
+import { ReviewHighlights } from '../reviews/ReviewHighlights';
+import { Markdown } from '@/components/ui/markdown';
 import { useAuth } from '../../contexts/AuthContext';
 import apiService from '../../services/api';
 
@@ -11,6 +15,7 @@ export function MyReviews() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [deletingId, setDeletingId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
 
   const { isAuthenticated } = useAuth();
 
@@ -51,6 +56,15 @@ export function MyReviews() {
     }
   };
 
+  const handleReviewUpdated = (reviewId, response) => {
+    if (response.review) {
+      setReviews(reviews.map(review => (
+        review.id === reviewId ? { ...review, ...response.review } : review
+      )));
+    }
+    setEditingId(null);
+  };
+
   const renderStars = (rating) => {
     return (
       <div className="flex items-center">
@@ -140,6 +154,7 @@ export function MyReviews() {
                       {renderStars(review.rating)}
                       <span>•</span>
                       <span>{new Date(review.created_at).toLocaleDateString()}</span>
+                      <ReviewEditedMarker review={review} />
                       {review.is_verified && (
                         <>
                           <span>•</span>
@@ -154,10 +169,8 @@ export function MyReviews() {
                     <Button
                       variant="outline"
                       size="sm"
-                      onClick={() => {
-                        // TODO: Implement edit functionality
-                        alert('Edit functionality coming soon!');
-                      }}
+                      onClick={() => setEditingId(review.id)}
+                      disabled={editingId === review.id}
                     >
                       <Edit2 className="h-4 w-4" />
                     </Button>
@@ -178,29 +191,41 @@ export function MyReviews() {
                 </div>
               </CardHeader>
               <CardContent>
-                <div className="space-y-3">
-                  <h4 className="font-semibold text-gray-900">{review.title}</h4>
-                  <p className="text-gray-700 leading-relaxed">{review.comment}</p>
-                  
-                  {review.helpful_count > 0 && (
-                    <div className="flex items-center text-sm text-gray-600">
-                      <span>{review.helpful_count} people found this helpful</span>
-                    </div>
-                  )}
-                  
-                  <div className="flex items-center justify-between pt-3 border-t">
-                    <div className="text-sm text-gray-600">
-                      Product: {review.product?.brand} {review.product?.name}
+                {editingId === review.id ? (
+                  <ReviewForm
+                    productId={review.product?.id}
+                    review={review}
+                    aspects={review.product?.review_aspects || []}
+                    onReviewSubmitted={(response) => handleReviewUpdated(review.id, response)}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div className="space-y-3">
+                    <h4 className="font-semibold text-gray-900">{review.title}</h4>
+                    <Markdown text={review.comment} className="text-gray-700 leading-relaxed" />
+
+                    <ReviewHighlights review={review} />
+
+                    {review.helpful_count > 0 && (
+                      <div className="flex items-center text-sm text-gray-600">
+                        <span>{review.helpful_count} people found this helpful</span>
+                      </div>
+                    )}
+
+                    <div className="flex items-center justify-between pt-3 border-t">
+                      <div className="text-sm text-gray-600">
+                        Product: {review.product?.brand} {review.product?.name}
+                      </div>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => window.location.href = `/product/${review.product?.id}`}
+                      >
+                        View Product
+                      </Button>
                     </div>
-                    <Button
-                      variant="ghost"
-                      size="sm"
-                      onClick={() => window.location.href = `/product/${review.product?.id}`}
-                    >
-                      View Product
-                    </Button>
                   </div>
-                </div>
+                )}
               </CardContent>
             </Card>
           ))}
@@ -0,0 +1,399 @@
+import { useState, useEffect } from 'react';
+import { ChevronUp, Loader2, MessageCircleQuestion, BadgeCheck, Shield } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { useAuth } from '../../contexts/AuthContext';
+import apiService from '../../services/api';
+
+const QUESTIONS_PER_PAGE = 5;
+const VISIBLE_ANSWERS = 2;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_ANSWER_LENGTH = 1000;
+
+// `blockReason` disables the button and explains why in its tooltip
+const VoteButton = ({ count, voted, blockReason, pending, onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={Boolean(blockReason) || pending}
+    className={`flex flex-col items-center w-10 rounded py-1 text-xs transition-colors ${
+      voted ? 'text-blue-600 bg-blue-50' : 'text-gray-500 hover:bg-gray-100'
+    } disabled:opacity-50 disabled:cursor-not-allowed`}
+    title={blockReason || (voted ? 'Remove vote' : 'Vote up')}
+  >
+    <ChevronUp className="h-4 w-4" />
+    {count || 0}
+  </button>
+);
+
+// Flip a vote locally; the caller reverts by applying the same change again
+const toggleVote = (item) => ({
+  ...item,
+  user_has_voted: !item.user_has_voted,
+  vote_count: (item.vote_count || 0) + (item.user_has_voted ? -1 : 1),
+});
+
+export function ProductQuestions({ productId, brand }) {
+  const [questions, setQuestions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const [filter, setFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('votes');
+  const [newQuestion, setNewQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const [askError, setAskError] = useState('');
+  // Question id whose answer form is open
+  const [answeringId, setAnsweringId] = useState(null);
+  const [answerText, setAnswerText] = useState('');
+  const [answering, setAnswering] = useState(false);
+  const [answerError, setAnswerError] = useState('');
+  const [expandedAnswers, setExpandedAnswers] = useState([]);
+  // Keys like 'question:12' with a vote request in flight
+  const [pendingVotes, setPendingVotes] = useState([]);
+
+  const { user, isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    fetchQuestions(1);
+  }, [productId, filter, sortBy]);
+
+  const fetchQuestions = async (pageToLoad) => {
+    const isFirstPage = pageToLoad === 1;
+    try {
+      if (isFirstPage) {
+        setLoading(true);
+      } else {
+        setLoadingMore(true);
+      }
+      setError('');
+
+      const params = { page: pageToLoad, per_page: QUESTIONS_PER_PAGE, sort: sortBy };
+      if (filter !== 'all') {
+        params.answered = filter === 'answered';
+      }
+
+      const response = await apiService.getProductQuestions(productId, params);
+      const pageQuestions = response.questions || [];
+      setQuestions(prev => (isFirstPage ? pageQuestions : [...prev, ...pageQuestions]));
+      setPage(pageToLoad);
+      setTotalPages(response.pages || 1);
+    } catch (error) {
+      setError('Failed to load questions');
+      console.error('Error fetching questions:', error);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const updateQuestion = (questionId, update) => {
+    setQuestions(prev => prev.map(question => (
+      question.id === questionId ? update(question) : question
+    )));
+  };
+
+  const updateAnswer = (questionId, answerId, update) => {
+    updateQuestion(questionId, (question) => ({
+      ...question,
+      answers: (question.answers || []).map(answer => (
+        answer.id === answerId ? update(answer) : answer
+      )),
+    }));
+  };
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    if (!newQuestion.trim()) return;
+
+    try {
+      setAsking(true);
+      setAskError('');
+      const response = await apiService.askProductQuestion(productId, newQuestion.trim());
+      setNewQuestion('');
+      if (response.question && filter !== 'answered') {
+        setQuestions(prev => [response.question, ...prev]);
+      }
+    } catch (error) {
+      setAskError(error.message || 'Failed to post question');
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const handleAnswer = async (e, questionId) => {
+    e.preventDefault();
+    if (!answerText.trim()) return;
+
+    try {
+      setAnswering(true);
+      setAnswerError('');
+      const response = await apiService.answerProductQuestion(questionId, answerText.trim());
+      if (response.answer) {
+        updateQuestion(questionId, (question) => ({
+          ...question,
+          answers: [...(question.answers || []), response.answer],
+          answer_count: (question.answer_count || 0) + 1,
+        }));
+        setExpandedAnswers(prev => [...prev, questionId]);
+      }
+      setAnsweringId(null);
+      setAnswerText('');
+    } catch (error) {
+      // e.g. a 403 when the user doesn't own the product
+      setAnswerError(error.message || 'Failed to post answer');
+    } finally {
+      setAnswering(false);
+    }
+  };
+
+  // Optimistic toggle, reverted if the API call fails
+  const handleVote = async (key, item, applyToggle, vote, removeVote) => {
+    if (pendingVotes.includes(key)) return;
+
+    setPendingVotes(prev => [...prev, key]);
+    applyToggle();
+    try {
+      await (item.user_has_voted ? removeVote(item.id) : vote(item.id));
+    } catch (error) {
+      applyToggle();
+      console.error('Error voting:', error);
+    } finally {
+      setPendingVotes(prev => prev.filter(pending => pending !== key));
+    }
+  };
+
+  const handleQuestionVote = (question) => handleVote(
+    `question:${question.id}`,
+    question,
+    () => updateQuestion(question.id, toggleVote),
+    (id) => apiService.voteOnQuestion(id),
+    (id) => apiService.removeQuestionVote(id)
+  );
+
+  const handleAnswerVote = (question, answer) => handleVote(
+    `answer:${answer.id}`,
+    answer,
+    () => updateAnswer(question.id, answer.id, toggleVote),
+    (id) => apiService.voteOnAnswer(id),
+    (id) => apiService.removeAnswerVote(id)
+  );
+
+  const getVoteBlockReason = (item, noun) => {
+    if (!isAuthenticated) return 'Sign in to vote';
+    if (user && item.user?.id === user.id) return `You can't vote on your own ${noun}`;
+    return null;
+  };
+
+  const openAnswerForm = (questionId) => {
+    setAnsweringId(questionId);
+    setAnswerText('');
+    setAnswerError('');
+  };
+
+  const renderAnswer = (question, answer) => (
+    <div key={answer.id} className="flex items-start space-x-3 pt-3">
+      <VoteButton
+        count={answer.vote_count}
+        voted={answer.user_has_voted}
+        blockReason={getVoteBlockReason(answer, 'answer')}
+        pending={pendingVotes.includes(`answer:${answer.id}`)}
+        onClick={() => handleAnswerVote(question, answer)}
+      />
+      <div className="flex-1">
+        <p className="text-sm text-gray-700 whitespace-pre-wrap">{answer.answer}</p>
+        <div className="flex items-center flex-wrap gap-2 mt-1 text-xs text-gray-500">
+          <span>{answer.user?.username || 'Anonymous'}</span>
+          {answer.is_official ? (
+            <Badge className="bg-blue-100 text-blue-800">
+              <BadgeCheck className="h-3 w-3 mr-1" />
+              Official {brand ? `${brand} ` : ''}Response
+            </Badge>
+          ) : answer.is_owner && (
+            <Badge variant="secondary" className="bg-green-100 text-green-800">
+              <Shield className="h-3 w-3 mr-1" />
+              Verified Owner
+            </Badge>
+          )}
+          <span>{new Date(answer.created_at).toLocaleDateString()}</span>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderQuestion = (question) => {
+    const answers = question.answers || [];
+    const showAllAnswers = expandedAnswers.includes(question.id);
+    const visibleAnswers = showAllAnswers ? answers : answers.slice(0, VISIBLE_ANSWERS);
+
+    return (
+      <div key={question.id} className="py-4 border-b last:border-b-0">
+        <div className="flex items-start space-x-3">
+          <VoteButton
+            count={question.vote_count}
+            voted={question.user_has_voted}
+            blockReason={getVoteBlockReason(question, 'question')}
+            pending={pendingVotes.includes(`question:${question.id}`)}
+            onClick={() => handleQuestionVote(question)}
+          />
+          <div className="flex-1">
+            <p className="font-medium text-gray-900">Q: {question.question}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              Asked by {question.user?.username || 'Anonymous'} on {new Date(question.created_at).toLocaleDateString()}
+            </p>
+          </div>
+        </div>
+
+        <div className="ml-12">
+          {answers.length === 0 ? (
+            <p className="text-sm text-gray-500 pt-3">No answers yet.</p>
+          ) : (
+            visibleAnswers.map(answer => renderAnswer(question, answer))
+          )}
+          {answers.length > visibleAnswers.length && (
+            <button
+              type="button"
+              onClick={() => setExpandedAnswers(prev => [...prev, question.id])}
+              className="text-sm text-blue-600 hover:underline pt-3"
+            >
+              Show all {answers.length} answers
+            </button>
+          )}
+
+          {/* The API sets can_answer for owners of the product and brand staff */}
+          {isAuthenticated && !question.can_answer && (
+            <p className="text-xs text-gray-500 pt-3">Only verified owners of this product can answer.</p>
+          )}
+          {isAuthenticated && question.can_answer && (
+            answeringId === question.id ? (
+              <form onSubmit={(e) => handleAnswer(e, question.id)} className="space-y-2 pt-3">
+                <Textarea
+                  value={answerText}
+                  onChange={(e) => setAnswerText(e.target.value)}
+                  placeholder="Share what you know from owning this product..."
+                  rows={3}
+                  maxLength={MAX_ANSWER_LENGTH}
+                  disabled={answering}
+                  autoFocus
+                />
+                {answerError && <p className="text-sm text-red-600">{answerError}</p>}
+                <div className="flex justify-end space-x-2">
+                  <Button type="button" variant="ghost" size="sm" onClick={() => setAnsweringId(null)} disabled={answering}>
+                    Cancel
+                  </Button>
+                  <Button type="submit" size="sm" disabled={answering || !answerText.trim()}>
+                    {answering && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                    Post Answer
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <Button variant="ghost" size="sm" className="text-gray-600 mt-2" onClick={() => openAnswerForm(question.id)}>
+                Answer
+              </Button>
+            )
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <CardTitle className="flex items-center">
+            <MessageCircleQuestion className="h-5 w-5 mr-2" />
+            Questions &amp; Answers
+          </CardTitle>
+          <div className="flex items-center space-x-2">
+            <select
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              className="border rounded px-3 py-1 text-sm"
+            >
+              <option value="all">All Questions</option>
+              <option value="answered">Answered</option>
+              <option value="unanswered">Unanswered</option>
+            </select>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="border rounded px-3 py-1 text-sm"
+            >
+              <option value="votes">Most Votes</option>
+              <option value="recent">Most Recent</option>
+            </select>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isAuthenticated ? (
+          <form onSubmit={handleAsk} className="mb-4">
+            <div className="flex items-center space-x-2">
+              <Input
+                value={newQuestion}
+                onChange={(e) => setNewQuestion(e.target.value)}
+                placeholder="Ask a question about this product"
+                maxLength={MAX_QUESTION_LENGTH}
+                disabled={asking}
+              />
+              <Button type="submit" disabled={asking || !newQuestion.trim()}>
+                {asking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Ask
+              </Button>
+            </div>
+            {askError && <p className="text-sm text-red-600 mt-2">{askError}</p>}
+            <p className="text-xs text-gray-500 mt-2">Questions are answered by people who own this product.</p>
+          </form>
+        ) : (
+          <p className="text-sm text-gray-500 mb-4">Sign in to ask a question or vote.</p>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+            <span className="ml-2 text-gray-600">Loading questions...</span>
+          </div>
+        ) : error && questions.length === 0 ? (
+          <div className="text-center py-8">
+            <p className="text-red-600">{error}</p>
+            <Button onClick={() => fetchQuestions(1)} className="mt-4">
+              Try Again
+            </Button>
+          </div>
+        ) : questions.length === 0 ? (
+          <p className="text-gray-600 text-center py-8">
+            {filter === 'all'
+              ? 'No questions yet. Be the first to ask!'
+              : `No ${filter} questions.`}
+          </p>
+        ) : (
+          <>
+            <div>{questions.map(renderQuestion)}</div>
+            {error && <p className="text-center text-red-600 mt-4">{error}</p>}
+            {page < totalPages && (
+              <div className="text-center mt-4">
+                <Button variant="outline" onClick={() => fetchQuestions(page + 1)} disabled={loadingMore}>
+                  {loadingMore ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Loading...
+                    </>
+                  ) : (
+                    'Load More Questions'
+                  )}
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
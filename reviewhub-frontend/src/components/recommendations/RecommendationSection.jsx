@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
 import { Button } from '../ui/button';
 import RecommendationCard from './RecommendationCard';
-import { api } from '../../services/api';
+import apiService from '../../services/api';
 
 const RecommendationSection = ({ 
   title, 
@@ -31,19 +31,19 @@ const RecommendationSection = ({
       
       switch (type) {
         case 'user':
-          data = await api.getUserRecommendations(limit);
+          data = await apiService.getUserRecommendations(limit);
           setRecommendations(data.recommendations || []);
           break;
           
         case 'similar':
           if (productId) {
-            data = await api.getSimilarProducts(productId, limit);
+            data = await apiService.getSimilarProducts(productId, limit);
             setRecommendations(data.similar_products || []);
           }
           break;
           
         case 'trending':
-          data = await api.getTrendingProducts(categoryId, limit);
+          data = await apiService.getTrendingProducts(categoryId, limit);
           setRecommendations(data.trending_products || []);
           break;
           
@@ -0,0 +1,79 @@
+import { useEffect, useRef } from 'react';
+import { toast } from 'sonner';
+import { useAuth } from '../../contexts/AuthContext';
+import { toReviewForm, toReviewPayload } from '../../lib/reviewFields';
+import apiService from '../../services/api';
+import reviewDrafts from '../../services/reviewDrafts';
+
+const submitQueuedDraft = async (draft) => {
+  const response = await apiService.createReview({
+    product_id: draft.productId,
+    ...toReviewPayload(toReviewForm(draft)),
+  });
+  const reviewId = response.review?.id;
+  const images = draft.images || [];
+
+  if (images.length > 0 && reviewId) {
+    try {
+      if (images.length === 1) {
+        await apiService.uploadReviewImage(images[0], reviewId);
+      } else {
+        await apiService.uploadMultipleReviewImages(images, reviewId);
+      }
+    } catch (error) {
+      // The review itself is in; photos can be added by editing it
+      console.error('Error uploading queued review images:', error);
+      return { imagesFailed: true };
+    }
+  }
+
+  return { imagesFailed: false };
+};
+
+// Submits reviews that ReviewForm queued while offline, on load and whenever
+// the browser comes back online. Renders nothing.
+export function OfflineReviewSync() {
+  const { user, isImpersonating } = useAuth();
+  const syncingRef = useRef(false);
+
+  useEffect(() => {
+    if (!user || isImpersonating) return;
+
+    const syncQueuedDrafts = async () => {
+      if (syncingRef.current || !navigator.onLine) return;
+      syncingRef.current = true;
+
+      try {
+        const drafts = await reviewDrafts.getQueuedDrafts(user.id);
+        for (const draft of drafts) {
+          try {
+            const { imagesFailed } = await submitQueuedDraft(draft);
+            await reviewDrafts.deleteDraft(user.id, draft.productId);
+            if (imagesFailed) {
+              toast.warning(`Your review "${draft.title}" was submitted, but its photos failed to upload.`);
+            } else {
+              toast.success(`Your review "${draft.title}" was submitted.`);
+            }
+          } catch (error) {
+            console.error('Error submitting queued review:', error);
+            // Still offline; try again on the next 'online' event
+            if (error.isNetworkError) break;
+            // The server rejected it, so keep it as a draft for the user to fix
+            await reviewDrafts.saveDraft(user.id, draft.productId, { ...toReviewForm(draft), images: draft.images });
+            toast.error(`Your review "${draft.title}" couldn't be submitted: ${error.message}`);
+          }
+        }
+      } catch (error) {
+        console.error('Error loading queued reviews:', error);
+      } finally {
+        syncingRef.current = false;
+      }
+    };
+
+    syncQueuedDrafts();
+    window.addEventListener('online', syncQueuedDrafts);
+    return () => window.removeEventListener('online', syncQueuedDrafts);
+  }, [user?.id, isImpersonating]);
+
+  return null;
+}
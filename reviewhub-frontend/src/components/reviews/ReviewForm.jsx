@@ -1,31 +1,172 @@
-import { useState } from 'react';
-import { Star, Loader2, X, Camera } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { Star, Loader2, X, Camera, Mail, FileText, WifiOff, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { toast } from 'sonner';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { ImageUpload } from '@/components/ui/image-upload';
+import { ListInput } from '@/components/ui/list-input';
+import { MarkdownEditor } from '@/components/ui/markdown-editor';
 import { useAuth } from '../../contexts/AuthContext';
+import { useSettings } from '../../contexts/SettingsContext';
+import {
+  EMPTY_REVIEW_FORM,
+  MAX_LIST_ITEMS,
+  USAGE_DURATIONS,
+  isReviewFormEmpty,
+  toReviewForm,
+  toReviewPayload,
+} from '../../lib/reviewFields';
 import apiService from '../../services/api';
+import reviewDrafts, { DRAFT_STATUS } from '../../services/reviewDrafts';
 
-export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
-  const [formData, setFormData] = useState({
-    rating: 0,
-    title: '',
-    comment: '',
+const DRAFT_SAVE_DELAY = 1000;
+
+const formatDraftTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
   });
+};
+
+// Pass `review` to edit an existing review instead of writing a new one.
+// `aspects` are the names the product's category lets reviewers rate.
+export function ReviewForm({ productId, review = null, aspects = [], onReviewSubmitted, onCancel }) {
+  const isEditing = Boolean(review);
+  const [formData, setFormData] = useState(() => (
+    isEditing ? toReviewForm(review) : EMPTY_REVIEW_FORM
+  ));
   const [hoveredRating, setHoveredRating] = useState(0);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
   const [selectedImages, setSelectedImages] = useState([]);
   const [uploadingImages, setUploadingImages] = useState(false);
+  const [verificationResent, setVerificationResent] = useState(false);
+  // Draft found on open, waiting for the user to resume or discard it
+  const [savedDraft, setSavedDraft] = useState(null);
+  // Autosave stays off until any saved draft has been dealt with
+  const [autosaveEnabled, setAutosaveEnabled] = useState(false);
+  // Bumped to remount ImageUpload with a different set of files
+  const [imageUploadKey, setImageUploadKey] = useState(0);
+  const [queuedOffline, setQueuedOffline] = useState(false);
+  // A resumed queued review stays in the offline queue while it is edited
+  const [draftStatus, setDraftStatus] = useState(DRAFT_STATUS.DRAFT);
+  // Photos already attached to the review being edited
+  const [existingImages, setExistingImages] = useState([]);
+  const [loadingExistingImages, setLoadingExistingImages] = useState(isEditing);
+  const [removedImageIds, setRemovedImageIds] = useState([]);
+
+  const { user, isAuthenticated, isEmailVerified, resendVerificationEmail } = useAuth();
+  const { settings } = useSettings();
+  const {
+    min_comment_length: minCommentLength,
+    max_images: maxImages,
+    require_verified_email: requireVerifiedEmail,
+  } = settings.reviews;
+
+  useEffect(() => {
+    if (!isEditing) return;
 
-  const { isAuthenticated } = useAuth();
+    apiService.getReviewImages(review.id)
+      .then((response) => setExistingImages(response.images || []))
+      .catch((error) => {
+        console.error('Error loading review images:', error);
+        setError('Failed to load the photos on this review');
+      })
+      .finally(() => setLoadingExistingImages(false));
+  }, [review?.id]);
+
+  // Drafts are only kept for new reviews; edits start from the published version
+  useEffect(() => {
+    if (!user || isEditing) return;
+
+    let cancelled = false;
+    reviewDrafts.getDraft(user.id, productId)
+      .then((draft) => {
+        if (cancelled) return;
+        if (draft) {
+          setSavedDraft(draft);
+        } else {
+          setAutosaveEnabled(true);
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading review draft:', error);
+        if (!cancelled) setAutosaveEnabled(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, productId]);
+
+  useEffect(() => {
+    if (!user || !autosaveEnabled || isSubmitting) return;
+
+    const timer = setTimeout(() => {
+      const isEmpty = isReviewFormEmpty(formData) && selectedImages.length === 0;
+      const save = isEmpty
+        ? reviewDrafts.deleteDraft(user.id, productId)
+        : reviewDrafts.saveDraft(user.id, productId, { ...formData, images: selectedImages }, draftStatus);
+      save.catch((error) => console.error('Error saving review draft:', error));
+    }, DRAFT_SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [formData, selectedImages, autosaveEnabled, isSubmitting, draftStatus]);
+
+  const handleResumeDraft = () => {
+    setFormData(toReviewForm(savedDraft));
+    setSelectedImages(savedDraft.images || []);
+    setImageUploadKey(prev => prev + 1);
+    setDraftStatus(savedDraft.status || DRAFT_STATUS.DRAFT);
+    setSavedDraft(null);
+    setAutosaveEnabled(true);
+  };
+
+  const handleDiscardDraft = async () => {
+    try {
+      await reviewDrafts.deleteDraft(user.id, productId);
+    } catch (error) {
+      console.error('Error discarding review draft:', error);
+    }
+    setSavedDraft(null);
+    setAutosaveEnabled(true);
+  };
+
+  // Keep the review for OfflineReviewSync to submit once the connection is back
+  const queueForLater = async () => {
+    setAutosaveEnabled(false);
+    await reviewDrafts.saveDraft(
+      user.id,
+      productId,
+      { ...formData, images: selectedImages },
+      DRAFT_STATUS.QUEUED
+    );
+    setQueuedOffline(true);
+  };
 
   const handleRatingClick = (rating) => {
     setFormData({ ...formData, rating });
     setError('');
   };
 
+  const handleFieldChange = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+  };
+
+  // Clicking the current rating again clears it; aspect ratings are optional
+  const handleAspectRating = (aspect, rating) => {
+    const aspectRatings = { ...formData.aspect_ratings };
+    if (aspectRatings[aspect] === rating) {
+      delete aspectRatings[aspect];
+    } else {
+      aspectRatings[aspect] = rating;
+    }
+    handleFieldChange('aspect_ratings', aspectRatings);
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -38,6 +179,20 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
     setSelectedImages(images);
   };
 
+  // Keep aspects a review was rated on even if the category has since dropped them
+  const ratableAspects = [...new Set([...aspects, ...Object.keys(formData.aspect_ratings)])];
+
+  const keptImages = existingImages.filter(image => !removedImageIds.includes(image.id));
+
+  const handleRemoveExistingImage = (imageId) => {
+    setRemovedImageIds(prev => [...prev, imageId]);
+  };
+
+  const deleteRemovedImages = async () => {
+    if (removedImageIds.length === 0) return;
+    await Promise.all(removedImageIds.map(imageId => apiService.deleteImage(imageId)));
+  };
+
   const uploadImages = async (reviewId) => {
     if (selectedImages.length === 0) return [];
 
@@ -66,6 +221,15 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
     return uploadedImages;
   };
 
+  const handleResendVerification = async () => {
+    try {
+      await resendVerificationEmail(user?.email);
+      setVerificationResent(true);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -89,40 +253,60 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
       return;
     }
 
+    if (formData.comment.trim().length < minCommentLength) {
+      setError(`Your review must be at least ${minCommentLength} characters long`);
+      return;
+    }
+
     setIsSubmitting(true);
     setError('');
 
+    if (!isEditing && !navigator.onLine) {
+      try {
+        await queueForLater();
+      } catch (error) {
+        setError('You are offline and the review could not be saved: ' + error.message);
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
+
     try {
-      const reviewData = {
-        product_id: productId,
-        rating: formData.rating,
-        title: formData.title.trim(),
-        comment: formData.comment.trim(),
-      };
-
-      // Create the review first
-      const reviewResponse = await apiService.createReview(reviewData);
-      const reviewId = reviewResponse.review?.id;
-
-      // Upload images if any are selected
+      const reviewData = toReviewPayload(formData);
+
+      // Save the review text first
+      const reviewResponse = isEditing
+        ? await apiService.updateReview(review.id, reviewData)
+        : await apiService.createReview({ product_id: productId, ...reviewData });
+      const reviewId = isEditing ? review.id : reviewResponse.review?.id;
+
+      // Then apply photo changes
       let uploadedImages = [];
-      if (selectedImages.length > 0 && reviewId) {
-        try {
+      try {
+        if (isEditing) {
+          await deleteRemovedImages();
+        }
+        if (selectedImages.length > 0 && reviewId) {
           uploadedImages = await uploadImages(reviewId);
-        } catch (imageError) {
-          // Review was created successfully, but image upload failed
-          console.error('Image upload failed:', imageError);
-          setError('Review submitted successfully, but some images failed to upload. You can edit your review to add images later.');
         }
+      } catch (imageError) {
+        // Review was saved successfully, but photo changes failed. The parent
+        // usually closes the form next, so report it in a toast rather than inline.
+        console.error('Image update failed:', imageError);
+        toast.warning(isEditing
+          ? 'Your changes were saved, but some photo changes failed. Please try editing the photos again.'
+          : 'Review submitted successfully, but some images failed to upload. You can edit your review to add images later.');
+      }
+
+      if (!isEditing) {
+        // Reset form
+        await reviewDrafts.deleteDraft(user.id, productId)
+          .catch((draftError) => console.error('Error deleting review draft:', draftError));
+        setFormData(EMPTY_REVIEW_FORM);
+        setSelectedImages([]);
+        setImageUploadKey(prev => prev + 1);
       }
-      
-      // Reset form
-      setFormData({
-        rating: 0,
-        title: '',
-        comment: '',
-      });
-      setSelectedImages([]);
       
       // Notify parent component
       if (onReviewSubmitted) {
@@ -132,6 +316,21 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
         });
       }
     } catch (error) {
+      if (!isEditing && error.isNetworkError && !navigator.onLine) {
+        // The browser went offline mid-request, so the review can wait for the connection
+        try {
+          await queueForLater();
+          return;
+        } catch (draftError) {
+          console.error('Error queueing review:', draftError);
+        }
+      }
+      if (error.isNetworkError) {
+        // A timeout or dropped response may still have saved the review, so
+        // resubmitting automatically could post it twice. The draft is kept.
+        setError('We could not confirm your review was saved. Check your connection and try again.');
+        return;
+      }
       setError(error.message);
     } finally {
       setIsSubmitting(false);
@@ -153,10 +352,59 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
     );
   }
 
+  if (requireVerifiedEmail && !isEmailVerified) {
+    return (
+      <Card>
+        <CardContent className="p-6">
+          <div className="text-center">
+            <Mail className="h-10 w-10 text-blue-600 mx-auto mb-3" />
+            <p className="text-gray-600 mb-4">
+              Please verify your email address before writing a review.
+            </p>
+            {verificationResent ? (
+              <p className="text-sm text-green-600">
+                Verification email sent to {user?.email}. Check your inbox.
+              </p>
+            ) : (
+              <Button
+                variant="outline"
+                onClick={handleResendVerification}
+              >
+                Resend Verification Email
+              </Button>
+            )}
+            {error && <p className="text-red-600 text-sm mt-3">{error}</p>}
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (queuedOffline) {
+    return (
+      <Card>
+        <CardContent className="p-6">
+          <div className="text-center">
+            <WifiOff className="h-10 w-10 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600 mb-4">
+              You're offline. Your review has been saved on this device and will be
+              submitted automatically when you're back online.
+            </p>
+            {onCancel && (
+              <Button variant="outline" onClick={onCancel}>
+                Close
+              </Button>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
   return (
     <Card>
       <CardHeader className="flex flex-row items-center justify-between">
-        <CardTitle>Write a Review</CardTitle>
+        <CardTitle>{isEditing ? 'Edit Your Review' : 'Write a Review'}</CardTitle>
         {onCancel && (
           <Button variant="ghost" size="sm" onClick={onCancel}>
             <X className="h-4 w-4" />
@@ -170,6 +418,34 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
           </div>
         )}
 
+        {savedDraft && (
+          <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div className="flex items-start">
+              <FileText className="h-5 w-5 text-blue-600 mr-2 flex-shrink-0" />
+              <p className="text-sm text-blue-800">
+                {savedDraft.status === DRAFT_STATUS.QUEUED
+                  ? 'You have a review waiting to be submitted when you\'re back online.'
+                  : 'You have an unfinished review for this product.'}
+                {' '}Saved {formatDraftTime(savedDraft.updatedAt)}.
+              </p>
+            </div>
+            <div className="flex space-x-2 flex-shrink-0">
+              <Button type="button" size="sm" onClick={handleResumeDraft}>
+                Resume draft
+              </Button>
+              <Button type="button" size="sm" variant="outline" onClick={handleDiscardDraft}>
+                Discard
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {draftStatus === DRAFT_STATUS.QUEUED && (
+          <p className="mb-4 text-sm text-gray-600">
+            This review is still queued. Your changes will be submitted with it when you&apos;re back online.
+          </p>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-6">
           {/* Rating */}
           <div>
@@ -228,23 +504,109 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
             <label htmlFor="comment" className="block text-sm font-medium text-gray-700 mb-1">
               Your Review *
             </label>
-            <textarea
+            <MarkdownEditor
               id="comment"
-              name="comment"
-              required
               value={formData.comment}
-              onChange={handleChange}
+              onChange={(comment) => {
+                handleFieldChange('comment', comment);
+                if (error) setError('');
+              }}
               placeholder="Share your detailed experience with this product..."
               disabled={isSubmitting}
               rows={4}
               maxLength={1000}
-              className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 resize-none"
             />
             <p className="text-xs text-gray-500 mt-1">
               {formData.comment.length}/1000 characters
+              {minCommentLength > 0 && ` (minimum ${minCommentLength})`}
             </p>
           </div>
 
+          {/* Pros and Cons */}
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                <ThumbsUp className="inline h-4 w-4 mr-1 text-green-600" />
+                Pros (Optional)
+              </label>
+              <ListInput
+                value={formData.pros}
+                onChange={(pros) => handleFieldChange('pros', pros)}
+                placeholder="What did you like?"
+                maxItems={MAX_LIST_ITEMS}
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                <ThumbsDown className="inline h-4 w-4 mr-1 text-red-600" />
+                Cons (Optional)
+              </label>
+              <ListInput
+                value={formData.cons}
+                onChange={(cons) => handleFieldChange('cons', cons)}
+                placeholder="What could be better?"
+                maxItems={MAX_LIST_ITEMS}
+                disabled={isSubmitting}
+              />
+            </div>
+          </div>
+
+          {/* Usage Duration */}
+          <div>
+            <label htmlFor="usage_duration" className="block text-sm font-medium text-gray-700 mb-1">
+              How long have you used it? (Optional)
+            </label>
+            <select
+              id="usage_duration"
+              name="usage_duration"
+              value={formData.usage_duration}
+              onChange={handleChange}
+              disabled={isSubmitting}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">Prefer not to say</option>
+              {USAGE_DURATIONS.map((duration) => (
+                <option key={duration.value} value={duration.value}>{duration.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Aspect Ratings */}
+          {ratableAspects.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Rate Specific Features (Optional)
+              </label>
+              <div className="space-y-2">
+                {ratableAspects.map((aspect) => (
+                  <div key={aspect} className="flex items-center justify-between">
+                    <span className="text-sm text-gray-700">{aspect}</span>
+                    <div className="flex items-center">
+                      {[1, 2, 3, 4, 5].map((star) => (
+                        <button
+                          key={star}
+                          type="button"
+                          onClick={() => handleAspectRating(aspect, star)}
+                          className="p-0.5"
+                          disabled={isSubmitting}
+                        >
+                          <Star
+                            className={`h-4 w-4 ${
+                              star <= (formData.aspect_ratings[aspect] || 0)
+                                ? 'fill-yellow-400 text-yellow-400'
+                                : 'text-gray-300'
+                            }`}
+                          />
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Image Upload */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -252,11 +614,42 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
               Add Photos (Optional)
             </label>
             <p className="text-xs text-gray-500 mb-3">
-              Help others by sharing photos of the product. You can upload up to 5 images.
+              Help others by sharing photos of the product. You can upload up to {maxImages} images.
             </p>
+            {loadingExistingImages ? (
+              <div className="flex items-center text-sm text-gray-500 mb-3">
+                <Loader2 className="h-4 w-4 animate-spin mr-2" />
+                Loading photos...
+              </div>
+            ) : keptImages.length > 0 && (
+              <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4 mb-4">
+                {keptImages.map((image) => (
+                  <div key={image.id} className="relative group">
+                    <div className="aspect-square bg-gray-100 rounded-lg overflow-hidden">
+                      <img
+                        src={image.thumbnail_url || image.url}
+                        alt={image.alt_text || 'Review'}
+                        className="w-full h-full object-cover"
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveExistingImage(image.id)}
+                      className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity hover:bg-red-600"
+                      disabled={isSubmitting}
+                      title="Remove photo"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
             <ImageUpload
+              key={imageUploadKey}
+              initialFiles={selectedImages}
               onImagesChange={handleImagesChange}
-              maxImages={5}
+              maxImages={maxImages - keptImages.length}
               disabled={isSubmitting || uploadingImages}
               className="border-2 border-dashed border-gray-200 rounded-lg"
             />
@@ -284,7 +677,7 @@ export function ReviewForm({ productId, onReviewSubmitted, onCancel }) {
                   {uploadingImages ? 'Uploading Images...' : 'Submitting...'}
                 </>
               ) : (
-                'Submit Review'
+                isEditing ? 'Save Changes' : 'Submit Review'
               )}
             </Button>
           </div>
@@ -0,0 +1,62 @@
+import { Plus, Minus, Clock, Star } from 'lucide-react';
+import { getUsageDurationLabel } from '../../lib/reviewFields';
+
+// Pros, cons, usage duration and aspect ratings of a single review.
+// Renders nothing for reviews written before these fields existed.
+export function ReviewHighlights({ review }) {
+  const pros = review.pros || [];
+  const cons = review.cons || [];
+  const aspectRatings = Object.entries(review.aspect_ratings || {});
+  const usageDuration = getUsageDurationLabel(review.usage_duration);
+
+  if (pros.length === 0 && cons.length === 0 && aspectRatings.length === 0 && !usageDuration) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-3 mb-4">
+      {(pros.length > 0 || cons.length > 0) && (
+        <div className="grid sm:grid-cols-2 gap-3 text-sm">
+          {pros.length > 0 && (
+            <ul className="space-y-1">
+              {pros.map((pro, index) => (
+                <li key={index} className="flex items-start text-gray-700">
+                  <Plus className="h-4 w-4 mr-1 mt-0.5 text-green-600 flex-shrink-0" />
+                  {pro}
+                </li>
+              ))}
+            </ul>
+          )}
+          {cons.length > 0 && (
+            <ul className="space-y-1">
+              {cons.map((con, index) => (
+                <li key={index} className="flex items-start text-gray-700">
+                  <Minus className="h-4 w-4 mr-1 mt-0.5 text-red-600 flex-shrink-0" />
+                  {con}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {(usageDuration || aspectRatings.length > 0) && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-600">
+          {usageDuration && (
+            <span className="flex items-center">
+              <Clock className="h-3 w-3 mr-1" />
+              Used for {usageDuration.toLowerCase()}
+            </span>
+          )}
+          {aspectRatings.map(([aspect, rating]) => (
+            <span key={aspect} className="flex items-center">
+              {aspect}:
+              <Star className="h-3 w-3 mx-0.5 fill-yellow-400 text-yellow-400" />
+              {rating}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import { Loader2, BadgeCheck, CornerDownRight, ChevronDown } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Markdown } from '@/components/ui/markdown';
+import { useAuth } from '../../contexts/AuthContext';
+import apiService from '../../services/api';
+
+// Threads longer than this start collapsed
+const VISIBLE_REPLIES = 3;
+const VISIBLE_CHILDREN = 2;
+// Deeper replies are shown at this depth so narrow screens stay readable
+const MAX_DEPTH = 3;
+const MAX_REPLY_LENGTH = 500;
+
+// Nest the flat reply list by parent_id; replies to missing parents become top level
+const buildThread = (replies) => {
+  const byId = new Map(replies.map((reply) => [reply.id, { ...reply, children: [] }]));
+  const roots = [];
+  byId.forEach((reply) => {
+    const parent = reply.parent_id && byId.get(reply.parent_id);
+    if (parent) {
+      parent.children.push(reply);
+    } else {
+      roots.push(reply);
+    }
+  });
+  return roots;
+};
+
+const countReplies = (replies) => replies.reduce((sum, reply) => sum + 1 + countReplies(reply.children), 0);
+
+const ReplyForm = ({ onSubmit, onCancel, placeholder }) => {
+  const [content, setContent] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await onSubmit(content.trim());
+      setContent('');
+    } catch (error) {
+      setError(error.message || 'Failed to post reply');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <Textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={placeholder}
+        rows={2}
+        maxLength={MAX_REPLY_LENGTH}
+        disabled={submitting}
+        autoFocus
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <Button type="button" variant="ghost" size="sm" onClick={onCancel} disabled={submitting}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" size="sm" disabled={submitting || !content.trim()}>
+          {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Post Reply
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Reply thread under a review card; `brand` labels official responses
+export function ReviewReplies({ review, brand, onReplyAdded }) {
+  const [replies, setReplies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Id of the reply being answered inline
+  const [replyingTo, setReplyingTo] = useState(null);
+  // Ids (and 'review') whose collapsed children have been expanded
+  const [expanded, setExpanded] = useState([]);
+
+  const { isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    fetchReplies();
+  }, [review.id]);
+
+  const fetchReplies = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await apiService.getReviewReplies(review.id);
+      setReplies(response.replies || []);
+    } catch (error) {
+      setError('Failed to load replies');
+      console.error('Error fetching replies:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePostReply = async (content, parentId) => {
+    const response = await apiService.createReviewReply(review.id, content, parentId);
+    if (response.reply) {
+      setReplies(prev => [...prev, response.reply]);
+    }
+    // Make sure the new reply isn't hidden in a collapsed thread
+    setExpanded(prev => [...prev, parentId || 'review']);
+    setReplyingTo(null);
+    if (onReplyAdded) onReplyAdded();
+  };
+
+  const renderReplies = (thread, parentKey, depth) => {
+    const limit = depth === 1 ? VISIBLE_REPLIES : VISIBLE_CHILDREN;
+    const isExpanded = expanded.includes(parentKey);
+    const visible = isExpanded ? thread : thread.slice(0, limit);
+    const hiddenCount = countReplies(thread.slice(visible.length));
+
+    return (
+      <div className={depth > 1 && depth <= MAX_DEPTH ? 'ml-6 border-l-2 border-gray-100 pl-4' : ''}>
+        {visible.map((reply) => (
+          <div key={reply.id} className="pt-3">
+            <div className="flex items-center flex-wrap gap-2 text-sm">
+              <span className="font-medium text-gray-900">{reply.user?.username || 'Anonymous'}</span>
+              {reply.is_official && (
+                <Badge className="bg-blue-100 text-blue-800">
+                  <BadgeCheck className="h-3 w-3 mr-1" />
+                  Official {brand ? `${brand} ` : ''}Response
+                </Badge>
+              )}
+              <span className="text-gray-500">{new Date(reply.created_at).toLocaleDateString()}</span>
+            </div>
+            <Markdown text={reply.content} className="text-sm text-gray-700 mt-1" />
+            {isAuthenticated && replyingTo !== reply.id && (
+              <button
+                type="button"
+                onClick={() => setReplyingTo(reply.id)}
+                className="flex items-center text-xs text-gray-500 hover:text-gray-700 mt-1"
+              >
+                <CornerDownRight className="h-3 w-3 mr-1" />
+                Reply
+              </button>
+            )}
+            {replyingTo === reply.id && (
+              <div className="mt-2">
+                <ReplyForm
+                  placeholder={`Reply to ${reply.user?.username || 'this reply'}...`}
+                  onSubmit={(content) => handlePostReply(content, reply.id)}
+                  onCancel={() => setReplyingTo(null)}
+                />
+              </div>
+            )}
+            {reply.children.length > 0 && renderReplies(reply.children, reply.id, depth + 1)}
+          </div>
+        ))}
+        {hiddenCount > 0 && (
+          <button
+            type="button"
+            onClick={() => setExpanded(prev => [...prev, parentKey])}
+            className="flex items-center text-sm text-blue-600 hover:underline pt-3"
+          >
+            <ChevronDown className="h-4 w-4 mr-1" />
+            Show {hiddenCount} more {hiddenCount === 1 ? 'reply' : 'replies'}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t">
+      {loading ? (
+        <div className="flex items-center text-sm text-gray-500">
+          <Loader2 className="h-4 w-4 animate-spin mr-2" />
+          Loading replies...
+        </div>
+      ) : error ? (
+        <div className="text-sm text-red-600">
+          {error}{' '}
+          <button type="button" onClick={fetchReplies} className="underline">Try again</button>
+        </div>
+      ) : (
+        <>
+          {replies.length === 0 && <p className="text-sm text-gray-500">No replies yet.</p>}
+          {renderReplies(buildThread(replies), 'review', 1)}
+        </>
+      )}
+
+      <div className="mt-4">
+        {isAuthenticated ? (
+          <ReplyForm
+            placeholder="Write a reply..."
+            onSubmit={(content) => handlePostReply(content, null)}
+          />
+        ) : (
+          <p className="text-sm text-gray-500">Sign in to reply to this review.</p>
+        )}
+      </div>
+    </div>
+  );
+}
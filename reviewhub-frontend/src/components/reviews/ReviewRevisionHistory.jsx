@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import { X, Loader2, History, Star } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Markdown } from '@/components/ui/markdown';
+import { diffWords } from '../../lib/diff';
+import apiService from '../../services/api';
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const DIFF_CLASSES = {
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800 line-through',
+  equal: '',
+};
+
+const DiffText = ({ before, after }) => (
+  <span className="whitespace-pre-wrap">
+    {diffWords(before, after).map((part, index) => (
+      <span key={index} className={DIFF_CLASSES[part.type]}>{part.value}</span>
+    ))}
+  </span>
+);
+
+const RevisionChanges = ({ previous, revision }) => {
+  if (!previous) {
+    return (
+      <div className="space-y-1 text-sm">
+        <div className="font-medium text-gray-900">{revision.title}</div>
+        <Markdown text={revision.comment} className="text-gray-700" />
+      </div>
+    );
+  }
+
+  const ratingChanged = previous.rating !== revision.rating;
+  const titleChanged = previous.title !== revision.title;
+  const commentChanged = previous.comment !== revision.comment;
+
+  if (!ratingChanged && !titleChanged && !commentChanged) {
+    return <p className="text-sm text-gray-500">Photos changed; text and rating are the same.</p>;
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      {ratingChanged && (
+        <div className="flex items-center text-gray-700">
+          <Star className="h-4 w-4 mr-1 fill-yellow-400 text-yellow-400" />
+          Rating changed from {previous.rating} to {revision.rating}
+        </div>
+      )}
+      {titleChanged && (
+        <div className="font-medium text-gray-900">
+          <DiffText before={previous.title} after={revision.title} />
+        </div>
+      )}
+      {commentChanged && (
+        <p className="text-gray-700">
+          <DiffText before={previous.comment} after={revision.comment} />
+        </p>
+      )}
+    </div>
+  );
+};
+
+export function ReviewRevisionHistory({ reviewId, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [reviewId]);
+
+  const fetchRevisions = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await apiService.getReviewRevisions(reviewId);
+      setRevisions(response.revisions || []);
+    } catch (error) {
+      setError('Failed to load revision history');
+      console.error('Error fetching review revisions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full p-6 relative max-h-[90vh] overflow-y-auto">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+        >
+          <X className="h-6 w-6" />
+        </button>
+
+        <div className="mb-4">
+          <h2 className="text-xl font-bold text-gray-900">Revision History</h2>
+          <p className="text-gray-600">Changes are shown against the previous version</p>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+            <span className="ml-2 text-gray-600">Loading history...</span>
+          </div>
+        ) : error ? (
+          <p className="text-red-600 text-center py-8">{error}</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">This review has no earlier versions.</p>
+        ) : (
+          <ol className="border-l-2 border-gray-200 ml-2 space-y-6">
+            {/* Newest first */}
+            {revisions.map((_, position) => revisions.length - 1 - position).map((index) => (
+              <li key={revisions[index].id || index} className="pl-4">
+                <div className="flex items-center space-x-2 mb-2">
+                  <span className="text-sm text-gray-600">{formatDateTime(revisions[index].created_at)}</span>
+                  {index === revisions.length - 1 && <Badge variant="secondary">Current</Badge>}
+                  {index === 0 && <Badge variant="outline">Original</Badge>}
+                </div>
+                <RevisionChanges previous={revisions[index - 1]} revision={revisions[index]} />
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// "Edited" label next to a review's date; opens the revision history.
+// The backend sets edited_at each time the author saves changes.
+export function ReviewEditedMarker({ review }) {
+  const [showHistory, setShowHistory] = useState(false);
+
+  if (!review.edited_at) return null;
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setShowHistory(true)}
+        className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 hover:underline"
+        title={`Edited ${formatDateTime(review.edited_at)}`}
+      >
+        <History className="h-3 w-3 mr-1" />
+        Edited
+      </button>
+      {showHistory && (
+        <ReviewRevisionHistory reviewId={review.id} onClose={() => setShowHistory(false)} />
+      )}
+    </>
+  );
+}
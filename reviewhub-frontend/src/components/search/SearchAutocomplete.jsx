@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Search, Clock, TrendingUp, X, Star } from 'lucide-react';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
+import { useSettings } from '../../contexts/SettingsContext';
 import apiService from '../../services/api';
 
 const SearchAutocomplete = ({ 
@@ -17,6 +18,7 @@ const SearchAutocomplete = ({
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [loading, setLoading] = useState(false);
   const [selectedIndex, setSelectedIndex] = useState(-1);
+  const { settings } = useSettings();
   
   const inputRef = useRef(null);
   const suggestionsRef = useRef(null);
@@ -64,7 +66,9 @@ const SearchAutocomplete = ({
       // Get search suggestions from multiple sources
       const [productSuggestions, voiceSuggestions] = await Promise.all([
         apiService.getSearchSuggestions(query, 5),
-        apiService.getVoiceSearchSuggestions(query, 3)
+        settings.features.voice_search
+          ? apiService.getVoiceSearchSuggestions(query, 3)
+          : Promise.resolve([])
       ]);
 
       const combined = [
@@ -4,6 +4,7 @@ import AdvancedSearch from './AdvancedSearch';
 import SearchResultsDisplay from './SearchResultsDisplay';
 import VisualSearch from './VisualSearch';
 import VoiceSearch from './VoiceSearch';
+import { useSettings } from '../../contexts/SettingsContext';
 import apiService from '../../services/api';
 
 const SearchPage = () => {
@@ -14,6 +15,16 @@ const SearchPage = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [searchType, setSearchType] = useState('text'); // 'text', 'visual', or 'voice'
+  const { settings } = useSettings();
+  const { visual_search: visualSearchEnabled, voice_search: voiceSearchEnabled } = settings.features;
+
+  // Fall back to text search if an admin disables the open search type
+  useEffect(() => {
+    if ((activeSearchTab === 'visual' && !visualSearchEnabled)
+      || (activeSearchTab === 'voice' && !voiceSearchEnabled)) {
+      setActiveSearchTab('text');
+    }
+  }, [activeSearchTab, visualSearchEnabled, voiceSearchEnabled]);
 
   useEffect(() => {
     const params = new URLSearchParams(location.search);
@@ -112,36 +123,40 @@ const SearchPage = () => {
           <Search className="h-5 w-5 inline mr-2" />
           Text Search
         </button>
-        <button
-          className={`py-3 px-6 text-lg font-medium ${activeSearchTab === 'visual' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
-          onClick={() => setActiveSearchTab('visual')}
-        >
-          <Camera className="h-5 w-5 inline mr-2" />
-          Visual Search
-        </button>
-        <button
-          className={`py-3 px-6 text-lg font-medium ${activeSearchTab === 'voice' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
-          onClick={() => setActiveSearchTab('voice')}
-        >
-          <Mic className="h-5 w-5 inline mr-2" />
-          Voice Search
-        </button>
+        {visualSearchEnabled && (
+          <button
+            className={`py-3 px-6 text-lg font-medium ${activeSearchTab === 'visual' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+            onClick={() => setActiveSearchTab('visual')}
+          >
+            <Camera className="h-5 w-5 inline mr-2" />
+            Visual Search
+          </button>
+        )}
+        {voiceSearchEnabled && (
+          <button
+            className={`py-3 px-6 text-lg font-medium ${activeSearchTab === 'voice' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+            onClick={() => setActiveSearchTab('voice')}
+          >
+            <Mic className="h-5 w-5 inline mr-2" />
+            Voice Search
+          </button>
+        )}
       </div>
 
       {/* Search Interface */}
       {activeSearchTab === 'text' ? (
         <AdvancedSearch onSearch={handleSearch} onFiltersChange={handleFiltersChange} />
-      ) : activeSearchTab === 'visual' ? (
+      ) : activeSearchTab === 'visual' && visualSearchEnabled ? (
         <VisualSearch 
           onResults={handleVisualSearchResults} 
           onError={handleVisualSearchError} 
         />
-      ) : (
+      ) : activeSearchTab === 'voice' && voiceSearchEnabled ? (
         <VoiceSearch 
           onSearchResults={handleVoiceSearchResults}
           onSearchParams={handleVoiceSearchParams}
         />
-      )}
+      ) : null}
 
       {/* Results Section */}
       {(searchResults.products.length > 0 || searchResults.reviews.length > 0 || error) && (
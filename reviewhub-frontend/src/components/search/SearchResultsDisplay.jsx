@@ -1,6 +1,7 @@
 import React from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Badge } from '../ui/badge';
+import { Markdown } from '../ui/markdown';
 import { Star } from 'lucide-react';
 import { Link } from 'react-router-dom';
 
@@ -46,7 +47,7 @@ const SearchResultsDisplay = ({ results, type }) => {
           ))}
           {review.verified_purchase && <Badge className="ml-2" variant="success">Verified Purchase</Badge>}
         </div>
-        <p className="text-gray-700 mb-2 line-clamp-3">{review.content}</p>
+        <Markdown text={review.content} inline className="text-gray-700 mb-2 line-clamp-3" />
         {review.has_images && <Badge variant="outline">Has Images</Badge>}
       </CardContent>
     </Card>
@@ -1,5 +1,6 @@
 import React, { useState, useRef } from 'react';
 import { Camera, Upload, X, Search, Loader2, Image as ImageIcon } from 'lucide-react';
+import { useSettings } from '../../contexts/SettingsContext';
 import apiService from '../../services/api';
 
 const VisualSearch = ({ onResults, onError }) => {
@@ -8,6 +9,8 @@ const VisualSearch = ({ onResults, onError }) => {
   const [uploadedImage, setUploadedImage] = useState(null);
   const [searchId, setSearchId] = useState(null);
   const fileInputRef = useRef(null);
+  const { settings } = useSettings();
+  const { max_file_size_mb: maxFileSizeMb, allowed_types: allowedTypes } = settings.uploads;
 
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
@@ -30,14 +33,14 @@ const VisualSearch = ({ onResults, onError }) => {
 
   const handleImageUpload = async (file) => {
     // Validate file type
-    if (!file.type.startsWith('image/')) {
+    if (!allowedTypes.includes(file.type)) {
       onError('Please select an image file (JPEG, PNG, WebP)');
       return;
     }
 
-    // Validate file size (10MB limit)
-    if (file.size > 10 * 1024 * 1024) {
-      onError('Image file size must be less than 10MB');
+    // Validate file size against the platform upload limit
+    if (file.size > maxFileSizeMb * 1024 * 1024) {
+      onError(`Image file size must be less than ${maxFileSizeMb}MB`);
       return;
     }
 
@@ -121,7 +124,7 @@ const VisualSearch = ({ onResults, onError }) => {
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*"
+            accept={allowedTypes.join(',')}
             onChange={handleFileSelect}
             className="hidden"
           />
@@ -138,7 +141,7 @@ const VisualSearch = ({ onResults, onError }) => {
                 Drag and drop an image here, or click to select
               </p>
               <p className="text-xs text-gray-500">
-                Supports JPEG, PNG, WebP (max 10MB)
+                Supports JPEG, PNG, WebP (max {maxFileSizeMb}MB)
               </p>
               <button className="mt-4 inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors">
                 <Upload className="h-4 w-4" />
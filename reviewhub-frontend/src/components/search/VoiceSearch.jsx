@@ -4,7 +4,7 @@ import { Button } from '../ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Badge } from '../ui/badge';
 import { Alert, AlertDescription } from '../ui/alert';
-import { apiService } from '../../services/api';
+import apiService from '../../services/api';
 
 const VoiceSearch = ({ onSearchResults, onSearchParams, className = '' }) => {
   const [isListening, setIsListening] = useState(false);
@@ -1,16 +1,27 @@
 import React, { useState, useRef } from 'react';
 import { Upload, X, Image as ImageIcon, AlertCircle, Loader2 } from 'lucide-react';
 import { Button } from './button';
+import { useSettings } from '../../contexts/SettingsContext';
 
 export function ImageUpload({ 
   onImagesChange, 
   maxImages = 5, 
-  maxFileSize = 16 * 1024 * 1024, // 16MB
-  acceptedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
+  maxFileSize: maxFileSizeProp,
+  acceptedTypes: acceptedTypesProp,
   className = "",
-  disabled = false 
+  disabled = false,
+  initialFiles = []
 }) {
-  const [images, setImages] = useState([]);
+  // Platform upload limits apply unless the caller overrides them
+  const { settings } = useSettings();
+  const maxFileSize = maxFileSizeProp ?? settings.uploads.max_file_size_mb * 1024 * 1024;
+  const acceptedTypes = acceptedTypesProp ?? settings.uploads.allowed_types;
+  // initialFiles only seeds the first render; remount with a new key to replace them
+  const [images, setImages] = useState(() => initialFiles.map(file => ({
+    file,
+    preview: URL.createObjectURL(file),
+    id: Math.random().toString(36).substr(2, 9)
+  })));
   const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [errors, setErrors] = useState([]);
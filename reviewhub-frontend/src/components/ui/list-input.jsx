@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { Button } from './button';
+import { Input } from './input';
+
+// Editable list of short strings; Enter or the add button appends the typed item
+export function ListInput({
+  value = [],
+  onChange,
+  placeholder = "Add an item",
+  maxItems = 10,
+  maxLength = 100,
+  disabled = false,
+  className = ""
+}) {
+  const [draft, setDraft] = useState('');
+
+  const canAdd = !disabled && value.length < maxItems;
+
+  const addItem = () => {
+    const item = draft.trim();
+    if (!item || !canAdd) return;
+    if (!value.some(existing => existing.toLowerCase() === item.toLowerCase())) {
+      onChange([...value, item]);
+    }
+    setDraft('');
+  };
+
+  const removeItem = (index) => {
+    onChange(value.filter((_, i) => i !== index));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      // Keep Enter from submitting the surrounding form
+      e.preventDefault();
+      addItem();
+    }
+  };
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      {value.length > 0 && (
+        <ul className="space-y-1">
+          {value.map((item, index) => (
+            <li
+              key={`${item}-${index}`}
+              className="flex items-center justify-between rounded-md bg-gray-50 px-3 py-1.5 text-sm"
+            >
+              <span className="text-gray-800">{item}</span>
+              <button
+                type="button"
+                onClick={() => removeItem(index)}
+                disabled={disabled}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {canAdd && (
+        <div className="flex items-center space-x-2">
+          <Input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={placeholder}
+            maxLength={maxLength}
+            disabled={disabled}
+          />
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={addItem}
+            disabled={!draft.trim()}
+          >
+            <Plus className="h-4 w-4" />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import React, { useRef, useState } from 'react';
+import { Bold, Italic, List, ListOrdered, Link as LinkIcon, Quote } from 'lucide-react';
+import { Markdown } from './markdown';
+
+const TEXTAREA_CLASSES = "flex w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 resize-none";
+
+// Textarea with a formatting toolbar and a Write/Preview toggle.
+// onChange receives the new string rather than an event.
+export function MarkdownEditor({
+  id,
+  value,
+  onChange,
+  placeholder,
+  rows = 4,
+  maxLength,
+  disabled = false
+}) {
+  const [tab, setTab] = useState('write');
+  const textareaRef = useRef(null);
+
+  // Apply an edit and restore the selection once React has re-rendered
+  const applyEdit = (nextValue, selectionStart, selectionEnd) => {
+    if (maxLength && nextValue.length > maxLength) return;
+    onChange(nextValue);
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(selectionStart, selectionEnd);
+    });
+  };
+
+  const wrapSelection = (before, after, placeholderText) => {
+    const { selectionStart: start, selectionEnd: end } = textareaRef.current;
+    const selected = value.slice(start, end) || placeholderText;
+    const nextValue = value.slice(0, start) + before + selected + after + value.slice(end);
+    applyEdit(nextValue, start + before.length, start + before.length + selected.length);
+  };
+
+  // Prefix every line touched by the selection, e.g. with "- " or "> "
+  const prefixLines = (getPrefix) => {
+    const { selectionStart: start, selectionEnd: end } = textareaRef.current;
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    const lines = value.slice(lineStart, end).split('\n');
+    const prefixed = lines.map((line, index) => getPrefix(index) + line).join('\n');
+    const nextValue = value.slice(0, lineStart) + prefixed + value.slice(end);
+    applyEdit(nextValue, lineStart, lineStart + prefixed.length);
+  };
+
+  const toolbarActions = [
+    { icon: Bold, title: 'Bold', onClick: () => wrapSelection('**', '**', 'bold text') },
+    { icon: Italic, title: 'Italic', onClick: () => wrapSelection('*', '*', 'italic text') },
+    { icon: List, title: 'Bulleted list', onClick: () => prefixLines(() => '- ') },
+    { icon: ListOrdered, title: 'Numbered list', onClick: () => prefixLines((index) => `${index + 1}. `) },
+    { icon: LinkIcon, title: 'Link', onClick: () => wrapSelection('[', '](https://)', 'link text') },
+    { icon: Quote, title: 'Quote', onClick: () => prefixLines(() => '> ') },
+  ];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between border-b border-gray-200">
+        <div className="flex space-x-4">
+          {['write', 'preview'].map((name) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => setTab(name)}
+              className={`pb-2 text-sm font-medium capitalize border-b-2 ${
+                tab === name
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        {tab === 'write' && (
+          <div className="flex items-center pb-1">
+            {toolbarActions.map((action) => {
+              const Icon = action.icon;
+              return (
+                <button
+                  key={action.title}
+                  type="button"
+                  title={action.title}
+                  onClick={action.onClick}
+                  disabled={disabled}
+                  className="p-1.5 rounded text-gray-500 hover:text-gray-900 hover:bg-gray-100 disabled:opacity-50"
+                >
+                  <Icon className="h-4 w-4" />
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {tab === 'write' ? (
+        <textarea
+          ref={textareaRef}
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          disabled={disabled}
+          rows={rows}
+          maxLength={maxLength}
+          className={TEXTAREA_CLASSES}
+        />
+      ) : (
+        <div className="min-h-[6rem] rounded-md border border-gray-200 px-3 py-2 text-sm text-gray-700">
+          {value.trim() ? (
+            <Markdown text={value} />
+          ) : (
+            <p className="text-gray-400">Nothing to preview</p>
+          )}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Supports **bold**, *italic*, lists, [links](https://example.com) and &gt; quotes
+      </p>
+    </div>
+  );
+}
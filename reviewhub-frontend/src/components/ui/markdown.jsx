@@ -0,0 +1,86 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../../lib/markdown';
+
+const renderInline = (nodes, inline) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index} className="font-semibold">{renderInline(node.children, inline)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children, inline)}</em>;
+    case 'link':
+      return (
+        <a
+          key={index}
+          href={node.href}
+          target="_blank"
+          rel="noopener noreferrer nofollow ugc"
+          className="text-blue-600 hover:underline break-words"
+        >
+          {renderInline(node.children, inline)}
+        </a>
+      );
+    case 'break':
+      return inline ? ' ' : <br key={index} />;
+    default:
+      return <React.Fragment key={index}>{node.value}</React.Fragment>;
+  }
+});
+
+const renderBlocks = (blocks) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List key={index} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-5 space-y-1`}>
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item, false)}</li>
+          ))}
+        </List>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={index} className="border-l-4 border-gray-200 pl-3 text-gray-600 italic space-y-2">
+          {renderBlocks(block.children)}
+        </blockquote>
+      );
+    default:
+      return <p key={index}>{renderInline(block.children, false)}</p>;
+  }
+});
+
+// Flattens every block into one run of text for clamped previews
+const renderInlineBlocks = (blocks) => blocks.flatMap((block, index) => {
+  const separator = index > 0 ? [' '] : [];
+  if (block.type === 'list') {
+    return [...separator, ...block.items.flatMap((item, itemIndex) => [
+      itemIndex > 0 ? ' · ' : '',
+      ...renderInline(item, true),
+    ])];
+  }
+  if (block.type === 'quote') {
+    return [...separator, '“', ...renderInlineBlocks(block.children), '”'];
+  }
+  return [...separator, ...renderInline(block.children, true)];
+});
+
+/**
+ * Renders review markdown (see lib/markdown) as React elements. There is no
+ * HTML string step, so user text is always escaped and links are limited to
+ * safe protocols. `inline` renders a single paragraph for line-clamped previews.
+ */
+export function Markdown({ text, inline = false, className = "" }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  if (inline) {
+    return (
+      <p className={className}>
+        {renderInlineBlocks(blocks).map((node, index) => (
+          <React.Fragment key={index}>{node}</React.Fragment>
+        ))}
+      </p>
+    );
+  }
+
+  return <div className={`space-y-2 break-words ${className}`}>{renderBlocks(blocks)}</div>;
+}
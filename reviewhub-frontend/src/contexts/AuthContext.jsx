@@ -1,8 +1,37 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import apiService from '../services/api';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import apiService, { ApiError } from '../services/api';
+import tokenStorage from '../services/tokenStorage';
+import authChannel, { AUTH_EVENTS } from '../services/authChannel';
 
 const AuthContext = createContext();
 
+// "View as user" sessions are private to the tab that started them
+const IMPERSONATION_KEY = 'reviewhub_impersonation';
+
+const loadImpersonation = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(IMPERSONATION_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const saveImpersonation = (session) => {
+  try {
+    if (session) {
+      sessionStorage.setItem(IMPERSONATION_KEY, JSON.stringify(session));
+    } else {
+      sessionStorage.removeItem(IMPERSONATION_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to store impersonation session:', error);
+  }
+};
+
+// Teardown for the API interceptors of the mounted AuthProvider. Kept at
+// module level so a render that React throws away can't register a second set.
+let removeInterceptors = null;
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -16,18 +45,214 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [emailVerificationStatus, setEmailVerificationStatus] = useState(null);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const refreshPromiseRef = useRef(null);
+  const [impersonation, setImpersonationState] = useState(loadImpersonation);
+  const impersonationRef = useRef(impersonation);
+  const userRef = useRef(user);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  // The ref lets the API interceptors see the current session without re-registering
+  const setImpersonation = (session) => {
+    impersonationRef.current = session;
+    saveImpersonation(session);
+    setImpersonationState(session);
+  };
+
+  // `options.remember` picks the storage backend on login; omitted on refresh
+  const storeTokens = (response, options) => {
+    tokenStorage.setTokens({
+      accessToken: response.access_token,
+      refreshToken: response.refresh_token,
+    }, options);
+  };
+
+  // Refresh the access token once for any number of concurrent callers
+  const refreshSession = () => {
+    if (!refreshPromiseRef.current) {
+      const refreshToken = tokenStorage.getRefreshToken();
+      refreshPromiseRef.current = (refreshToken
+        ? apiService.refreshAccessToken(refreshToken).then((response) => storeTokens(response))
+        : Promise.reject(new Error('No refresh token available'))
+      ).finally(() => {
+        refreshPromiseRef.current = null;
+      });
+    }
+    return refreshPromiseRef.current;
+  };
+
+  const expireSession = () => {
+    const shared = tokenStorage.isShared();
+    setImpersonation(null);
+    tokenStorage.clear();
+    setUser(null);
+    setSessionExpired(true);
+    authChannel.post(AUTH_EVENTS.LOGOUT, { shared });
+  };
+
+  // Retry requests that fail with 401 after refreshing the session. Requests
+  // sent while a refresh is in flight wait for it instead of failing too.
+  const registerInterceptors = () => {
+    const removeRequestInterceptor = apiService.addRequestInterceptor(async (config) => {
+      if (!refreshPromiseRef.current || config.skipAuthRefresh) {
+        return config;
+      }
+      await refreshPromiseRef.current.catch(() => {});
+      return {
+        ...config,
+        headers: { ...config.headers, ...apiService.getAuthHeaders() },
+      };
+    });
+
+    // While viewing as another user, send their read-only token and refuse writes
+    const removeImpersonationInterceptor = apiService.addRequestInterceptor((config) => {
+      const session = impersonationRef.current;
+      if (!session || config.skipImpersonation) {
+        return config;
+      }
+      if (config.method.toUpperCase() !== 'GET') {
+        throw new ApiError('This action is disabled while viewing as another user', {
+          status: 403,
+          code: 'impersonation_read_only',
+          config,
+        });
+      }
+      return {
+        ...config,
+        headers: { ...config.headers, Authorization: `Bearer ${session.token}` },
+      };
+    });
+
+    // Admin mutations name the signed-in admin as the actor, even while viewing as another user
+    const removeAuditInterceptor = apiService.addRequestInterceptor((config) => {
+      if (!config.audit) {
+        return config;
+      }
+      return {
+        ...config,
+        audit: {
+          ...config.audit,
+          actor_id: userRef.current?.id ?? null,
+          actor_username: userRef.current?.username ?? null,
+        },
+      };
+    });
+
+    const removeResponseInterceptor = apiService.addResponseInterceptor(null, async (error) => {
+      const { config } = error;
+      // An expired impersonation token ends the impersonation, not the admin's session
+      if (error.status === 401 && config && impersonationRef.current && !config.skipImpersonation) {
+        setImpersonation(null);
+        throw error;
+      }
+      if (error.status !== 401 || !config || config.skipAuthRefresh || config.isRetry) {
+        throw error;
+      }
+      if (!tokenStorage.hasToken()) {
+        throw error;
+      }
+
+      try {
+        await refreshSession();
+      } catch (refreshError) {
+        console.error('Session refresh failed:', refreshError);
+        // Another caller may already have expired the session
+        if (tokenStorage.hasToken()) {
+          expireSession();
+        }
+        throw error;
+      }
+
+      const { endpoint, headers, ...options } = config;
+      const { Authorization: _staleAuthorization, ...retryHeaders } = headers;
+      return apiService.request(endpoint, { ...options, headers: retryHeaders, isRetry: true });
+    });
+
+    return () => {
+      removeRequestInterceptor();
+      removeImpersonationInterceptor();
+      removeAuditInterceptor();
+      removeResponseInterceptor();
+    };
+  };
+
+  // Register during the first render instead of in an effect: children's
+  // effects run before ours, so their first requests would otherwise skip
+  // the refresh, impersonation and audit handling
+  if (!removeInterceptors) {
+    removeInterceptors = registerInterceptors();
+  }
+
+  useEffect(() => {
+    // StrictMode unmounts and remounts once in development
+    if (!removeInterceptors) {
+      removeInterceptors = registerInterceptors();
+    }
+    return () => {
+      removeInterceptors();
+      removeInterceptors = null;
+    };
+  }, []);
+
+  // Log out together with other tabs that clear the shared tokens
+  useEffect(() => {
+    return tokenStorage.subscribe(({ accessToken, external }) => {
+      if (external && !accessToken) {
+        setImpersonation(null);
+        setUser(null);
+        setEmailVerificationStatus(null);
+      }
+    });
+  }, []);
+
+  // Mirror logins, logouts and profile edits made in other tabs
+  useEffect(() => {
+    return authChannel.subscribe(({ type, payload }) => {
+      switch (type) {
+        case AUTH_EVENTS.LOGIN:
+          // Sessions kept in sessionStorage are private to the tab that signed in
+          if (payload.shared && tokenStorage.isShared() && tokenStorage.hasToken()) {
+            setUser(payload.user);
+            setSessionExpired(false);
+          }
+          break;
+        case AUTH_EVENTS.LOGOUT:
+          // Like logins, only sessions in shared storage end together; a tab
+          // signed in without "remember me" keeps its own session
+          if (!payload.shared || !tokenStorage.isShared()) break;
+          tokenStorage.clear();
+          setImpersonation(null);
+          setUser(null);
+          setError(null);
+          setEmailVerificationStatus(null);
+          break;
+        case AUTH_EVENTS.PROFILE_UPDATED:
+          setUser((currentUser) => (
+            currentUser && currentUser.id === payload.user?.id ? payload.user : currentUser
+          ));
+          break;
+        default:
+          break;
+      }
+    });
+  }, []);
 
   // Check if user is logged in on app start
   useEffect(() => {
     const initializeAuth = async () => {
-      const token = localStorage.getItem('access_token');
-      if (token) {
+      if (tokenStorage.hasToken()) {
         try {
-          const userData = await apiService.getProfile();
+          const userData = await apiService.getProfile({ skipImpersonation: true });
           setUser(userData);
         } catch (error) {
           console.error('Failed to get user profile:', error);
-          localStorage.removeItem('access_token');
+          // Keep the tokens when the backend is merely unreachable
+          if (error.status === 401) {
+            tokenStorage.clear();
+          }
         }
       }
       setLoading(false);
@@ -36,16 +261,18 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
-  const login = async (credentials) => {
+  const login = async (credentials, { remember = true } = {}) => {
     try {
       setError(null);
       setLoading(true);
       
       const response = await apiService.login(credentials);
       
-      // Store token and user data
-      localStorage.setItem('access_token', response.access_token);
+      // Store tokens and user data
+      storeTokens(response, { remember });
       setUser(response.user);
+      setSessionExpired(false);
+      authChannel.post(AUTH_EVENTS.LOGIN, { user: response.user, shared: tokenStorage.isShared() });
       
       return response;
     } catch (error) {
@@ -82,10 +309,11 @@ export const AuthProvider = ({ children }) => {
       
       const response = await apiService.verifyEmail(token);
       
-      // Store token and user data after successful verification
-      localStorage.setItem('access_token', response.access_token);
+      // Store tokens and user data after successful verification
+      storeTokens(response, { remember: true });
       setUser(response.user);
       setEmailVerificationStatus('verified');
+      authChannel.post(AUTH_EVENTS.LOGIN, { user: response.user, shared: tokenStorage.isShared() });
       
       return response;
     } catch (error) {
@@ -152,11 +380,34 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      // Always clear local state and token
-      localStorage.removeItem('access_token');
+      // Always clear local state and tokens
+      const shared = tokenStorage.isShared();
+      setImpersonation(null);
+      tokenStorage.clear();
       setUser(null);
       setError(null);
       setEmailVerificationStatus(null);
+      authChannel.post(AUTH_EVENTS.LOGOUT, { shared });
+    }
+  };
+
+  const startImpersonation = async (userId) => {
+    const response = await apiService.startImpersonation(userId);
+    setImpersonation({
+      token: response.access_token,
+      user: response.user,
+      startedAt: new Date().toISOString(),
+    });
+    return response;
+  };
+
+  const stopImpersonation = async () => {
+    setImpersonation(null);
+    try {
+      await apiService.endImpersonation();
+    } catch (error) {
+      // The read-only token expires on its own; ending it early is best effort
+      console.error('Failed to end impersonation:', error);
     }
   };
 
@@ -165,6 +416,7 @@ export const AuthProvider = ({ children }) => {
       setError(null);
       const response = await apiService.updateProfile(profileData);
       setUser(response.user);
+      authChannel.post(AUTH_EVENTS.PROFILE_UPDATED, { user: response.user });
       return response;
     } catch (error) {
       setError(error.message);
@@ -190,11 +442,22 @@ export const AuthProvider = ({ children }) => {
     setEmailVerificationStatus(null);
   };
 
+  const clearSessionExpired = () => {
+    setSessionExpired(false);
+  };
+
+  // While impersonating, the app renders as the impersonated user
+  const isImpersonating = !!(user && impersonation);
+  const effectiveUser = isImpersonating ? impersonation.user : user;
+
   const value = {
-    user,
+    user: effectiveUser,
+    impersonator: isImpersonating ? user : null,
+    isImpersonating,
     loading,
     error,
     emailVerificationStatus,
+    sessionExpired,
     login,
     register,
     verifyEmail,
@@ -206,8 +469,11 @@ export const AuthProvider = ({ children }) => {
     changePassword,
     clearError,
     clearEmailVerificationStatus,
+    clearSessionExpired,
+    startImpersonation,
+    stopImpersonation,
     isAuthenticated: !!user,
-    isEmailVerified: user?.email_verified || false,
+    isEmailVerified: effectiveUser?.email_verified || false,
   };
 
   return (
@@ -0,0 +1,92 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import apiService from '../services/api';
+
+const SettingsContext = createContext();
+
+// Used until the API responds, and for any section it leaves out
+const DEFAULT_SETTINGS = {
+  reviews: {
+    min_comment_length: 10,
+    max_images: 5,
+    require_verified_email: false,
+  },
+  uploads: {
+    max_file_size_mb: 16,
+    allowed_types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  },
+  privacy_defaults: {
+    profile_public: false,
+    show_real_name: false,
+    show_location: false,
+    show_review_count: true,
+    reviews_public: true,
+    allow_review_comments: true,
+    show_verified_purchases: true,
+    email_notifications: true,
+    marketing_emails: false,
+    review_notifications: true,
+    recommendation_emails: false,
+    allow_analytics: true,
+    allow_personalization: true,
+    third_party_sharing: false,
+  },
+  features: {
+    voice_search: true,
+    visual_search: true,
+  },
+};
+
+// Merge one level deep so a partial response keeps the defaults of missing keys
+export const mergeSettings = (settings = {}) => (
+  Object.keys(DEFAULT_SETTINGS).reduce((merged, section) => ({
+    ...merged,
+    [section]: { ...DEFAULT_SETTINGS[section], ...settings[section] },
+  }), {})
+);
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+};
+
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    refreshSettings();
+  }, []);
+
+  const refreshSettings = async () => {
+    try {
+      const response = await apiService.getPlatformSettings();
+      setSettings(mergeSettings(response.settings));
+    } catch (error) {
+      // Keep the defaults; the platform stays usable without custom settings
+      console.error('Failed to load platform settings:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Apply settings saved by an admin without waiting for a refetch
+  const applySettings = (newSettings) => {
+    setSettings(mergeSettings(newSettings));
+  };
+
+  const value = {
+    settings,
+    loading,
+    refreshSettings,
+    applySettings,
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
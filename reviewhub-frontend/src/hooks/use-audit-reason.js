@@ -0,0 +1,37 @@
+import { useRef, useState } from 'react'
+
+/**
+ * Promise-based audit reason prompt for admin actions that don't have their
+ * own confirmation dialog. `requestReason({ title, description, confirmLabel,
+ * destructive })` opens the dialog and resolves to the api options
+ * (`{ reason }`), or to null when the admin cancels. Render
+ * `<AuditReasonDialog {...dialogProps} />` once in the calling component.
+ */
+export function useAuditReason() {
+  const [request, setRequest] = useState(null)
+  const resolveRef = useRef(null)
+
+  const settle = (result) => {
+    if (resolveRef.current) resolveRef.current(result)
+    resolveRef.current = null
+    setRequest(null)
+  }
+
+  const requestReason = (nextRequest) => new Promise((resolve) => {
+    // A newer request replaces one that is still open
+    if (resolveRef.current) resolveRef.current(null)
+    resolveRef.current = resolve
+    setRequest(nextRequest)
+  })
+
+  return {
+    requestReason,
+    isOpen: Boolean(request),
+    dialogProps: {
+      ...request,
+      open: Boolean(request),
+      onConfirm: (reason) => settle({ reason }),
+      onCancel: () => settle(null),
+    },
+  }
+}
@@ -0,0 +1,11 @@
+import { useAuth } from '../contexts/AuthContext'
+import { hasPermission } from '../lib/permissions'
+
+/**
+ * Whether the signed-in user holds `permission`, e.g. usePermission('reviews.moderate').
+ * Only controls what the UI shows; the API enforces the same rules.
+ */
+export function usePermission(permission) {
+  const { user } = useAuth()
+  return hasPermission(user, permission)
+}
@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import { toast } from 'sonner'
+
+/**
+ * Save flow for admin forms that attach a file after saving the record, like
+ * a product image or a category icon. When the record saves but the upload
+ * fails, the saved record is kept and the form switches to editing it, so
+ * submitting again updates it instead of creating a duplicate.
+ *
+ * @param {Object} options
+ * @param {Object|null} options.record - Record being edited; null for a new one
+ * @param {string} options.noun - Record name for messages, e.g. 'product'
+ * @param {string} options.fileNoun - Attachment name for messages, e.g. 'image'
+ * @param {(data: Object) => Promise<Object|undefined>} options.create - Resolves to the saved record
+ * @param {(id: number, data: Object) => Promise<Object|undefined>} options.update - Resolves to the saved record
+ * @param {(id: number, file: File) => Promise<Object>} options.upload - Resolves to fields to merge into the record
+ * @param {(record: Object) => void} options.onSaved
+ * @param {() => void} options.onClose
+ */
+export function useSaveWithUpload({ record, noun, fileNoun, create, update, upload, onSaved, onClose }) {
+  const [savedRecord, setSavedRecord] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
+
+  const currentRecord = savedRecord || record
+  const isEditing = !!currentRecord?.id
+  const label = noun.charAt(0).toUpperCase() + noun.slice(1)
+
+  const save = async (data, file) => {
+    setSaving(true)
+    setError('')
+
+    let result
+    try {
+      const saved = isEditing ? await update(currentRecord.id, data) : await create(data)
+      result = saved || { ...currentRecord, ...data }
+    } catch (err) {
+      setError(err.message || `Failed to save ${noun}`)
+      setFieldErrors(err.fieldErrors || {})
+      console.error(`Error saving ${noun}:`, err)
+      setSaving(false)
+      return
+    }
+
+    if (file && !result.id) {
+      toast.error(`${label} saved, but the ${fileNoun} could not be attached. Edit the ${noun} to add it.`)
+    } else if (file) {
+      try {
+        result = { ...result, ...(await upload(result.id, file)) }
+      } catch (err) {
+        setSavedRecord(result)
+        setError(`${label} saved, but the ${fileNoun} upload failed: ${err.message || 'unknown error'}. Save again to retry.`)
+        console.error(`Error uploading ${noun} ${fileNoun}:`, err)
+        setSaving(false)
+        return
+      }
+    }
+
+    setSaving(false)
+    onSaved(result)
+  }
+
+  // The list still needs a refresh if the record saved before the upload failed
+  const close = () => (savedRecord ? onSaved(savedRecord) : onClose())
+
+  return { currentRecord, isEditing, saving, error, fieldErrors, setFieldErrors, save, close }
+}
@@ -0,0 +1,64 @@
+/**
+ * Text diff helpers for ReviewHub frontend
+ * Word-level diffs for showing what changed between review revisions
+ */
+
+/**
+ * @typedef {Object} DiffPart
+ * @property {'equal'|'added'|'removed'} type
+ * @property {string} value - Text including its trailing whitespace
+ */
+
+// Words keep their trailing whitespace so joining the parts restores the text
+const tokenize = (text) => (text || '').match(/\S+\s*|\s+/g) || [];
+
+const pushPart = (parts, type, value) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+};
+
+/**
+ * Diff two strings word by word using a longest common subsequence.
+ * Review text is short (a few hundred words), so the O(n·m) table is fine.
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffPart[]}
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i].trim() === b[j].trim()
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i].trim() === b[j].trim()) {
+      pushPart(parts, 'equal', b[j]);
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushPart(parts, 'removed', a[i]);
+      i += 1;
+    } else {
+      pushPart(parts, 'added', b[j]);
+      j += 1;
+    }
+  }
+  while (i < a.length) pushPart(parts, 'removed', a[i++]);
+  while (j < b.length) pushPart(parts, 'added', b[j++]);
+
+  return parts;
+};
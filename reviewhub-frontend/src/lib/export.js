@@ -0,0 +1,154 @@
+/**
+ * File export helpers for ReviewHub frontend
+ * CSV serialization and parsing, and browser downloads for admin tables and charts
+ */
+
+/**
+ * Save a Blob through a temporary download link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating user-provided text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows of objects to CSV.
+ * @param {Object[]} rows
+ * @param {Array<string|{ key: string, label: string }>} [columns] - Defaults to the keys of the first row
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => {
+  const resolvedColumns = (columns || Object.keys(rows[0] || {}))
+    .map((column) => (typeof column === 'string' ? { key: column, label: column } : column));
+
+  const header = resolvedColumns.map((column) => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map((row) => (
+    resolvedColumns.map((column) => escapeCsvValue(row[column.key])).join(',')
+  ));
+  return [header, ...lines].join('\r\n');
+};
+
+export const downloadCsv = (rows, filename, columns) => {
+  downloadBlob(new Blob([toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into objects keyed by the header row.
+ * Header names are trimmed; blank lines are skipped.
+ * @param {string} text
+ * @returns {Object<string, string>[]}
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter((row) => row.some((value) => value.trim() !== ''));
+  const keys = header.map((key) => key.trim());
+  return rows.map((row) => (
+    keys.reduce((item, key, index) => ({ ...item, [key]: row[index] ?? '' }), {})
+  ));
+};
+
+/**
+ * Render the first SVG chart inside `container` to a PNG download.
+ * HTML overlays such as tooltips and legends are not included.
+ * @param {HTMLElement} container
+ * @param {string} filename
+ */
+export const downloadChartPng = async (container, filename) => {
+  const svg = container?.querySelector('svg');
+  if (!svg) {
+    throw new Error('No chart to export');
+  }
+
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+
+  const svgBlob = new Blob([new XMLSerializer().serializeToString(clone)], {
+    type: 'image/svg+xml;charset=utf-8',
+  });
+  const svgUrl = URL.createObjectURL(svgBlob);
+
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to render chart'));
+      img.src = svgUrl;
+    });
+
+    const scale = window.devicePixelRatio || 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+
+    const pngBlob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    downloadBlob(pngBlob, filename);
+  } finally {
+    URL.revokeObjectURL(svgUrl);
+  }
+};
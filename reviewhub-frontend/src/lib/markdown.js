@@ -0,0 +1,217 @@
+/**
+ * Markdown parsing for ReviewHub frontend
+ * Turns the small markdown subset allowed in reviews into a node tree
+ *
+ * Supported: paragraphs, line breaks, **bold**, *italic*, [links](https://…),
+ * "- " and "1. " lists, and "> " quotes. Everything else stays literal text.
+ * The parser never produces HTML; the Markdown component renders the nodes as
+ * React elements, so text is always escaped and only the node types below can
+ * reach the DOM. Link targets are limited to SAFE_PROTOCOLS.
+ */
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const ESCAPABLE = '\\*_[]()>#-+.!`';
+
+const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+const QUOTE_LINE = /^\s*>\s?(.*)$/;
+
+/**
+ * @typedef {Object} MarkdownNode
+ * @property {'paragraph'|'list'|'quote'|'text'|'strong'|'em'|'link'|'break'} type
+ * @property {string} [value] - text nodes
+ * @property {string} [href] - link nodes, already sanitized
+ * @property {boolean} [ordered] - list nodes
+ * @property {MarkdownNode[][]} [items] - list nodes; inline nodes per item
+ * @property {MarkdownNode[]} [children]
+ */
+
+/**
+ * Returns the URL if it uses an allowed protocol, otherwise null. Relative
+ * and protocol-relative URLs are rejected, as are javascript:, data: and
+ * anything obfuscated with whitespace or control characters.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export const sanitizeUrl = (url) => {
+  // Browsers ignore whitespace and control characters inside a scheme,
+  // e.g. "java\tscript:"
+  const normalized = Array.from(url || '').filter((ch) => {
+    const code = ch.charCodeAt(0);
+    return code > 0x20 && (code < 0x7f || code > 0x9f);
+  }).join('');
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (!scheme || !SAFE_PROTOCOLS.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+  return normalized;
+};
+
+const isWordChar = (ch) => Boolean(ch) && /[a-z0-9]/i.test(ch);
+
+// Finds `delim inner delim` starting at `start`; inner text can't begin or
+// end with whitespace, and underscores inside words (snake_case) don't count
+const matchDelimited = (text, start, delim) => {
+  if (!text.startsWith(delim, start)) return null;
+  if (delim[0] === '_' && isWordChar(text[start - 1])) return null;
+
+  const innerStart = start + delim.length;
+  let close = text.indexOf(delim, innerStart + 1);
+  // A single * must not close on half of a **
+  while (delim.length === 1 && close !== -1 && text[close + 1] === delim) {
+    close = text.indexOf(delim, close + 2);
+  }
+  if (close === -1) return null;
+
+  const inner = text.slice(innerStart, close);
+  if (!inner || inner.trim() !== inner) return null;
+  if (delim[0] === '_' && isWordChar(text[close + delim.length])) return null;
+
+  return { inner, end: close + delim.length };
+};
+
+const matchLink = (text, start) => {
+  const labelEnd = text.indexOf('](', start + 1);
+  if (labelEnd === -1) return null;
+  // Balanced parentheses belong to the URL, e.g. "(javascript:alert(1))"
+  let urlEnd = -1;
+  let depth = 0;
+  for (let i = labelEnd + 2; i < text.length && urlEnd === -1; i += 1) {
+    if (text[i] === '(') depth += 1;
+    if (text[i] === ')') {
+      if (depth === 0) urlEnd = i;
+      depth -= 1;
+    }
+  }
+  if (urlEnd === -1) return null;
+
+  const label = text.slice(start + 1, labelEnd);
+  const url = text.slice(labelEnd + 2, urlEnd).trim();
+  if (!label || label.includes('[') || label.includes('\n') || !url || /\s/.test(url)) {
+    return null;
+  }
+
+  return { label, url, end: urlEnd + 1 };
+};
+
+/**
+ * @param {string} text
+ * @returns {MarkdownNode[]}
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', value: buffer });
+      buffer = '';
+    }
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '\\' && ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      i += 1;
+      continue;
+    }
+
+    const strong = matchDelimited(text, i, '**') || matchDelimited(text, i, '__');
+    if (strong) {
+      flush();
+      nodes.push({ type: 'strong', children: parseInline(strong.inner) });
+      i = strong.end;
+      continue;
+    }
+
+    const em = (ch === '*' || ch === '_') && matchDelimited(text, i, ch);
+    if (em) {
+      flush();
+      nodes.push({ type: 'em', children: parseInline(em.inner) });
+      i = em.end;
+      continue;
+    }
+
+    const link = ch === '[' && matchLink(text, i);
+    if (link) {
+      flush();
+      const href = sanitizeUrl(link.url);
+      if (href) {
+        nodes.push({ type: 'link', href, children: parseInline(link.label) });
+      } else {
+        // Keep the label, drop the unsafe target
+        nodes.push(...parseInline(link.label));
+      }
+      i = link.end;
+      continue;
+    }
+
+    buffer += ch;
+    i += 1;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * @param {string} text
+ * @returns {MarkdownNode[]} Block nodes
+ */
+export const parseMarkdown = (text) => {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE_LINE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_LINE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_LINE)[1]);
+        i += 1;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    const itemPattern = UNORDERED_ITEM.test(line) ? UNORDERED_ITEM : ORDERED_ITEM.test(line) ? ORDERED_ITEM : null;
+    if (itemPattern) {
+      const items = [];
+      while (i < lines.length && itemPattern.test(lines[i])) {
+        items.push(parseInline(lines[i].match(itemPattern)[1]));
+        i += 1;
+      }
+      blocks.push({ type: 'list', ordered: itemPattern === ORDERED_ITEM, items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      i < lines.length && lines[i].trim()
+      && !QUOTE_LINE.test(lines[i]) && !UNORDERED_ITEM.test(lines[i]) && !ORDERED_ITEM.test(lines[i])
+    ) {
+      paragraph.push(lines[i]);
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+};
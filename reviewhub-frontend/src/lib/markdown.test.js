@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeUrl, parseInline, parseMarkdown } from './markdown';
+
+// Concatenated text of a node tree, for asserting what reaches the page
+const textOf = (nodes) => nodes.map((node) => {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'break') return '\n';
+  return textOf(node.children || []);
+}).join('');
+
+describe('sanitizeUrl', () => {
+  it('allows http, https and mailto', () => {
+    expect(sanitizeUrl('https://example.com/a?b=1')).toBe('https://example.com/a?b=1');
+    expect(sanitizeUrl('http://example.com')).toBe('http://example.com');
+    expect(sanitizeUrl('mailto:help@example.com')).toBe('mailto:help@example.com');
+    expect(sanitizeUrl('HTTPS://example.com')).toBe('HTTPS://example.com');
+  });
+
+  it('rejects javascript: in any case', () => {
+    expect(sanitizeUrl('javascript:alert(1)')).toBeNull();
+    expect(sanitizeUrl('JaVaScRiPt:alert(1)')).toBeNull();
+  });
+
+  it('rejects schemes obfuscated with whitespace or control characters', () => {
+    expect(sanitizeUrl('java\tscript:alert(1)')).toBeNull();
+    expect(sanitizeUrl('java\nscript:alert(1)')).toBeNull();
+    expect(sanitizeUrl(' javascript:alert(1)')).toBeNull();
+    expect(sanitizeUrl('\u0000javascript:alert(1)')).toBeNull();
+    expect(sanitizeUrl('java\u0085script:alert(1)')).toBeNull();
+  });
+
+  it('strips control characters from allowed URLs', () => {
+    expect(sanitizeUrl('https://exa\tmple.com')).toBe('https://example.com');
+  });
+
+  it('rejects data: and vbscript: URLs', () => {
+    expect(sanitizeUrl('data:text/html;base64,PHNjcmlwdD4=')).toBeNull();
+    expect(sanitizeUrl('vbscript:msgbox(1)')).toBeNull();
+  });
+
+  it('rejects protocol-relative and relative URLs', () => {
+    expect(sanitizeUrl('//evil.example.com')).toBeNull();
+    expect(sanitizeUrl('/products/1')).toBeNull();
+    expect(sanitizeUrl('products/1')).toBeNull();
+    expect(sanitizeUrl('#top')).toBeNull();
+  });
+
+  it('rejects empty input', () => {
+    expect(sanitizeUrl('')).toBeNull();
+    expect(sanitizeUrl(undefined)).toBeNull();
+  });
+});
+
+describe('parseInline', () => {
+  it('keeps only the label of links with unsafe targets', () => {
+    expect(parseInline('[x](javascript:alert(1))')).toEqual([{ type: 'text', value: 'x' }]);
+    expect(parseInline('see [here](data:text/html,hi)')).toEqual([
+      { type: 'text', value: 'see ' },
+      { type: 'text', value: 'here' },
+    ]);
+  });
+
+  it('links safe targets', () => {
+    expect(parseInline('[docs](https://example.com)')).toEqual([
+      { type: 'link', href: 'https://example.com', children: [{ type: 'text', value: 'docs' }] },
+    ]);
+    expect(parseInline('[wiki](https://en.wikipedia.org/wiki/Foo_(bar)) end')).toEqual([
+      {
+        type: 'link',
+        href: 'https://en.wikipedia.org/wiki/Foo_(bar)',
+        children: [{ type: 'text', value: 'wiki' }],
+      },
+      { type: 'text', value: ' end' },
+    ]);
+  });
+
+  it('keeps HTML as literal text', () => {
+    expect(parseInline('<script>alert(1)</script>')).toEqual([
+      { type: 'text', value: '<script>alert(1)</script>' },
+    ]);
+    expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([
+      { type: 'text', value: '<img src=x onerror=alert(1)>' },
+    ]);
+  });
+
+  it('parses nested emphasis', () => {
+    expect(parseInline('**bold *and italic* text**')).toEqual([
+      {
+        type: 'strong',
+        children: [
+          { type: 'text', value: 'bold ' },
+          { type: 'em', children: [{ type: 'text', value: 'and italic' }] },
+          { type: 'text', value: ' text' },
+        ],
+      },
+    ]);
+    expect(parseInline('_a **b** c_')).toEqual([
+      {
+        type: 'em',
+        children: [
+          { type: 'text', value: 'a ' },
+          { type: 'strong', children: [{ type: 'text', value: 'b' }] },
+          { type: 'text', value: ' c' },
+        ],
+      },
+    ]);
+  });
+
+  it('leaves unbalanced delimiters as text', () => {
+    expect(parseInline('**not closed')).toEqual([{ type: 'text', value: '**not closed' }]);
+    expect(parseInline('*one')).toEqual([{ type: 'text', value: '*one' }]);
+    expect(parseInline('_one')).toEqual([{ type: 'text', value: '_one' }]);
+    expect(parseInline('2 * 3 * 4')).toEqual([{ type: 'text', value: '2 * 3 * 4' }]);
+    expect(parseInline('[label](https://example.com')).toEqual([
+      { type: 'text', value: '[label](https://example.com' },
+    ]);
+  });
+
+  it('ignores underscores inside words', () => {
+    expect(parseInline('snake_case_name')).toEqual([{ type: 'text', value: 'snake_case_name' }]);
+  });
+
+  it('honours backslash escapes', () => {
+    expect(parseInline('\\*literal\\*')).toEqual([{ type: 'text', value: '*literal*' }]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('returns no blocks for empty input', () => {
+    expect(parseMarkdown('')).toEqual([]);
+    expect(parseMarkdown(null)).toEqual([]);
+  });
+
+  it('splits paragraphs, lists and quotes', () => {
+    const blocks = parseMarkdown('Intro\n\n- one\n- two\n\n1. first\n\n> quoted');
+    expect(blocks.map((block) => block.type)).toEqual(['paragraph', 'list', 'list', 'quote']);
+    expect(blocks[1].ordered).toBe(false);
+    expect(blocks[1].items.map(textOf)).toEqual(['one', 'two']);
+    expect(blocks[2].ordered).toBe(true);
+    expect(textOf(blocks[3].children[0].children)).toBe('quoted');
+  });
+
+  it('keeps HTML literal across blocks', () => {
+    const blocks = parseMarkdown('<script>alert(1)</script>\n\n- <img src=x onerror=alert(1)>');
+    expect(textOf(blocks[0].children)).toBe('<script>alert(1)</script>');
+    expect(textOf(blocks[1].items[0])).toBe('<img src=x onerror=alert(1)>');
+  });
+
+  it('drops unsafe link targets inside lists and quotes', () => {
+    const blocks = parseMarkdown('- [x](javascript:alert(1))\n\n> [y](JaVaScRiPt:alert(1))');
+    expect(blocks[0].items[0]).toEqual([{ type: 'text', value: 'x' }]);
+    expect(blocks[1].children[0].children).toEqual([{ type: 'text', value: 'y' }]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Admin roles and permissions for ReviewHub frontend
+ *
+ * The API is the authority on what a user may do; these checks only decide
+ * what the admin UI shows. A user's permissions are the union of the
+ * permissions of their roles plus any `permissions` the API grants directly.
+ */
+
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  USERS_VIEW: 'users.view',
+  USERS_MANAGE: 'users.manage',
+  USERS_IMPERSONATE: 'users.impersonate',
+  PRODUCTS_MANAGE: 'products.manage',
+  CATEGORIES_MANAGE: 'categories.manage',
+  REVIEWS_MODERATE: 'reviews.moderate',
+  ANALYTICS_VIEW: 'analytics.view',
+  SEARCH_VIEW: 'search.view',
+  SEARCH_MANAGE: 'search.manage',
+  PERFORMANCE_VIEW: 'performance.view',
+  CACHE_MANAGE: 'cache.manage',
+  DATABASE_OPTIMIZE: 'database.optimize',
+  GDPR_VIEW: 'gdpr.view',
+  GDPR_PROCESS: 'gdpr.process',
+  SETTINGS_MANAGE: 'settings.manage',
+  AUDIT_VIEW: 'audit.view',
+};
+
+export const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  MODERATOR: 'moderator',
+  CATALOG_EDITOR: 'catalog_editor',
+  ANALYST: 'analyst',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.SUPER_ADMIN]: 'Super Admin',
+  [ROLES.MODERATOR]: 'Moderator',
+  [ROLES.CATALOG_EDITOR]: 'Catalog Editor',
+  [ROLES.ANALYST]: 'Analyst',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.MODERATOR]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.REVIEWS_MODERATE,
+  ],
+  [ROLES.CATALOG_EDITOR]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.PRODUCTS_MANAGE,
+    PERMISSIONS.CATEGORIES_MANAGE,
+  ],
+  [ROLES.ANALYST]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.ANALYTICS_VIEW,
+    PERMISSIONS.SEARCH_VIEW,
+    PERMISSIONS.PERFORMANCE_VIEW,
+  ],
+};
+
+/**
+ * Roles of a user. Accounts created before roles existed only carry
+ * `is_admin`, which maps to super-admin.
+ * @param {Object|null} user
+ * @returns {string[]}
+ */
+export const getUserRoles = (user) => {
+  if (!user) return [];
+  const roles = user.roles || (user.role ? [user.role] : []);
+  if (roles.length === 0 && user.is_admin) return [ROLES.SUPER_ADMIN];
+  return roles;
+};
+
+/**
+ * @param {Object|null} user
+ * @returns {Set<string>}
+ */
+export const getUserPermissions = (user) => {
+  const permissions = new Set(user?.permissions || []);
+  getUserRoles(user).forEach((role) => {
+    (ROLE_PERMISSIONS[role] || []).forEach((permission) => permissions.add(permission));
+  });
+  return permissions;
+};
+
+export const hasPermission = (user, permission) => getUserPermissions(user).has(permission);
+
+// Any admin permission grants access to the admin panel itself
+export const canAccessAdmin = (user) => getUserPermissions(user).size > 0;
@@ -0,0 +1,76 @@
+/**
+ * Review field helpers for ReviewHub frontend
+ * The review form shape and its conversion to the API payload, shared by
+ * ReviewForm and the offline review queue
+ *
+ * Aspect ratings are keyed by aspect name. The aspects a review can rate
+ * come from the product's category (`review_aspects`, set in the admin
+ * category form); the backend resolves them onto each product.
+ */
+
+export const MAX_LIST_ITEMS = 5;
+
+export const USAGE_DURATIONS = [
+  { value: 'under_1_month', label: 'Less than a month' },
+  { value: '1_6_months', label: '1 to 6 months' },
+  { value: '6_12_months', label: '6 to 12 months' },
+  { value: 'over_1_year', label: 'More than a year' },
+];
+
+export const EMPTY_REVIEW_FORM = {
+  rating: 0,
+  title: '',
+  comment: '',
+  pros: [],
+  cons: [],
+  usage_duration: '',
+  aspect_ratings: {},
+};
+
+export const getUsageDurationLabel = (value) => (
+  USAGE_DURATIONS.find((duration) => duration.value === value)?.label || null
+);
+
+/**
+ * Form state for an existing review or stored draft, with defaults for
+ * fields it predates.
+ * @param {Object} source
+ * @returns {Object}
+ */
+export const toReviewForm = (source) => ({
+  rating: source.rating || 0,
+  title: source.title || '',
+  comment: source.comment || '',
+  pros: source.pros || [],
+  cons: source.cons || [],
+  usage_duration: source.usage_duration || '',
+  aspect_ratings: source.aspect_ratings || {},
+});
+
+export const isReviewFormEmpty = (form) => (
+  form.rating === 0 && !form.title.trim() && !form.comment.trim()
+  && form.pros.length === 0 && form.cons.length === 0
+  && !form.usage_duration && Object.keys(form.aspect_ratings).length === 0
+);
+
+/**
+ * Body for createReview/updateReview. Optional structured fields are sent
+ * as null or empty rather than omitted, so an edit can clear them.
+ * @param {Object} form
+ * @returns {Object}
+ */
+export const toReviewPayload = (form) => {
+  const aspectRatings = Object.fromEntries(
+    Object.entries(form.aspect_ratings || {}).filter(([, rating]) => rating > 0)
+  );
+
+  return {
+    rating: form.rating,
+    title: form.title.trim(),
+    comment: form.comment.trim(),
+    pros: (form.pros || []).map((item) => item.trim()).filter(Boolean),
+    cons: (form.cons || []).map((item) => item.trim()).filter(Boolean),
+    usage_duration: form.usage_duration || null,
+    aspect_ratings: aspectRatings,
+  };
+};
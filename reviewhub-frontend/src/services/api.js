@@ -1,45 +1,213 @@
 /**
  * API service for ReviewHub frontend
  * Handles all HTTP requests to the Flask backend
+ *
+ * Every method goes through `request()`, which applies the registered
+ * request/response interceptors and turns failed responses into `ApiError`s.
  */
 
+import tokenStorage from './tokenStorage';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
 
+/**
+ * Error thrown for every failed API call.
+ *
+ * @property {number} status - HTTP status, or 0 when the request never reached the server
+ * @property {string|null} code - Machine-readable error code sent by the backend, if any
+ * @property {Object<string, string>} fieldErrors - Validation messages keyed by field name
+ * @property {Object|null} data - The raw error payload
+ * @property {RequestConfig|null} config - The request that failed
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = null, fieldErrors = {}, data = null, config = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.data = data;
+    this.config = config;
+  }
+
+  get isNetworkError() {
+    return this.status === 0;
+  }
+}
+
+/**
+ * @typedef {Object} RequestConfig
+ * @property {string} endpoint - Path relative to the API base URL
+ * @property {string} [method='GET']
+ * @property {Object} [params] - Query parameters; null, undefined and '' values are dropped
+ * @property {Object} [headers]
+ * @property {string|FormData} [body]
+ * @property {'json'|'blob'|'raw'} [responseType='json'] - 'raw' resolves with the fetch Response
+ * @property {boolean} [skipAuthRefresh] - Don't try to refresh the session when this request gets a 401
+ * @property {boolean} [isRetry] - Set on the replay of a request after a token refresh
+ * @property {boolean} [skipImpersonation] - Always send with the signed-in user's own token
+ * @property {AuditInfo} [audit] - Set by admin mutations; sent in the body as `audit` for the audit log
+ */
+
+/**
+ * @typedef {Object} AuditInfo
+ * @property {string} action - e.g. 'user.status_update'
+ * @property {string} entity_type
+ * @property {string|number|null} entity_id
+ * @property {string} [reason] - Optional note from the admin
+ * @property {number} [actor_id] - Filled in by the auth interceptor
+ * @property {string} [actor_username]
+ */
+
+// Build a query string, skipping empty values so optional filters can be passed as-is
+const buildQueryString = (params) => {
+  if (!params) return '';
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      searchParams.append(key, value.toString());
+    }
+  });
+  const queryString = searchParams.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+// Add the audit payload to a JSON or FormData body without mutating the original,
+// so a retried request doesn't carry it twice
+const withAudit = (body, audit) => {
+  if (body instanceof FormData) {
+    const formData = new FormData();
+    body.forEach((value, key) => formData.append(key, value));
+    formData.append('audit', JSON.stringify(audit));
+    return formData;
+  }
+  return JSON.stringify({ ...(body ? JSON.parse(body) : {}), audit });
+};
+
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
+    this.requestInterceptors = [];
+    this.responseInterceptors = [];
+  }
+
+  /**
+   * Register a hook that receives the RequestConfig before it is sent and
+   * returns the (possibly modified) config. May be async.
+   * @returns {Function} Call to remove the interceptor
+   */
+  addRequestInterceptor(interceptor) {
+    this.requestInterceptors.push(interceptor);
+    return () => {
+      this.requestInterceptors = this.requestInterceptors.filter((item) => item !== interceptor);
+    };
+  }
+
+  /**
+   * Register hooks for settled requests. `onFulfilled(data, config)` may
+   * transform the parsed body; `onRejected(error)` receives an ApiError and
+   * may recover by returning a value, or rethrow.
+   * @returns {Function} Call to remove the interceptor
+   */
+  addResponseInterceptor(onFulfilled, onRejected) {
+    const interceptor = { onFulfilled, onRejected };
+    this.responseInterceptors.push(interceptor);
+    return () => {
+      this.responseInterceptors = this.responseInterceptors.filter((item) => item !== interceptor);
+    };
   }
 
   // Helper method to get auth headers
   getAuthHeaders() {
-    const token = localStorage.getItem('access_token');
+    const token = tokenStorage.getAccessToken();
     return token ? { Authorization: `Bearer ${token}` } : {};
   }
 
   // Helper method to handle API responses
-  async handleResponse(response) {
+  async handleResponse(response, config) {
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      throw new ApiError(
+        errorData.error || errorData.message || `HTTP error! status: ${response.status}`,
+        {
+          status: response.status,
+          code: errorData.code || null,
+          fieldErrors: errorData.errors || errorData.field_errors || {},
+          data: errorData,
+          config,
+        }
+      );
+    }
+
+    switch (config.responseType) {
+      case 'raw':
+        return response;
+      case 'blob':
+        return response.blob();
+      default:
+        if (response.status === 204) return null;
+        return response.json();
+    }
+  }
+
+  // Perform the actual fetch for a fully intercepted config
+  async send(config) {
+    const {
+      endpoint,
+      params,
+      responseType: _responseType,
+      skipAuthRefresh: _skipAuthRefresh,
+      isRetry: _isRetry,
+      skipImpersonation: _skipImpersonation,
+      audit,
+      ...init
+    } = config;
+    const url = `${this.baseURL}${endpoint}${buildQueryString(params)}`;
+    if (audit) {
+      init.body = withAudit(init.body, audit);
     }
-    return response.json();
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      throw new ApiError(error.message || 'Network request failed', { config });
+    }
+    return this.handleResponse(response, config);
   }
 
   // Generic request method
   async request(endpoint, options = {}) {
-    const url = `${this.baseURL}${endpoint}`;
-    const config = {
+    const { headers, ...rest } = options;
+    const isFormData = rest.body instanceof FormData;
+
+    let config = {
+      method: 'GET',
+      responseType: 'json',
+      ...rest,
+      endpoint,
       headers: {
-        'Content-Type': 'application/json',
+        // Let the browser set the multipart boundary for FormData bodies
+        ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
         ...this.getAuthHeaders(),
-        ...options.headers,
+        ...headers,
       },
-      ...options,
     };
 
+    for (const interceptor of this.requestInterceptors) {
+      config = (await interceptor(config)) || config;
+    }
+
+    let promise = this.send(config);
+    for (const { onFulfilled, onRejected } of this.responseInterceptors) {
+      promise = promise.then(
+        onFulfilled ? (data) => onFulfilled(data, config) : undefined,
+        onRejected
+      );
+    }
+
     try {
-      const response = await fetch(url, config);
-      return await this.handleResponse(response);
+      return await promise;
     } catch (error) {
       console.error(`API request failed: ${endpoint}`, error);
       throw error;
@@ -58,12 +226,26 @@ class ApiService {
     return this.request('/auth/login', {
       method: 'POST',
       body: JSON.stringify(credentials),
+      // A 401 here means bad credentials, not an expired session
+      skipAuthRefresh: true,
+    });
+  }
+
+  // Exchange a refresh token for a new access token
+  async refreshAccessToken(refreshToken) {
+    return this.request('/auth/refresh', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${refreshToken}` },
+      skipAuthRefresh: true,
+      skipImpersonation: true,
     });
   }
 
   async logout() {
     return this.request('/auth/logout', {
       method: 'POST',
+      skipAuthRefresh: true,
+      skipImpersonation: true,
     });
   }
 
@@ -98,8 +280,9 @@ class ApiService {
   }
 
   // User profile methods
-  async getProfile() {
-    return this.request('/auth/profile');
+  // Pass `{ skipImpersonation: true }` for the signed-in admin's own profile
+  async getProfile(options = {}) {
+    return this.request('/auth/profile', options);
   }
 
   async updateProfile(profileData) {
@@ -118,15 +301,28 @@ class ApiService {
 
   // Product methods
   async getProducts(params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString ? `/products?${queryString}` : '/products';
-    return this.request(endpoint);
+    return this.request('/products', { params });
+  }
+
+  async searchProducts(query, filters = {}) {
+    return this.getProducts({ ...filters, q: query });
+  }
+
+  async getSearchSuggestions(query, limit = 5) {
+    return this.request('/products/suggestions', {
+      params: { q: query, limit },
+    });
   }
 
   async getProduct(productId) {
     return this.request(`/products/${productId}`);
   }
 
+  // Platform settings (public subset of the admin configuration)
+  async getPlatformSettings() {
+    return this.request('/settings');
+  }
+
   // Category methods
   async getCategories() {
     return this.request('/categories');
@@ -134,8 +330,15 @@ class ApiService {
 
   // Review methods
   async getReviews(params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    return this.request(`/reviews${queryString ? `?${queryString}` : ''}`);
+    return this.request('/reviews', { params });
+  }
+
+  async searchReviews(query, filters = {}) {
+    return this.getReviews({ ...filters, q: query });
+  }
+
+  async getMyReviews(params = {}) {
+    return this.request('/reviews/mine', { params });
   }
 
   async getReview(id) {
@@ -162,235 +365,391 @@ class ApiService {
     });
   }
 
-  async voteOnReview(reviewId, isHelpful) {
-    return this.request(`/reviews/${reviewId}/vote`, {
+  // Every saved version of a review, oldest first; the last one is the current text
+  async getReviewRevisions(id) {
+    return this.request(`/reviews/${id}/revisions`);
+  }
+
+  // Flat list of a review's replies; nest them by parent_id
+  async getReviewReplies(reviewId) {
+    return this.request(`/reviews/${reviewId}/replies`);
+  }
+
+  async createReviewReply(reviewId, content, parentId = null) {
+    return this.request(`/reviews/${reviewId}/replies`, {
       method: 'POST',
-      body: JSON.stringify({ is_helpful: isHelpful }),
+      body: JSON.stringify({ content, parent_id: parentId }),
     });
   }
 
-  // Recommendation methods
-  getUserRecommendations: async (limit = 10) => {
-    const response = await fetch(`${API_BASE_URL}/recommendations/user?limit=${limit}`, {
-      headers: getAuthHeaders(),
+  // Product Q&A methods
+  async getProductQuestions(productId, params = {}) {
+    return this.request(`/products/${productId}/questions`, { params });
+  }
+
+  async askProductQuestion(productId, question) {
+    return this.request(`/products/${productId}/questions`, {
+      method: 'POST',
+      body: JSON.stringify({ question }),
     });
-    return handleResponse(response);
-  },
+  }
 
-  getSimilarProducts: async (productId, limit = 5) => {
-    const response = await fetch(`${API_BASE_URL}/recommendations/similar/${productId}?limit=${limit}`);
-    return handleResponse(response);
-  },
+  // The API only accepts answers from users who own the product
+  async answerProductQuestion(questionId, answer) {
+    return this.request(`/questions/${questionId}/answers`, {
+      method: 'POST',
+      body: JSON.stringify({ answer }),
+    });
+  }
 
-  getTrendingProducts: async (categoryId = null, limit = 10) => {
-    const url = categoryId 
-      ? `${API_BASE_URL}/recommendations/trending?category_id=${categoryId}&limit=${limit}`
-      : `${API_BASE_URL}/recommendations/trending?limit=${limit}`;
-    const response = await fetch(url);
-    return handleResponse(response);
-  },
+  async voteOnQuestion(questionId) {
+    return this.request(`/questions/${questionId}/vote`, {
+      method: 'POST',
+    });
+  }
 
-  getUserAnalytics: async () => {
-    const response = await fetch(`${API_BASE_URL}/analytics/user`, {
-      headers: getAuthHeaders(),
+  async removeQuestionVote(questionId) {
+    return this.request(`/questions/${questionId}/vote`, {
+      method: 'DELETE',
     });
-    return handleResponse(response);
-  },
+  }
 
-  trackInteraction: async (productId, interactionType, rating = null) => {
-    const response = await fetch(`${API_BASE_URL}/interactions/track`, {
+  async voteOnAnswer(answerId) {
+    return this.request(`/answers/${answerId}/vote`, {
+      method: 'POST',
+    });
+  }
+
+  async removeAnswerVote(answerId) {
+    return this.request(`/answers/${answerId}/vote`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Recommendation methods
+  async getUserRecommendations(limit = 10) {
+    return this.request('/recommendations/user', { params: { limit } });
+  }
+
+  async getSimilarProducts(productId, limit = 5) {
+    return this.request(`/recommendations/similar/${productId}`, { params: { limit } });
+  }
+
+  async getTrendingProducts(categoryId = null, limit = 10) {
+    return this.request('/recommendations/trending', {
+      params: { category_id: categoryId, limit },
+    });
+  }
+
+  async getUserAnalytics() {
+    return this.request('/analytics/user');
+  }
+
+  async trackInteraction(productId, interactionType, rating = null) {
+    return this.request('/interactions/track', {
       method: 'POST',
-      headers: getAuthHeaders(),
       body: JSON.stringify({
         product_id: productId,
         interaction_type: interactionType,
         rating: rating
       }),
     });
-    return handleResponse(response);
-  },
+  }
 
   // Admin methods
-  getAdminDashboard: async () => {
-    const response = await fetch(`${API_BASE_URL}/admin/dashboard`, {
-      headers: getAuthHeaders(),
+  async getAdminDashboard() {
+    return this.request('/admin/dashboard');
+  }
+
+  async getAdminUsers(page = 1, perPage = 20, search = '', sortBy = 'created_at', order = 'desc') {
+    return this.request('/admin/users', {
+      params: { page, per_page: perPage, sort_by: sortBy, order, search },
     });
-    return handleResponse(response);
-  },
+  }
+
+  async getAdminUser(userId) {
+    return this.request(`/admin/users/${userId}`);
+  }
+
+  async getAdminUserConsents(userId) {
+    return this.request(`/admin/users/${userId}/consents`);
+  }
 
-  getAdminUsers: async (page = 1, perPage = 20, search = '', sortBy = 'created_at', order = 'desc') => {
-    const params = new URLSearchParams({
-      page: page.toString(),
-      per_page: perPage.toString(),
-      sort_by: sortBy,
-      order: order
+  async getAdminUserInteractions(userId, params = {}) {
+    return this.request(`/admin/users/${userId}/interactions`, { params });
+  }
+
+  // Issues a short-lived, read-only token that acts as the given user
+  async startImpersonation(userId, { reason } = {}) {
+    return this.request(`/admin/users/${userId}/impersonate`, {
+      method: 'POST',
+      audit: { action: 'user.impersonate', entity_type: 'user', entity_id: userId, reason },
+      skipImpersonation: true,
     });
-    if (search) params.append('search', search);
+  }
 
-    const response = await fetch(`${API_BASE_URL}/admin/users?${params}`, {
-      headers: getAuthHeaders(),
+  async endImpersonation() {
+    return this.request('/admin/impersonation/end', {
+      method: 'POST',
+      audit: { action: 'user.impersonate_end', entity_type: 'user', entity_id: null },
+      skipImpersonation: true,
     });
-    return handleResponse(response);
-  },
+  }
 
-  updateUserStatus: async (userId, isActive) => {
-    const response = await fetch(`${API_BASE_URL}/admin/users/${userId}/status`, {
+  async updateUserStatus(userId, isActive, { reason } = {}) {
+    return this.request(`/admin/users/${userId}/status`, {
       method: 'PUT',
-      headers: getAuthHeaders(),
+      audit: { action: 'user.status_update', entity_type: 'user', entity_id: userId, reason },
       body: JSON.stringify({ is_active: isActive }),
     });
-    return handleResponse(response);
-  },
+  }
 
-  getAdminProducts: async (page = 1, perPage = 20, search = '', categoryId = null, sortBy = 'created_at', order = 'desc') => {
-    const params = new URLSearchParams({
-      page: page.toString(),
-      per_page: perPage.toString(),
-      sort_by: sortBy,
-      order: order
+  /**
+   * Apply `updates` (is_active, email_verified, role) to several users.
+   * Pass `filters` instead of ids to target every user matching a search,
+   * including those on pages that were never loaded.
+   */
+  async bulkUpdateUsers(userIds, updates, filters = null, { reason } = {}) {
+    return this.request('/admin/users/bulk-update', {
+      method: 'PUT',
+      audit: { action: 'user.bulk_update', entity_type: 'user', entity_id: null, reason },
+      body: JSON.stringify(filters
+        ? { filters, updates }
+        : { user_ids: userIds, updates }),
     });
-    if (search) params.append('search', search);
-    if (categoryId) params.append('category_id', categoryId.toString());
+  }
 
-    const response = await fetch(`${API_BASE_URL}/admin/products?${params}`, {
-      headers: getAuthHeaders(),
+  /**
+   * Create or update users from imported rows, matched by email.
+   * With `dryRun` nothing is saved; the response lists the action and
+   * validation errors for each row.
+   */
+  async importAdminUsers(users, { dryRun = false, reason } = {}) {
+    return this.request('/admin/users/import', {
+      method: 'POST',
+      audit: dryRun ? undefined : { action: 'user.import', entity_type: 'user', entity_id: null, reason },
+      body: JSON.stringify({ users, dry_run: dryRun }),
     });
-    return handleResponse(response);
-  },
+  }
 
-  createAdminProduct: async (productData) => {
-    const response = await fetch(`${API_BASE_URL}/admin/products`, {
+  async getAdminProducts(page = 1, perPage = 20, search = '', categoryId = null, sortBy = 'created_at', order = 'desc') {
+    return this.request('/admin/products', {
+      params: { page, per_page: perPage, sort_by: sortBy, order, search, category_id: categoryId },
+    });
+  }
+
+  async createAdminProduct(productData, { reason } = {}) {
+    return this.request('/admin/products', {
       method: 'POST',
-      headers: getAuthHeaders(),
+      audit: { action: 'product.create', entity_type: 'product', entity_id: null, reason },
       body: JSON.stringify(productData),
     });
-    return handleResponse(response);
-  },
+  }
 
-  updateAdminProduct: async (productId, productData) => {
-    const response = await fetch(`${API_BASE_URL}/admin/products/${productId}`, {
+  async updateAdminProduct(productId, productData, { reason } = {}) {
+    return this.request(`/admin/products/${productId}`, {
       method: 'PUT',
-      headers: getAuthHeaders(),
+      audit: { action: 'product.update', entity_type: 'product', entity_id: productId, reason },
       body: JSON.stringify(productData),
     });
-    return handleResponse(response);
-  },
+  }
 
-  updateProductStatus: async (productId, isActive) => {
-    const response = await fetch(`${API_BASE_URL}/admin/products/${productId}/status`, {
+  async updateProductStatus(productId, isActive, { reason } = {}) {
+    return this.request(`/admin/products/${productId}/status`, {
       method: 'PUT',
-      headers: getAuthHeaders(),
+      audit: { action: 'product.status_update', entity_type: 'product', entity_id: productId, reason },
       body: JSON.stringify({ is_active: isActive }),
     });
-    return handleResponse(response);
-  },
-
-  getAdminReviews: async (page = 1, perPage = 20, search = '', productId = null, userId = null, rating = null, sortBy = 'created_at', order = 'desc') => {
-    const params = new URLSearchParams({
-      page: page.toString(),
-      per_page: perPage.toString(),
-      sort_by: sortBy,
-      order: order
-    });
-    if (search) params.append('search', search);
-    if (productId) params.append('product_id', productId.toString());
-    if (userId) params.append('user_id', userId.toString());
-    if (rating) params.append('rating', rating.toString());
+  }
 
-    const response = await fetch(`${API_BASE_URL}/admin/reviews?${params}`, {
-      headers: getAuthHeaders(),
+  async getAdminReviews(page = 1, perPage = 20, search = '', productId = null, userId = null, rating = null, sortBy = 'created_at', order = 'desc', status = null) {
+    return this.request('/admin/reviews', {
+      params: {
+        page,
+        per_page: perPage,
+        sort_by: sortBy,
+        order,
+        search,
+        product_id: productId,
+        user_id: userId,
+        rating,
+        status,
+      },
     });
-    return handleResponse(response);
-  },
+  }
 
-  updateReviewStatus: async (reviewId, isActive) => {
-    const response = await fetch(`${API_BASE_URL}/admin/reviews/${reviewId}/status`, {
+  async updateReviewStatus(reviewId, isActive, { reason } = {}) {
+    return this.request(`/admin/reviews/${reviewId}/status`, {
       method: 'PUT',
-      headers: getAuthHeaders(),
+      audit: { action: 'review.status_update', entity_type: 'review', entity_id: reviewId, reason },
       body: JSON.stringify({ is_active: isActive }),
     });
-    return handleResponse(response);
-  },
+  }
 
-  createAdminCategory: async (categoryData) => {
-    const response = await fetch(`${API_BASE_URL}/admin/categories`, {
+  /**
+   * Admin actions recorded from the `audit` payload of admin mutations, newest first.
+   * Filters: actor (username), entityType, action, entityId, startDate, endDate (YYYY-MM-DD).
+   */
+  async getAdminAuditLog(page = 1, perPage = 50, filters = {}) {
+    return this.request('/admin/audit-log', {
+      params: {
+        page,
+        per_page: perPage,
+        actor: filters.actor,
+        entity_type: filters.entityType,
+        entity_id: filters.entityId,
+        action: filters.action,
+        start_date: filters.startDate,
+        end_date: filters.endDate,
+      },
+    });
+  }
+
+  // Moderation actions taken on a review, newest first
+  async getReviewAuditTrail(reviewId) {
+    return this.request(`/admin/reviews/${reviewId}/audit`);
+  }
+
+  // Includes inactive categories; nesting is expressed through parent_id
+  async getAdminCategories() {
+    return this.request('/admin/categories');
+  }
+
+  async createAdminCategory(categoryData, { reason } = {}) {
+    return this.request('/admin/categories', {
       method: 'POST',
-      headers: getAuthHeaders(),
+      audit: { action: 'category.create', entity_type: 'category', entity_id: null, reason },
       body: JSON.stringify(categoryData),
     });
-    return handleResponse(response);
-  },
+  }
+
+  async updateAdminCategory(categoryId, categoryData, { reason } = {}) {
+    return this.request(`/admin/categories/${categoryId}`, {
+      method: 'PUT',
+      audit: { action: 'category.update', entity_type: 'category', entity_id: categoryId, reason },
+      body: JSON.stringify(categoryData),
+    });
+  }
+
+  async updateCategoryStatus(categoryId, isActive, { reason } = {}) {
+    return this.request(`/admin/categories/${categoryId}/status`, {
+      method: 'PUT',
+      audit: { action: 'category.status_update', entity_type: 'category', entity_id: categoryId, reason },
+      body: JSON.stringify({ is_active: isActive }),
+    });
+  }
+
+  // Persist the display order of the children of one parent (null for top level)
+  async reorderCategories(parentId, categoryIds, { reason } = {}) {
+    return this.request('/admin/categories/reorder', {
+      method: 'PUT',
+      audit: { action: 'category.reorder', entity_type: 'category', entity_id: parentId, reason },
+      body: JSON.stringify({
+        parent_id: parentId,
+        category_ids: categoryIds
+      }),
+    });
+  }
+
+  async getAdminSettings() {
+    return this.request('/admin/settings');
+  }
+
+  async updateAdminSettings(settings, { reason } = {}) {
+    return this.request('/admin/settings', {
+      method: 'PUT',
+      audit: { action: 'settings.update', entity_type: 'settings', entity_id: null, reason },
+      body: JSON.stringify(settings),
+    });
+  }
+
+  /**
+   * Platform analytics for the last `days` days, or for an explicit
+   * `{ startDate, endDate }` range (YYYY-MM-DD, inclusive) when given.
+   */
+  async getAdminAnalytics(days = 30, { startDate, endDate } = {}) {
+    return this.request('/admin/analytics', {
+      params: startDate
+        ? { start_date: startDate, end_date: endDate }
+        : { days },
+    });
+  }
 
-  getAdminAnalytics: async (days = 30) => {
-    const response = await fetch(`${API_BASE_URL}/admin/analytics?days=${days}`, {
-      headers: getAuthHeaders(),
+  /**
+   * Review totals for one drill-down level within a date range:
+   * categories, the products of `categoryId`, or the reviews of `productId`.
+   */
+  async getAdminAnalyticsBreakdown({ startDate, endDate, categoryId = null, productId = null }) {
+    return this.request('/admin/analytics/breakdown', {
+      params: {
+        start_date: startDate,
+        end_date: endDate,
+        category_id: categoryId,
+        product_id: productId,
+      },
     });
-    return handleResponse(response);
-  },
+  }
 
-  bulkUpdateProducts: async (productIds, updates) => {
-    const response = await fetch(`${API_BASE_URL}/admin/products/bulk-update`, {
+  async bulkUpdateProducts(productIds, updates, { reason } = {}) {
+    return this.request('/admin/products/bulk-update', {
       method: 'PUT',
-      headers: getAuthHeaders(),
+      audit: { action: 'product.bulk_update', entity_type: 'product', entity_id: null, reason },
       body: JSON.stringify({
         product_ids: productIds,
         updates: updates
       }),
     });
-    return handleResponse(response);
-  },
+  }
 
-  bulkUpdateReviews: async (reviewIds, updates) => {
-    const response = await fetch(`${API_BASE_URL}/admin/reviews/bulk-update`, {
+  async bulkUpdateReviews(reviewIds, updates, { reason } = {}) {
+    return this.request('/admin/reviews/bulk-update', {
       method: 'PUT',
-      headers: getAuthHeaders(),
+      audit: { action: 'review.bulk_update', entity_type: 'review', entity_id: null, reason },
       body: JSON.stringify({
         review_ids: reviewIds,
         updates: updates
       }),
     });
-    return handleResponse(response);
-  },
+  }
 
   // Performance monitoring methods
-  getPerformanceMetrics: async () => {
-    const response = await fetch(`${API_BASE_URL}/performance/metrics`, {
-      headers: getAuthHeaders(),
-    });
-    return handleResponse(response);
-  },
+  async getPerformanceMetrics() {
+    return this.request('/performance/metrics');
+  }
 
-  getCacheStats: async () => {
-    const response = await fetch(`${API_BASE_URL}/performance/cache/stats`, {
-      headers: getAuthHeaders(),
-    });
-    return handleResponse(response);
-  },
+  async getCacheStats() {
+    return this.request('/performance/cache/stats');
+  }
 
-  clearCache: async (pattern = '*') => {
-    const response = await fetch(`${API_BASE_URL}/performance/cache/clear`, {
+  /**
+   * Delete cached keys matching a glob pattern, e.g. `products:*`.
+   * With `dryRun` nothing is deleted; the response only reports the match count.
+   */
+  async clearCache(pattern = '*', { dryRun = false, reason } = {}) {
+    return this.request('/performance/cache/clear', {
       method: 'POST',
-      headers: getAuthHeaders(),
-      body: JSON.stringify({ pattern }),
+      audit: dryRun ? undefined : { action: 'cache.clear', entity_type: 'cache', entity_id: pattern, reason },
+      body: JSON.stringify({ pattern, dry_run: dryRun }),
     });
-    return handleResponse(response);
-  },
+  }
 
-  warmCache: async () => {
-    const response = await fetch(`${API_BASE_URL}/performance/cache/warm`, {
+  // Warms every namespace unless a list of namespace names is given
+  async warmCache(namespaces = null, { reason } = {}) {
+    return this.request('/performance/cache/warm', {
       method: 'POST',
-      headers: getAuthHeaders(),
+      audit: { action: 'cache.warm', entity_type: 'cache', entity_id: null, reason },
+      body: JSON.stringify(namespaces ? { namespaces } : {}),
     });
-    return handleResponse(response);
-  },
+  }
 
-  optimizeDatabase: async () => {
-    const response = await fetch(`${API_BASE_URL}/performance/database/optimize`, {
+  async optimizeDatabase({ reason } = {}) {
+    return this.request('/performance/database/optimize', {
       method: 'POST',
-      headers: getAuthHeaders(),
+      audit: { action: 'database.optimize', entity_type: 'database', entity_id: null, reason },
     });
-    return handleResponse(response);
-  },
+  }
+
+  // Image methods
   async uploadReviewImage(file, reviewId = null, altText = '', caption = '') {
     const formData = new FormData();
     formData.append('image', file);
@@ -401,10 +760,6 @@ class ApiService {
     return this.request('/images/upload/review', {
       method: 'POST',
       body: formData,
-      // Don't set Content-Type header - let browser set it with boundary
-      headers: {
-        'Authorization': `Bearer ${localStorage.getItem('token')}`,
-      },
     });
   }
 
@@ -418,9 +773,6 @@ class ApiService {
     return this.request('/images/upload/multiple', {
       method: 'POST',
       body: formData,
-      headers: {
-        'Authorization': `Bearer ${localStorage.getItem('token')}`,
-      },
     });
   }
 
@@ -431,9 +783,30 @@ class ApiService {
     return this.request('/images/upload/profile', {
       method: 'POST',
       body: formData,
-      headers: {
-        'Authorization': `Bearer ${localStorage.getItem('token')}`,
-      },
+    });
+  }
+
+  async uploadProductImage(productId, file, { reason } = {}) {
+    const formData = new FormData();
+    formData.append('image', file);
+    formData.append('product_id', productId);
+
+    return this.request('/images/upload/product', {
+      method: 'POST',
+      body: formData,
+      audit: { action: 'product.image_upload', entity_type: 'product', entity_id: productId, reason },
+    });
+  }
+
+  async uploadCategoryIcon(categoryId, file, { reason } = {}) {
+    const formData = new FormData();
+    formData.append('image', file);
+    formData.append('category_id', categoryId);
+
+    return this.request('/images/upload/category', {
+      method: 'POST',
+      body: formData,
+      audit: { action: 'category.icon_upload', entity_type: 'category', entity_id: categoryId, reason },
     });
   }
 
@@ -455,8 +828,7 @@ class ApiService {
   }
 
   async getUserImages(userId, params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    return this.request(`/images/user/${userId}${queryString ? `?${queryString}` : ''}`);
+    return this.request(`/images/user/${userId}`, { params });
   }
 
   async getReviewImages(reviewId) {
@@ -464,12 +836,11 @@ class ApiService {
   }
 
   async getUserReviews(userId, params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString ? `/users/${userId}/reviews?${queryString}` : `/users/${userId}/reviews`;
-    return this.request(endpoint);
+    return this.request(`/users/${userId}/reviews`, { params });
   }
 
   // Review voting methods
+  // One vote per user and review; voting again replaces it, removeVote clears it
   async voteReview(reviewId, isHelpful) {
     return this.request(`/reviews/${reviewId}/vote`, {
       method: 'POST',
@@ -533,38 +904,30 @@ class ApiService {
     return this.request('/data-export/requests');
   }
 
+  // Resolves with the raw Response so the caller can stream it into a file
   async downloadExport(requestId) {
-    const token = localStorage.getItem('token');
-    const response = await fetch(`${this.baseURL}/data-export/download/${requestId}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-      },
+    return this.request(`/data-export/download/${requestId}`, {
+      responseType: 'raw',
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || 'Download failed');
-    }
-
-    return response;
   }
 
   // Admin GDPR methods
-  async adminGetDeletionRequests(status = 'pending') {
-    return this.request(`/admin/gdpr/deletion-requests?status=${status}`);
+  async adminGetDeletionRequests(status = 'pending', userId = null) {
+    return this.request('/admin/gdpr/deletion-requests', { params: { status, user_id: userId } });
   }
 
-  async adminProcessDeletionRequest(requestId) {
+  async adminProcessDeletionRequest(requestId, { reason } = {}) {
     return this.request(`/admin/gdpr/deletion-request/${requestId}/process`, {
       method: 'POST',
+      audit: { action: 'gdpr.deletion_process', entity_type: 'deletion_request', entity_id: requestId, reason },
     });
   }
 
   // Admin Data Export methods
-  async adminCleanupExports() {
+  async adminCleanupExports({ reason } = {}) {
     return this.request('/admin/data-export/cleanup', {
       method: 'POST',
+      audit: { action: 'gdpr.export_cleanup', entity_type: 'data_export', entity_id: null, reason },
     });
   }
 
@@ -630,8 +993,6 @@ class ApiService {
     return this.request('/visual-search/upload', {
       method: 'POST',
       body: formData,
-      // Don't set Content-Type header, let browser set it for FormData
-      headers: {},
     });
   }
 
@@ -650,19 +1011,34 @@ class ApiService {
     return this.request('/visual-search/stats');
   }
 
-  async adminReindexVisualSearch() {
+  async adminReindexVisualSearch({ reason } = {}) {
     return this.request('/admin/visual-search/reindex', {
       method: 'POST',
+      audit: { action: 'visual_search.reindex', entity_type: 'visual_search', entity_id: null, reason },
     });
   }
 
-  async adminCleanupVisualSearch(days = 7) {
+  async adminCleanupVisualSearch(days = 7, { reason } = {}) {
     return this.request('/admin/visual-search/cleanup', {
       method: 'POST',
+      audit: { action: 'visual_search.cleanup', entity_type: 'visual_search', entity_id: null, reason },
       body: JSON.stringify({ days }),
     });
   }
 
+  // Reindex and cleanup run in the background; poll the job they return
+  async adminGetVisualSearchJob(jobId) {
+    return this.request(`/admin/visual-search/jobs/${jobId}`);
+  }
+
+  async adminGetVisualSearchJobs(limit = 20) {
+    return this.request('/admin/visual-search/jobs', { params: { limit } });
+  }
+
+  async adminGetVisualSearchQueries(limit = 20) {
+    return this.request('/admin/visual-search/queries', { params: { limit } });
+  }
+
   // Voice Search API methods
   async processVoiceQuery(text) {
     return this.request('/voice-search/process', {
@@ -679,18 +1055,20 @@ class ApiService {
   }
 
   async getVoiceSearchSuggestions(partialText, limit = 5) {
-    const params = new URLSearchParams({
-      q: partialText,
-      limit: limit.toString(),
+    return this.request('/voice-search/suggestions', {
+      params: { q: partialText, limit },
     });
-    return this.request(`/voice-search/suggestions?${params}`);
   }
 
   async getVoiceSearchAnalytics(days = 30) {
-    const params = new URLSearchParams({
-      days: days.toString(),
+    return this.request('/voice-search/analytics', { params: { days } });
+  }
+
+  // Individual voice queries with their parsed intent and result count, newest first
+  async adminGetVoiceQueries(days = 30, { page = 1, perPage = 20, failedOnly = false } = {}) {
+    return this.request('/admin/voice-search/queries', {
+      params: { days, page, per_page: perPage, failed_only: failedOnly || null },
     });
-    return this.request(`/voice-search/analytics?${params}`);
   }
 
   // Health check
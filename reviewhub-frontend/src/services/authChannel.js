@@ -0,0 +1,81 @@
+/**
+ * Cross-tab auth channel for ReviewHub frontend
+ * Broadcasts login, logout and profile changes to the other open tabs
+ *
+ * Uses BroadcastChannel where available and falls back to `storage` events
+ * on a dedicated localStorage key. Neither transport echoes messages back to
+ * the tab that sent them.
+ */
+
+const CHANNEL_NAME = 'reviewhub_auth';
+const STORAGE_KEY = 'reviewhub_auth_event';
+
+export const AUTH_EVENTS = {
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  PROFILE_UPDATED: 'profile_updated',
+};
+
+class AuthChannel {
+  constructor() {
+    this.listeners = new Set();
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.notify(event.data);
+    } else {
+      this.channel = null;
+      window.addEventListener('storage', (event) => {
+        // Ignore the removal that follows every fallback post
+        if (event.key !== STORAGE_KEY || !event.newValue) return;
+        try {
+          this.notify(JSON.parse(event.newValue));
+        } catch (error) {
+          console.error('Invalid auth event:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Send an event to every other tab.
+   * @param {string} type - One of AUTH_EVENTS
+   * @param {Object} [payload]
+   */
+  post(type, payload = {}) {
+    const message = { type, payload, sentAt: Date.now() };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    try {
+      // Write-then-remove so repeating the same event still fires a storage event
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.error('Failed to broadcast auth event:', error);
+    }
+  }
+
+  /**
+   * Listen for events from other tabs.
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  notify(message) {
+    if (!message?.type) return;
+    this.listeners.forEach((listener) => listener(message));
+  }
+}
+
+// Create and export a singleton instance
+const authChannel = new AuthChannel();
+export default authChannel;
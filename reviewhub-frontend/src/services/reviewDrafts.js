@@ -0,0 +1,123 @@
+/**
+ * Review draft storage for ReviewHub frontend
+ * Keeps unfinished reviews, including their photos, in IndexedDB
+ *
+ * One draft is kept per user and product. A draft is either being edited
+ * (`status: 'draft'`) or waiting to be submitted once the browser is back
+ * online (`status: 'queued'`). Falls back to an in-memory store when
+ * IndexedDB is unavailable, so drafts then only last for the page session.
+ */
+
+const DB_NAME = 'reviewhub';
+const DB_VERSION = 1;
+const STORE_NAME = 'review_drafts';
+
+export const DRAFT_STATUS = {
+  DRAFT: 'draft',
+  QUEUED: 'queued',
+};
+
+const getDraftKey = (userId, productId) => `${userId}:${productId}`;
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    store.createIndex('user_id', 'userId');
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const createIndexedDbBackend = (dbPromise) => {
+  const withStore = async (mode, callback) => {
+    const db = await dbPromise;
+    return promisify(callback(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  return {
+    get: (key) => withStore('readonly', (store) => store.get(key)),
+    getAllForUser: (userId) => withStore('readonly', (store) => store.index('user_id').getAll(userId)),
+    put: (draft) => withStore('readwrite', (store) => store.put(draft)),
+    remove: (key) => withStore('readwrite', (store) => store.delete(key)),
+  };
+};
+
+const createMemoryBackend = () => {
+  const drafts = new Map();
+  return {
+    get: async (key) => drafts.get(key),
+    getAllForUser: async (userId) => [...drafts.values()].filter((draft) => draft.userId === userId),
+    put: async (draft) => {
+      drafts.set(draft.key, draft);
+    },
+    remove: async (key) => {
+      drafts.delete(key);
+    },
+  };
+};
+
+class ReviewDraftStore {
+  constructor() {
+    this.backend = null;
+  }
+
+  // Opened lazily so pages that never touch drafts don't open the database
+  async getBackend() {
+    if (!this.backend) {
+      try {
+        const dbPromise = openDatabase();
+        await dbPromise;
+        this.backend = createIndexedDbBackend(dbPromise);
+      } catch (error) {
+        console.error('IndexedDB unavailable, keeping review drafts in memory:', error);
+        this.backend = createMemoryBackend();
+      }
+    }
+    return this.backend;
+  }
+
+  /**
+   * @param {number} userId
+   * @param {number|string} productId
+   * @returns {Promise<Object|undefined>} The review form fields plus { images: File[], status, updatedAt }
+   */
+  async getDraft(userId, productId) {
+    const backend = await this.getBackend();
+    return backend.get(getDraftKey(userId, productId));
+  }
+
+  // Files are stored as-is; IndexedDB keeps Blob contents via structured cloning
+  async saveDraft(userId, productId, { images = [], ...form }, status = DRAFT_STATUS.DRAFT) {
+    const backend = await this.getBackend();
+    await backend.put({
+      ...form,
+      key: getDraftKey(userId, productId),
+      userId,
+      productId,
+      images,
+      status,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  async deleteDraft(userId, productId) {
+    const backend = await this.getBackend();
+    await backend.remove(getDraftKey(userId, productId));
+  }
+
+  async getQueuedDrafts(userId) {
+    const backend = await this.getBackend();
+    const drafts = await backend.getAllForUser(userId);
+    return drafts.filter((draft) => draft.status === DRAFT_STATUS.QUEUED);
+  }
+}
+
+const reviewDrafts = new ReviewDraftStore();
+export default reviewDrafts;
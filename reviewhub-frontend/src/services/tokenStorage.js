@@ -0,0 +1,146 @@
+/**
+ * Token storage for ReviewHub frontend
+ * Single place where the access and refresh tokens are read and written
+ *
+ * Tokens live in one of three backends:
+ * - local:   localStorage, survives restarts ("remember me")
+ * - session: sessionStorage, cleared when the tab closes
+ * - memory:  plain object, used when web storage is unavailable
+ */
+
+const ACCESS_TOKEN_KEY = 'access_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+const TOKEN_KEYS = [ACCESS_TOKEN_KEY, REFRESH_TOKEN_KEY];
+
+const createWebStorageBackend = (name, storage) => ({
+  name,
+  get: (key) => storage.getItem(key),
+  set: (key, value) => storage.setItem(key, value),
+  remove: (key) => storage.removeItem(key),
+});
+
+const createMemoryBackend = () => {
+  const values = {};
+  return {
+    name: 'memory',
+    get: (key) => values[key] ?? null,
+    set: (key, value) => {
+      values[key] = value;
+    },
+    remove: (key) => {
+      delete values[key];
+    },
+  };
+};
+
+// Web storage can be missing or throw (e.g. private browsing, disabled cookies)
+const getWebStorage = (type) => {
+  try {
+    const storage = window[type];
+    const probeKey = '__reviewhub_storage_probe__';
+    storage.setItem(probeKey, probeKey);
+    storage.removeItem(probeKey);
+    return storage;
+  } catch {
+    return null;
+  }
+};
+
+class TokenStorage {
+  constructor() {
+    const local = getWebStorage('localStorage');
+    const session = getWebStorage('sessionStorage');
+    const memory = createMemoryBackend();
+
+    this.backends = {
+      local: local ? createWebStorageBackend('local', local) : memory,
+      session: session ? createWebStorageBackend('session', session) : memory,
+      memory,
+    };
+    this.listeners = new Set();
+
+    // Resume whichever backend holds a token from a previous page load
+    this.backend = ['local', 'session']
+      .map((name) => this.backends[name])
+      .find((backend) => backend.get(ACCESS_TOKEN_KEY)) || this.backends.local;
+
+    // localStorage writes from other tabs arrive as storage events
+    if (local) {
+      window.addEventListener('storage', (event) => {
+        if (event.storageArea !== local || !TOKEN_KEYS.includes(event.key)) return;
+        if (this.backend !== this.backends.local) return;
+        this.notify({ accessToken: this.getAccessToken(), external: true });
+      });
+    }
+  }
+
+  getAccessToken() {
+    return this.backend.get(ACCESS_TOKEN_KEY);
+  }
+
+  getRefreshToken() {
+    return this.backend.get(REFRESH_TOKEN_KEY);
+  }
+
+  hasToken() {
+    return !!this.getAccessToken();
+  }
+
+  // Whether other tabs see these tokens, i.e. they live in localStorage
+  isShared() {
+    return this.backend.name === 'local';
+  }
+
+  /**
+   * Store a new token pair.
+   * @param {{ accessToken: string, refreshToken?: string }} tokens
+   * @param {{ remember?: boolean, backend?: 'local'|'session'|'memory' }} [options]
+   *   Picks the backend for a fresh login; omit to keep the current one (token refresh).
+   */
+  setTokens({ accessToken, refreshToken }, options = {}) {
+    const backendName = options.backend || (options.remember === undefined
+      ? null
+      : options.remember ? 'local' : 'session');
+
+    if (backendName && this.backends[backendName] !== this.backend) {
+      this.clearBackend(this.backend);
+      this.backend = this.backends[backendName];
+    }
+
+    this.backend.set(ACCESS_TOKEN_KEY, accessToken);
+    if (refreshToken) {
+      this.backend.set(REFRESH_TOKEN_KEY, refreshToken);
+    }
+    this.notify({ accessToken, external: false });
+  }
+
+  clear() {
+    Object.values(this.backends).forEach((backend) => this.clearBackend(backend));
+    this.backend = this.backends.local;
+    this.notify({ accessToken: null, external: false });
+  }
+
+  clearBackend(backend) {
+    TOKEN_KEYS.forEach((key) => backend.remove(key));
+  }
+
+  /**
+   * Listen for token changes. The listener receives `{ accessToken, external }`,
+   * where `external` is true when the change was made in another tab.
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  notify(change) {
+    this.listeners.forEach((listener) => listener(change));
+  }
+}
+
+// Create and export a singleton instance
+const tokenStorage = new TokenStorage();
+export default tokenStorage;
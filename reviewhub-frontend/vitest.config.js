@@ -0,0 +1,19 @@
+import { defineConfig } from 'vitest/config'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Unit tests cover plain modules, so the React/Tailwind plugins from
+// vite.config.js aren't needed here
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@': path.resolve(__dirname, './src'),
+    },
+  },
+  test: {
+    include: ['src/**/*.test.{js,jsx}'],
+  },
+})